@@ -1,6 +1,30 @@
 const jwt = require('jsonwebtoken');
+const { isSessionActive } = require('../utils/sessions.js');
+const { isAccessToken, verifyAccessToken, hasScope } = require('../utils/accessTokens.js');
+
+// Verify a JWT, check its session has not been revoked and return the user it belongs to.
+// Shared by the HTTP middleware below, routes/auth.js and the Socket.IO handshake.
+const verifyToken = async (token) => {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Tokens issued before sessions existed carry no `sid` and cannot be revoked - reject them
+    if (!payload.sid || !(await isSessionActive(payload.sid))) {
+        const error = new Error('Session has been revoked');
+        error.name = 'TokenRevokedError';
+        throw error;
+    }
+
+    return {
+        id: payload.userId,
+        email: payload.email,
+        sessionId: payload.sid
+    };
+};
+
+const authMiddleware = async (req, res, next) => {
+    // Already verified earlier in the chain (e.g. by the project state guard in server.js)
+    if (req.user) return next();
 
-const authMiddleware = (req, res, next) => {
     try {
         // Get the authorization header
         const authHeader = req.headers.authorization;
@@ -22,14 +46,8 @@ const authMiddleware = (req, res, next) => {
             });
         }
 
-        // Verify the token
-        const payload = jwt.verify(token, process.env.JWT_SECRET);
-
-        // Attach more complete user info to request
-        req.user = { 
-            id: payload.userId, 
-            email: payload.email 
-        };
+        // Verify the token (a login JWT or a personal access token) and attach the user to the request
+        req.user = isAccessToken(token) ? await verifyAccessToken(token) : await verifyToken(token);
 
         // Continue to next middleware/route
         next();
@@ -38,6 +56,10 @@ const authMiddleware = (req, res, next) => {
         // Handle different types of JWT errors
         if (error.name === 'TokenExpiredError') {
             return res.status(401).json({ message: 'Token has expired.' });
+        } else if (error.name === 'TokenRevokedError') {
+            return res.status(401).json({ message: 'Session has been logged out.' });
+        } else if (error.name === 'AccessTokenError') {
+            return res.status(401).json({ message: 'API token is invalid, expired or revoked.' });
         } else if (error.name === 'JsonWebTokenError') {
             return res.status(401).json({ message: 'Invalid token.' });
         } else {
@@ -46,4 +68,26 @@ const authMiddleware = (req, res, next) => {
     }
 };
 
+// Route guard for personal access tokens: the token needs `scope` (see utils/accessTokens.js).
+// Requests made with a login JWT are not limited by scopes.
+const requireScope = (scope) => (req, res, next) => {
+    if (!req.user.token || hasScope(req.user.token.scopes, scope)) return next();
+    res.status(403).json({ message: `This API token does not have the "${scope}" scope.` });
+};
+
+// Router-wide variant: reads need "read", everything else `writeScope`
+const scopeByMethod = (writeScope) => (req, res, next) => requireScope(
+    ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? 'read' : writeScope
+)(req, res, next);
+
+// For account actions (sessions, API tokens, accepting invitations) that need a real login
+const requireSession = (req, res, next) => {
+    if (!req.user.token) return next();
+    res.status(403).json({ message: 'API tokens cannot be used for this action. Sign in instead.' });
+};
+
 module.exports = authMiddleware;
+module.exports.verifyToken = verifyToken;
+module.exports.requireScope = requireScope;
+module.exports.scopeByMethod = scopeByMethod;
+module.exports.requireSession = requireSession;
@@ -0,0 +1,77 @@
+const { PrismaClient } = require('@prisma/client');
+const { findIssueIdByKey } = require('../utils/issueKeys.js');
+const { tokenAllowsProject } = require('../utils/accessTokens.js');
+
+const prisma = new PrismaClient();
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+const ARCHIVED_MESSAGE = 'This project is archived and read-only. Unarchive it to make changes.';
+
+// Requests that still work on an archived project: trashing it and taking it out of the archive
+const allowedWhenArchived = (req) => (req.method === 'DELETE' && req.path === '/')
+    || (req.method === 'POST' && req.path === '/unarchive');
+
+// Mounted on /api/projects/:id (after authMiddleware), in front of every project route.
+// Trashed projects look deleted except for restoring them; archived ones refuse writes.
+// Unknown projects fall through so the routes answer as they always did.
+// API tokens limited to other projects get the same 404 as for a project the user can't see.
+const projectStateGuard = async (req, res, next) => {
+    try {
+        if (!tokenAllowsProject(req.user, req.params.id)) {
+            return res.status(404).json({ message: 'Project not found or access denied' });
+        }
+
+        const project = await prisma.project.findUnique({
+            where: { id: req.params.id },
+            select: { archivedAt: true, deletedAt: true }
+        });
+
+        if (!project) return next();
+
+        if (project.deletedAt && !(req.method === 'POST' && req.path === '/restore')) {
+            return res.status(404).json({ message: 'Project not found or access denied' });
+        }
+
+        if (project.archivedAt && WRITE_METHODS.includes(req.method) && !allowedWhenArchived(req)) {
+            return res.status(409).json({ message: ARCHIVED_MESSAGE });
+        }
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Mounted on /api/issues/:issueId (after authMiddleware): the same for an issue and its project.
+// A trashed issue only answers to POST /restore.
+const issueStateGuard = async (req, res, next) => {
+    try {
+        const issueId = (await findIssueIdByKey(req.params.issueId)) || req.params.issueId;
+        const issue = await prisma.issue.findUnique({
+            where: { id: issueId },
+            select: { deletedAt: true, projectId: true, project: { select: { archivedAt: true, deletedAt: true } } }
+        });
+
+        if (!issue) return next();
+
+        const restoring = req.method === 'POST' && req.path === '/restore';
+        if (issue.project.deletedAt || (issue.deletedAt && !restoring) || !tokenAllowsProject(req.user, issue.projectId)) {
+            return res.status(404).json({ message: 'Issue not found.' });
+        }
+
+        if (issue.project.archivedAt && WRITE_METHODS.includes(req.method)) {
+            return res.status(409).json({ message: ARCHIVED_MESSAGE });
+        }
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    ARCHIVED_MESSAGE,
+    projectStateGuard,
+    issueStateGuard
+};
@@ -0,0 +1,5 @@
+-- CreateEnum
+CREATE TYPE "public"."ProjectRole" AS ENUM ('admin', 'member', 'viewer');
+
+-- AlterTable
+ALTER TABLE "public"."ProjectCollaborator" ADD COLUMN     "role" "public"."ProjectRole" NOT NULL DEFAULT 'member';
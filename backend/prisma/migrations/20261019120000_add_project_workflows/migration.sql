@@ -0,0 +1,62 @@
+-- CreateEnum
+CREATE TYPE "public"."StatusCategory" AS ENUM ('todo', 'active', 'done');
+
+-- CreateTable
+CREATE TABLE "public"."WorkflowStatus" (
+    "id" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "category" "public"."StatusCategory" NOT NULL,
+    "position" INTEGER NOT NULL,
+    "projectId" TEXT NOT NULL,
+
+    CONSTRAINT "WorkflowStatus_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."WorkflowTransition" (
+    "id" TEXT NOT NULL,
+    "projectId" TEXT NOT NULL,
+    "fromStatusId" TEXT NOT NULL,
+    "toStatusId" TEXT NOT NULL,
+
+    CONSTRAINT "WorkflowTransition_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WorkflowStatus_projectId_key_key" ON "public"."WorkflowStatus"("projectId", "key");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WorkflowTransition_fromStatusId_toStatusId_key" ON "public"."WorkflowTransition"("fromStatusId", "toStatusId");
+
+-- Give every existing project the old fixed workflow (open -> in_progress -> done)
+INSERT INTO "public"."WorkflowStatus" ("id", "key", "name", "category", "position", "projectId")
+SELECT gen_random_uuid()::text, s."key", s."name", s."category"::"public"."StatusCategory", s."position", p."id"
+FROM "public"."Project" p
+CROSS JOIN (VALUES
+    ('open', 'Open', 'todo', 0),
+    ('in_progress', 'In Progress', 'active', 1),
+    ('done', 'Done', 'done', 2)
+) AS s("key", "name", "category", "position");
+
+-- AlterTable: Issue.status keeps its values but now holds a workflow status key
+ALTER TABLE "public"."Issue" ALTER COLUMN "status" DROP DEFAULT;
+ALTER TABLE "public"."Issue" ALTER COLUMN "status" SET DATA TYPE TEXT USING "status"::text;
+
+-- DropEnum
+DROP TYPE "public"."Status";
+
+-- AddForeignKey
+ALTER TABLE "public"."Issue" ADD CONSTRAINT "Issue_projectId_status_fkey" FOREIGN KEY ("projectId", "status") REFERENCES "public"."WorkflowStatus"("projectId", "key") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."WorkflowStatus" ADD CONSTRAINT "WorkflowStatus_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "public"."Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."WorkflowTransition" ADD CONSTRAINT "WorkflowTransition_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "public"."Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."WorkflowTransition" ADD CONSTRAINT "WorkflowTransition_fromStatusId_fkey" FOREIGN KEY ("fromStatusId") REFERENCES "public"."WorkflowStatus"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."WorkflowTransition" ADD CONSTRAINT "WorkflowTransition_toStatusId_fkey" FOREIGN KEY ("toStatusId") REFERENCES "public"."WorkflowStatus"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,39 @@
+-- CreateEnum
+CREATE TYPE "public"."NotificationMode" AS ENUM ('immediate', 'digest', 'off');
+
+-- CreateTable
+CREATE TABLE "public"."NotificationPreference" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "issueAssigned" "public"."NotificationMode" NOT NULL DEFAULT 'immediate',
+    "projectAdded" "public"."NotificationMode" NOT NULL DEFAULT 'immediate',
+    "issueChanged" "public"."NotificationMode" NOT NULL DEFAULT 'immediate',
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "NotificationPreference_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."NotificationDigestItem" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "subject" TEXT NOT NULL,
+    "text" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "sentAt" TIMESTAMP(3),
+
+    CONSTRAINT "NotificationDigestItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "NotificationPreference_userId_key" ON "public"."NotificationPreference"("userId");
+
+-- CreateIndex
+CREATE INDEX "NotificationDigestItem_sentAt_userId_idx" ON "public"."NotificationDigestItem"("sentAt", "userId");
+
+-- AddForeignKey
+ALTER TABLE "public"."NotificationPreference" ADD CONSTRAINT "NotificationPreference_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."NotificationDigestItem" ADD CONSTRAINT "NotificationDigestItem_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
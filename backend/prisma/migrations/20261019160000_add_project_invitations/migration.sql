@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "public"."ProjectInvitation" (
+    "id" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "role" "public"."ProjectRole" NOT NULL DEFAULT 'member',
+    "tokenId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "acceptedAt" TIMESTAMP(3),
+    "acceptedById" TEXT,
+    "revokedAt" TIMESTAMP(3),
+    "projectId" TEXT NOT NULL,
+    "invitedById" TEXT NOT NULL,
+
+    CONSTRAINT "ProjectInvitation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ProjectInvitation_projectId_idx" ON "public"."ProjectInvitation"("projectId");
+
+-- CreateIndex
+CREATE INDEX "ProjectInvitation_email_idx" ON "public"."ProjectInvitation"("email");
+
+-- AddForeignKey
+ALTER TABLE "public"."ProjectInvitation" ADD CONSTRAINT "ProjectInvitation_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "public"."Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."ProjectInvitation" ADD CONSTRAINT "ProjectInvitation_invitedById_fkey" FOREIGN KEY ("invitedById") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "public"."Issue" ADD COLUMN     "dueDate" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "public"."NotificationPreference" ADD COLUMN     "dueReminder" "public"."NotificationMode" NOT NULL DEFAULT 'immediate';
+
+-- CreateTable
+CREATE TABLE "public"."DueDateReminder" (
+    "id" TEXT NOT NULL,
+    "issueId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "threshold" TEXT NOT NULL,
+    "dueDate" TIMESTAMP(3) NOT NULL,
+    "sentAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DueDateReminder_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Issue_dueDate_idx" ON "public"."Issue"("dueDate");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DueDateReminder_issueId_userId_threshold_dueDate_key" ON "public"."DueDateReminder"("issueId", "userId", "threshold", "dueDate");
+
+-- AddForeignKey
+ALTER TABLE "public"."DueDateReminder" ADD CONSTRAINT "DueDateReminder_issueId_fkey" FOREIGN KEY ("issueId") REFERENCES "public"."Issue"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."DueDateReminder" ADD CONSTRAINT "DueDateReminder_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,33 @@
+-- CreateEnum
+CREATE TYPE "public"."BlockedDoneMode" AS ENUM ('warn', 'block');
+
+-- AlterTable
+ALTER TABLE "public"."Project" ADD COLUMN     "blockedDoneMode" "public"."BlockedDoneMode" NOT NULL DEFAULT 'warn';
+
+-- AlterTable
+ALTER TABLE "public"."Issue" ADD COLUMN     "parentId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."IssueDependency" (
+    "id" TEXT NOT NULL,
+    "blockerId" TEXT NOT NULL,
+    "blockedId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "IssueDependency_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "IssueDependency_blockedId_idx" ON "public"."IssueDependency"("blockedId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "IssueDependency_blockerId_blockedId_key" ON "public"."IssueDependency"("blockerId", "blockedId");
+
+-- AddForeignKey
+ALTER TABLE "public"."Issue" ADD CONSTRAINT "Issue_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "public"."Issue"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."IssueDependency" ADD CONSTRAINT "IssueDependency_blockerId_fkey" FOREIGN KEY ("blockerId") REFERENCES "public"."Issue"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."IssueDependency" ADD CONSTRAINT "IssueDependency_blockedId_fkey" FOREIGN KEY ("blockedId") REFERENCES "public"."Issue"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,32 @@
+-- CreateEnum
+CREATE TYPE "public"."SprintState" AS ENUM ('planned', 'active', 'closed');
+
+-- AlterTable
+ALTER TABLE "public"."Issue" ADD COLUMN     "sprintId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."Sprint" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "goal" TEXT,
+    "startDate" TIMESTAMP(3) NOT NULL,
+    "endDate" TIMESTAMP(3) NOT NULL,
+    "state" "public"."SprintState" NOT NULL DEFAULT 'planned',
+    "closedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "projectId" TEXT NOT NULL,
+
+    CONSTRAINT "Sprint_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Issue_sprintId_idx" ON "public"."Issue"("sprintId");
+
+-- CreateIndex
+CREATE INDEX "Sprint_projectId_startDate_idx" ON "public"."Sprint"("projectId", "startDate");
+
+-- AddForeignKey
+ALTER TABLE "public"."Issue" ADD CONSTRAINT "Issue_sprintId_fkey" FOREIGN KEY ("sprintId") REFERENCES "public"."Sprint"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Sprint" ADD CONSTRAINT "Sprint_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "public"."Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,12 @@
+-- AlterTable: title matches rank above description matches
+ALTER TABLE "public"."Issue" ADD COLUMN "searchVector" tsvector
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce("title", '')), 'A') ||
+        setweight(to_tsvector('english', coalesce("description", '')), 'B')
+    ) STORED;
+
+-- CreateIndex
+CREATE INDEX "Issue_searchVector_idx" ON "public"."Issue" USING GIN ("searchVector");
+
+-- CreateIndex: expression index for project name matches (routes/search.js uses the same expression)
+CREATE INDEX "Project_name_search_idx" ON "public"."Project" USING GIN (to_tsvector('english', "name"));
@@ -0,0 +1,83 @@
+-- AlterTable
+ALTER TABLE "public"."Project" ADD COLUMN     "key" TEXT,
+ADD COLUMN     "issueCounter" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "public"."Issue" ADD COLUMN     "number" INTEGER;
+
+-- Backfill project keys the way suggestProjectKey (utils/issueKeys.js) derives them for
+-- new projects: the initials of a multi-word name ("Web Shop" -> "WS") or the start of a
+-- single word ("Website" -> "WEBS"), at most 4 characters, and "PRJ" when that isn't a
+-- valid key. Oldest projects go first; a key already taken gets the next free number (WS2, WS3...).
+DO $$
+DECLARE
+    p RECORD;
+    words TEXT[];
+    base TEXT;
+    candidate TEXT;
+    suffix INTEGER;
+BEGIN
+    FOR p IN SELECT "id", "name" FROM "public"."Project" ORDER BY "createdAt", "id" LOOP
+        words := array_remove(regexp_split_to_array(regexp_replace(upper(p."name"), '^[^A-Z]+', ''), '[^A-Z0-9]+'), '');
+
+        IF coalesce(array_length(words, 1), 0) > 1 THEN
+            base := left(array_to_string(ARRAY(SELECT left(w, 1) FROM unnest(words) WITH ORDINALITY AS t(w, n) ORDER BY n), ''), 4);
+        ELSE
+            base := left(coalesce(words[1], ''), 4);
+        END IF;
+
+        IF base !~ '^[A-Z][A-Z0-9]{1,9}$' THEN
+            base := 'PRJ';
+        END IF;
+
+        candidate := base;
+        suffix := 1;
+        WHILE EXISTS (SELECT 1 FROM "public"."Project" WHERE "key" = candidate) LOOP
+            suffix := suffix + 1;
+            candidate := base || suffix::text;
+        END LOOP;
+
+        UPDATE "public"."Project" SET "key" = candidate WHERE "id" = p."id";
+    END LOOP;
+END $$;
+
+-- Number existing issues in creation order within their project
+WITH numbered AS (
+    SELECT "id", row_number() OVER (PARTITION BY "projectId" ORDER BY "createdAt", "id") AS "number"
+    FROM "public"."Issue"
+)
+UPDATE "public"."Issue" i
+SET "number" = n."number"
+FROM numbered n
+WHERE n."id" = i."id";
+
+UPDATE "public"."Project" p
+SET "issueCounter" = coalesce((SELECT max("number") FROM "public"."Issue" i WHERE i."projectId" = p."id"), 0);
+
+ALTER TABLE "public"."Project" ALTER COLUMN "key" SET NOT NULL;
+ALTER TABLE "public"."Issue" ALTER COLUMN "number" SET NOT NULL;
+
+-- CreateTable
+CREATE TABLE "public"."ProjectKeyAlias" (
+    "id" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "projectId" TEXT NOT NULL,
+
+    CONSTRAINT "ProjectKeyAlias_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Project_key_key" ON "public"."Project"("key");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Issue_projectId_number_key" ON "public"."Issue"("projectId", "number");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProjectKeyAlias_key_key" ON "public"."ProjectKeyAlias"("key");
+
+-- CreateIndex
+CREATE INDEX "ProjectKeyAlias_projectId_idx" ON "public"."ProjectKeyAlias"("projectId");
+
+-- AddForeignKey
+ALTER TABLE "public"."ProjectKeyAlias" ADD CONSTRAINT "ProjectKeyAlias_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "public"."Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
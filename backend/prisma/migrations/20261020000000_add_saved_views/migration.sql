@@ -0,0 +1,30 @@
+-- CreateEnum
+CREATE TYPE "public"."ViewVisibility" AS ENUM ('private', 'project');
+
+-- CreateTable
+CREATE TABLE "public"."SavedView" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "filters" JSONB NOT NULL,
+    "sort" TEXT NOT NULL DEFAULT 'createdAt',
+    "order" TEXT,
+    "visibility" "public"."ViewVisibility" NOT NULL DEFAULT 'private',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "ownerId" TEXT NOT NULL,
+    "projectId" TEXT,
+
+    CONSTRAINT "SavedView_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SavedView_ownerId_idx" ON "public"."SavedView"("ownerId");
+
+-- CreateIndex
+CREATE INDEX "SavedView_projectId_visibility_idx" ON "public"."SavedView"("projectId", "visibility");
+
+-- AddForeignKey
+ALTER TABLE "public"."SavedView" ADD CONSTRAINT "SavedView_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."SavedView" ADD CONSTRAINT "SavedView_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "public"."Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
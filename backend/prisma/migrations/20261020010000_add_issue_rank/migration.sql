@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "public"."Issue" ADD COLUMN     "rank" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- Keep today's board order (newest first) as the starting manual order of every column
+WITH ranked AS (
+    SELECT "id", row_number() OVER (PARTITION BY "projectId", "status" ORDER BY "createdAt" DESC, "id") AS "n"
+    FROM "public"."Issue"
+)
+UPDATE "public"."Issue" i
+SET "rank" = r."n" * 1024
+FROM ranked r
+WHERE r."id" = i."id";
+
+-- CreateIndex
+CREATE INDEX "Issue_projectId_status_rank_idx" ON "public"."Issue"("projectId", "status", "rank");
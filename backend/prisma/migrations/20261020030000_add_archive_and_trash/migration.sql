@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "public"."Project" ADD COLUMN     "archivedAt" TIMESTAMP(3),
+ADD COLUMN     "deletedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "public"."Issue" ADD COLUMN     "deletedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Issue_deletedAt_idx" ON "public"."Issue"("deletedAt");
+
+-- CreateIndex
+CREATE INDEX "Project_deletedAt_idx" ON "public"."Project"("deletedAt");
+
+-- DropForeignKey
+ALTER TABLE "public"."Issue" DROP CONSTRAINT "Issue_projectId_fkey";
+
+-- AddForeignKey
+ALTER TABLE "public"."Issue" ADD CONSTRAINT "Issue_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "public"."Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,17 @@
+-- Status changes in the activity log now also store the category of both columns
+-- ("statusCategory": { "from", "to" }), so renaming or deleting a status doesn't
+-- change history. Fill it in for existing records while their keys still match.
+UPDATE "public"."Activity" a
+SET "changes" = jsonb_set(a."changes", '{statusCategory}', jsonb_build_object(
+    'from', (
+        SELECT ws."category" FROM "public"."WorkflowStatus" ws
+        WHERE ws."projectId" = a."projectId" AND ws."key" = a."changes" -> 'status' ->> 'from'
+    ),
+    'to', (
+        SELECT ws."category" FROM "public"."WorkflowStatus" ws
+        WHERE ws."projectId" = a."projectId" AND ws."key" = a."changes" -> 'status' ->> 'to'
+    )
+))
+WHERE a."action" IN ('issue.created', 'issue.updated')
+    AND a."changes" -> 'status' IS NOT NULL
+    AND a."changes" -> 'statusCategory' IS NULL;
@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const express = require('express');
+const multer = require('multer');
+const { PrismaClient } = require('@prisma/client');
+const authMiddleware = require('../middleware/auth.js');
+const { scopeByMethod } = authMiddleware;
+const { emitToProject, issueAudience } = require('../utils/realtime.js');
+const { recordActivity } = require('../utils/activity.js');
+const { roleFromProject, can } = require('../utils/permissions.js');
+const { getStorage } = require('../utils/storage.js');
+const { MAX_ATTACHMENT_BYTES, ALLOWED_CONTENT_TYPES, removeStoredFiles } = require('../utils/attachments.js');
+
+const prisma = new PrismaClient();
+// mergeParams so :issueId from the mount path in server.js is visible here
+const router = express.Router({ mergeParams: true });
+
+router.use(authMiddleware);
+// API tokens: reads need "read", changes "issues:write"
+router.use(scopeByMethod('issues:write'));
+
+// Files are held in memory only until they are handed to the storage driver
+const upload = multer({
+    storage: multer.memoryStorage(),
+    defParamCharset: 'utf8', // Browsers send UTF-8 file names
+    limits: { fileSize: MAX_ATTACHMENT_BYTES, files: 1 }
+}).single('file');
+
+const attachmentInclude = {
+    uploadedBy: { select: { id: true, name: true, email: true } }
+};
+
+// Hide where the file is stored
+const formatAttachment = ({ storageKey, ...attachment }) => attachment;
+
+// Load the issue and work out what the user may do with its attachments.
+// Project members can read; anyone who can update the issue (or is assigned to it) can upload.
+const loadIssueForUser = async (issueId, userId) => {
+    const issue = await prisma.issue.findUnique({
+        where: { id: issueId },
+        include: { project: { include: { collaborators: true } }, assignees: true }
+    });
+
+    if (!issue) return { issue: null };
+
+    const role = roleFromProject(issue.project, userId);
+    const isAssignee = issue.assignees.some(a => a.userId === userId);
+
+    return {
+        issue,
+        role,
+        canRead: can(role, 'project:view') || isAssignee,
+        canUpload: can(role, 'issue:update') || isAssignee
+    };
+};
+
+// Run multer and turn its errors into { error, status }
+const receiveFile = (req, res) => new Promise((resolve) => {
+    upload(req, res, (error) => {
+        if (!error) return resolve({});
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return resolve({ status: 413, error: `File is larger than ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB` });
+        }
+        if (error instanceof multer.MulterError) {
+            return resolve({ status: 400, error: error.message });
+        }
+        return resolve({ status: 400, error: 'Upload must be multipart/form-data with a "file" field' });
+    });
+});
+
+// RFC 6266 header that survives non-ASCII file names
+const contentDisposition = (type, filename) => {
+    const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+// GET /api/issues/:issueId/attachments - Files attached to an issue, oldest first
+router.get('/', async (req, res) => {
+    try {
+        const { issue, canRead } = await loadIssueForUser(req.params.issueId, req.user.id);
+
+        if (!issue) {
+            return res.status(404).json({ message: 'Issue not found.' });
+        }
+
+        if (!canRead) {
+            return res.status(403).json({ message: 'Access denied.' });
+        }
+
+        const attachments = await prisma.attachment.findMany({
+            where: { issueId: issue.id },
+            include: attachmentInclude,
+            orderBy: { createdAt: 'asc' }
+        });
+
+        res.json(attachments.map(formatAttachment));
+    } catch (error) {
+        console.error('Get attachments error:', error);
+        res.status(500).json({ message: 'Failed to retrieve attachments.' });
+    }
+});
+
+// POST /api/issues/:issueId/attachments - Upload one file (multipart field "file")
+router.post('/', async (req, res) => {
+    try {
+        const { issue, canUpload } = await loadIssueForUser(req.params.issueId, req.user.id);
+
+        if (!issue) {
+            return res.status(404).json({ message: 'Issue not found.' });
+        }
+
+        if (!canUpload) {
+            return res.status(403).json({ message: 'You do not have permission to attach files to this issue.' });
+        }
+
+        const { status, error } = await receiveFile(req, res);
+        if (error) {
+            return res.status(status).json({ message: error });
+        }
+
+        const { file } = req;
+        if (!file) {
+            return res.status(400).json({ message: 'A "file" field is required.' });
+        }
+
+        const contentType = file.mimetype.split(';')[0].trim().toLowerCase();
+        if (!ALLOWED_CONTENT_TYPES.includes(contentType)) {
+            return res.status(415).json({
+                message: `File type ${contentType} is not allowed. Allowed types: ${ALLOWED_CONTENT_TYPES.join(', ')}`
+            });
+        }
+
+        const filename = file.originalname.slice(0, 255) || 'file';
+        const storageKey = `issues/${issue.id}/${crypto.randomBytes(16).toString('hex')}`;
+
+        await getStorage().put(storageKey, file.buffer, { contentType });
+
+        let attachment;
+        try {
+            attachment = await prisma.$transaction(async (tx) => {
+                const created = await tx.attachment.create({
+                    data: {
+                        issueId: issue.id,
+                        filename,
+                        contentType,
+                        size: file.size,
+                        storageKey,
+                        uploadedById: req.user.id
+                    },
+                    include: attachmentInclude
+                });
+
+                await recordActivity({
+                    actorId: req.user.id,
+                    projectId: issue.projectId,
+                    issueId: issue.id,
+                    action: 'issue.attachment_added',
+                    changes: { attachment: { from: null, to: { id: created.id, filename, size: file.size } } }
+                }, tx);
+
+                return created;
+            });
+        } catch (createError) {
+            // Don't leave an orphaned file behind
+            await getStorage().remove(storageKey).catch(() => {});
+            throw createError;
+        }
+
+        emitToProject(req.io, issue.projectId, 'attachment:created', formatAttachment(attachment), issueAudience(issue));
+
+        res.status(201).json(formatAttachment(attachment));
+    } catch (error) {
+        console.error('Upload attachment error:', error);
+        res.status(500).json({ message: 'Failed to upload attachment.' });
+    }
+});
+
+// GET /api/issues/:issueId/attachments/:attachmentId/download - The file itself.
+// Images can be shown in the browser with ?inline=true; everything else downloads.
+router.get('/:attachmentId/download', async (req, res) => {
+    try {
+        const { issue, canRead } = await loadIssueForUser(req.params.issueId, req.user.id);
+
+        if (!issue) {
+            return res.status(404).json({ message: 'Issue not found.' });
+        }
+
+        if (!canRead) {
+            return res.status(403).json({ message: 'Access denied.' });
+        }
+
+        const attachment = await prisma.attachment.findFirst({
+            where: { id: req.params.attachmentId, issueId: issue.id }
+        });
+
+        if (!attachment) {
+            return res.status(404).json({ message: 'Attachment not found.' });
+        }
+
+        let stream;
+        try {
+            stream = await getStorage().createReadStream(attachment.storageKey);
+        } catch (storageError) {
+            console.error('Attachment file missing:', storageError);
+            return res.status(404).json({ message: 'Attachment file not found.' });
+        }
+
+        const inline = req.query.inline === 'true' && attachment.contentType.startsWith('image/');
+
+        res.setHeader('Content-Type', attachment.contentType);
+        res.setHeader('Content-Length', attachment.size);
+        res.setHeader('Content-Disposition', contentDisposition(inline ? 'inline' : 'attachment', attachment.filename));
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+
+        stream.on('error', (streamError) => {
+            console.error('Download attachment error:', streamError);
+            res.destroy(streamError);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        console.error('Download attachment error:', error);
+        res.status(500).json({ message: 'Failed to download attachment.' });
+    }
+});
+
+// DELETE /api/issues/:issueId/attachments/:attachmentId - Uploader, owner or admin
+router.delete('/:attachmentId', async (req, res) => {
+    try {
+        const { issue, role } = await loadIssueForUser(req.params.issueId, req.user.id);
+
+        if (!issue) {
+            return res.status(404).json({ message: 'Issue not found.' });
+        }
+
+        const attachment = await prisma.attachment.findFirst({
+            where: { id: req.params.attachmentId, issueId: issue.id }
+        });
+
+        if (!attachment) {
+            return res.status(404).json({ message: 'Attachment not found.' });
+        }
+
+        if (attachment.uploadedById !== req.user.id && !can(role, 'attachment:moderate')) {
+            return res.status(403).json({ message: 'Only the uploader, the owner or an admin can delete this attachment.' });
+        }
+
+        await prisma.$transaction(async (tx) => {
+            await tx.attachment.delete({ where: { id: attachment.id } });
+
+            await recordActivity({
+                actorId: req.user.id,
+                projectId: issue.projectId,
+                issueId: issue.id,
+                action: 'issue.attachment_removed',
+                changes: { attachment: { from: { id: attachment.id, filename: attachment.filename }, to: null } }
+            }, tx);
+        });
+        await removeStoredFiles([attachment.storageKey]);
+
+        emitToProject(req.io, issue.projectId, 'attachment:deleted',
+            { id: attachment.id, issueId: issue.id }, issueAudience(issue));
+
+        res.status(204).send();
+    } catch (error) {
+        console.error('Delete attachment error:', error);
+        res.status(500).json({ message: 'Failed to delete attachment.' });
+    }
+});
+
+module.exports = router;
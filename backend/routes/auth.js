@@ -1,14 +1,17 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const nodemailer = require('nodemailer');
+const { sendMail } = require('../utils/mailer.js');
+const { verifyToken } = require('../middleware/auth.js');
+const { ACCESS_TOKEN_TTL, createSession, rotateRefreshToken, revokeSession, revokeAllSessions } = require('../utils/sessions.js');
+const { disconnectSessions, joinProject, emitToProject } = require('../utils/realtime.js');
+const { findInvitationByToken, acceptInvitation } = require('../utils/invitations.js');
 
 const prisma = new PrismaClient();
 const router = express.Router();
 
-// ✅ Authentication middleware for protected routes
-const authenticateToken = (req, res, next) => {
+// ✅ Authentication middleware for protected routes (also rejects logged-out sessions)
+const authenticateToken = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
 
@@ -16,28 +19,18 @@ const authenticateToken = (req, res, next) => {
         return res.status(401).json({ message: 'Access token is required' });
     }
 
-    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-        if (err) {
-            return res.status(403).json({ message: 'Invalid or expired token' });
-        }
-        req.user = user;
-        next();
-    });
+    try {
+        req.user = await verifyToken(token);
+    } catch (err) {
+        return res.status(403).json({ message: 'Invalid or expired token' });
+    }
+    next();
 };
 
-// ✅ FIXED: Configure Nodemailer (changed createTransporter to createTransport)
-const transporter = nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-        user: process.env.GMAIL_USER,
-        pass: process.env.GMAIL_APP_PASSWORD,
-    },
-});
-
 // SIGNUP ROUTE
 router.post('/signup', async (req, res) => {
     try {
-        const { name, email, password } = req.body;
+        const { name, email, password, inviteToken } = req.body;
         if (!name || !email || !password) {
             return res.status(400).json({ message: 'All fields are required.' });
         }
@@ -45,14 +38,39 @@ router.post('/signup', async (req, res) => {
         if (existingUser) {
             return res.status(400).json({ message: 'User with this email already exists.' });
         }
+        // Optional project invitation, accepted together with the signup
+        let invitation = null;
+        if (inviteToken) {
+            const result = await findInvitationByToken(inviteToken);
+            if (result.error) {
+                return res.status(400).json({ message: result.error });
+            }
+            if (result.invitation.email !== email.toLowerCase()) {
+                return res.status(400).json({ message: 'This invitation was sent to a different email address.' });
+            }
+            invitation = result.invitation;
+        }
         const salt = await bcrypt.genSalt(10);
         const password_hash = await bcrypt.hash(password, salt);
-        const newUser = await prisma.user.create({
-            data: { name, email, password_hash },
+        const newUser = await prisma.$transaction(async (tx) => {
+            const user = await tx.user.create({
+                data: { name, email, password_hash },
+            });
+            if (invitation) {
+                await acceptInvitation(invitation, user.id, tx);
+            }
+            return user;
         });
+        if (invitation) {
+            emitToProject(req.io, invitation.projectId, 'project:invitation_accepted', {
+                id: invitation.projectId,
+                user: { id: newUser.id, name: newUser.name, email: newUser.email },
+            });
+        }
         res.status(201).json({
             message: 'User created successfully!',
             user: { id: newUser.id, name: newUser.name, email: newUser.email },
+            ...(invitation && { joinedProject: invitation.project }),
         });
     } catch (error) {
         console.error('Signup Error:', error);
@@ -75,14 +93,13 @@ router.post('/login', async (req, res) => {
         if (!isMatch) {
             return res.status(400).json({ message: 'Invalid credentials.' });
         }
-        const token = jwt.sign(
-            { userId: user.id, email: user.email },
-            process.env.JWT_SECRET,
-            { expiresIn: '1h' }
-        );
+        // One session per login; the refresh token keeps it alive past the access token
+        const { token, refreshToken } = await createSession(user, req.headers['user-agent']);
         res.status(200).json({
             message: 'Logged in successfully!',
             token,
+            refreshToken,
+            expiresIn: ACCESS_TOKEN_TTL,
             user: { id: user.id, name: user.name, email: user.email },
         });
     } catch (error) {
@@ -91,6 +108,107 @@ router.post('/login', async (req, res) => {
     }
 });
 
+// REFRESH ROUTE - swap a refresh token for a new token pair (the old refresh token stops working)
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        if (!refreshToken) {
+            return res.status(400).json({ message: 'Refresh token is required.' });
+        }
+        const result = await rotateRefreshToken(refreshToken);
+        if (!result) {
+            return res.status(401).json({ message: 'Invalid or expired refresh token.' });
+        }
+        const { user } = result;
+        res.status(200).json({
+            token: result.token,
+            refreshToken: result.refreshToken,
+            expiresIn: ACCESS_TOKEN_TTL,
+            user: { id: user.id, name: user.name, email: user.email },
+        });
+    } catch (error) {
+        console.error('Refresh Error:', error);
+        res.status(500).json({ message: 'Server error during token refresh.' });
+    }
+});
+
+// LOGOUT ROUTE - end the current session
+router.post('/logout', authenticateToken, async (req, res) => {
+    try {
+        await revokeSession(req.user.sessionId);
+        disconnectSessions(req.io, [req.user.sessionId]);
+        res.status(200).json({ message: 'Logged out successfully.' });
+    } catch (error) {
+        console.error('Logout Error:', error);
+        res.status(500).json({ message: 'Server error during logout.' });
+    }
+});
+
+// LOGOUT ALL DEVICES ROUTE - end every session of the current user
+router.post('/logout-all', authenticateToken, async (req, res) => {
+    try {
+        const sessionIds = await revokeAllSessions(req.user.id);
+        disconnectSessions(req.io, sessionIds);
+        res.status(200).json({ message: 'Logged out from all devices.', sessions: sessionIds.length });
+    } catch (error) {
+        console.error('Logout All Error:', error);
+        res.status(500).json({ message: 'Server error during logout.' });
+    }
+});
+
+// INVITATION PREVIEW ROUTE - lets the signup / accept page show what the invite is for
+router.get('/invitations/preview', async (req, res) => {
+    try {
+        const { token } = req.query;
+        if (!token) {
+            return res.status(400).json({ message: 'Invitation token is required.' });
+        }
+        const { invitation, error } = await findInvitationByToken(token);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+        const hasAccount = Boolean(await prisma.user.findUnique({ where: { email: invitation.email } }));
+        res.status(200).json({
+            email: invitation.email,
+            role: invitation.role,
+            project: invitation.project,
+            invitedBy: invitation.invitedBy,
+            expiresAt: invitation.expiresAt,
+            hasAccount,
+        });
+    } catch (error) {
+        console.error('Invitation Preview Error:', error);
+        res.status(500).json({ message: 'Server error while loading invitation.' });
+    }
+});
+
+// ACCEPT INVITATION ROUTE - for people who already have an account
+router.post('/invitations/accept', authenticateToken, async (req, res) => {
+    try {
+        const { token } = req.body;
+        if (!token) {
+            return res.status(400).json({ message: 'Invitation token is required.' });
+        }
+        const { invitation, error } = await findInvitationByToken(token);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+        if (invitation.email !== req.user.email.toLowerCase()) {
+            return res.status(403).json({ message: 'This invitation was sent to a different email address.' });
+        }
+        await prisma.$transaction((tx) => acceptInvitation(invitation, req.user.id, tx));
+        joinProject(req.io, invitation.projectId, [req.user.id]);
+        emitToProject(req.io, invitation.projectId, 'project:invitation_accepted', {
+            id: invitation.projectId,
+            user: { id: req.user.id, email: req.user.email },
+        });
+        res.status(200).json({ message: 'Invitation accepted.', project: invitation.project });
+    } catch (error) {
+        console.error('Accept Invitation Error:', error);
+        res.status(500).json({ message: 'Server error while accepting invitation.' });
+    }
+});
+
 // FORGOT PASSWORD ROUTE
 router.post('/forgot-password', async (req, res) => {
     try {
@@ -103,13 +221,12 @@ router.post('/forgot-password', async (req, res) => {
         const expires_at = new Date(Date.now() + 10 * 60 * 1000); // Expires in 10 minutes
         await prisma.otp.create({ data: { email, otp, expires_at } });
         const mailOptions = {
-            from: process.env.GMAIL_USER,
             to: email,
             subject: 'Your Password Reset OTP',
             text: `Your OTP for password reset is: ${otp}. It will expire in 10 minutes.`,
             html: `<p>Your OTP for password reset is: <strong>${otp}</strong>. It will expire in 10 minutes.</p>`,
         };
-        await transporter.sendMail(mailOptions);
+        await sendMail(mailOptions);
         res.status(200).json({ message: 'OTP sent to your email successfully.' });
     } catch (error) {
         console.error('Forgot Password Error:', error);
@@ -129,11 +246,14 @@ router.post('/verify-otp', async (req, res) => {
         }
         const salt = await bcrypt.genSalt(10);
         const password_hash = await bcrypt.hash(newPassword, salt);
-        await prisma.user.update({
+        const user = await prisma.user.update({
             where: { email },
             data: { password_hash },
         });
         await prisma.otp.delete({ where: { id: otpRecord.id } });
+        // A password reset signs the user out everywhere
+        const sessionIds = await revokeAllSessions(user.id);
+        disconnectSessions(req.io, sessionIds);
         res.status(200).json({ message: 'Password has been reset successfully.' });
     } catch (error) {
         console.error('Verify OTP Error:', error);
@@ -0,0 +1,294 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const authMiddleware = require('../middleware/auth.js');
+const { scopeByMethod } = authMiddleware;
+const { emitToProject, issueAudience, userRoom } = require('../utils/realtime.js');
+const { roleFromProject, can } = require('../utils/permissions.js');
+
+const prisma = new PrismaClient();
+// mergeParams so :issueId from the mount path in server.js is visible here
+const router = express.Router({ mergeParams: true });
+
+router.use(authMiddleware);
+// API tokens: reads need "read", changes "issues:write"
+router.use(scopeByMethod('issues:write'));
+
+const commentInclude = {
+    author: { select: { id: true, name: true, email: true } },
+    mentions: {
+        include: {
+            user: { select: { id: true, name: true, email: true } }
+        }
+    }
+};
+
+// Shape a comment for the client: "edited" marker, no body once deleted
+const formatComment = (comment) => ({
+    ...comment,
+    body: comment.deletedAt ? null : comment.body,
+    edited: Boolean(comment.editedAt),
+    deleted: Boolean(comment.deletedAt),
+    mentions: comment.mentions.map(m => m.user)
+});
+
+// Load the issue with everything needed to decide access.
+// Anyone with a project role, plus the issue's assignees, can read and write comments.
+const loadIssueForUser = async (issueId, userId) => {
+    const issue = await prisma.issue.findUnique({
+        where: { id: issueId },
+        include: {
+            project: {
+                include: {
+                    owner: { select: { id: true, name: true, email: true } },
+                    collaborators: {
+                        include: {
+                            user: { select: { id: true, name: true, email: true } }
+                        }
+                    }
+                }
+            },
+            assignees: true
+        }
+    });
+
+    if (!issue) return { issue: null, role: null, hasAccess: false };
+
+    const role = roleFromProject(issue.project, userId);
+    const hasAccess = can(role, 'comment:create')
+        || issue.assignees.some(a => a.userId === userId);
+
+    return { issue, role, hasAccess };
+};
+
+// Resolve @email and @name mentions against the project's owner and collaborators.
+// Names are matched case-insensitively with spaces removed, so "Jane Doe" is @janedoe.
+const resolveMentions = (body, project) => {
+    const members = [project.owner, ...project.collaborators.map(c => c.user)];
+    const tokens = [...body.matchAll(/(?:^|\s)@([\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g)];
+    const mentioned = new Map();
+
+    tokens.forEach(([, raw]) => {
+        // Drop trailing punctuation, e.g. "thanks @jane."
+        const token = raw.replace(/\.+$/, '').toLowerCase();
+        const user = token.includes('@')
+            ? members.find(m => m.email.toLowerCase() === token)
+            : members.find(m => m.name.replace(/\s+/g, '').toLowerCase() === token);
+
+        if (user) mentioned.set(user.id, user);
+    });
+
+    return [...mentioned.values()];
+};
+
+// GET /api/issues/:issueId/comments - Get all comments as a thread tree
+router.get('/', async (req, res) => {
+    const { issueId } = req.params;
+    const userId = req.user.id;
+
+    try {
+        const { issue, hasAccess } = await loadIssueForUser(issueId, userId);
+
+        if (!issue) {
+            return res.status(404).json({ message: 'Issue not found.' });
+        }
+
+        if (!hasAccess) {
+            return res.status(403).json({ message: 'Access denied.' });
+        }
+
+        const comments = await prisma.comment.findMany({
+            where: { issueId },
+            include: commentInclude,
+            orderBy: { createdAt: 'asc' }
+        });
+
+        // Build the reply tree in memory - one query regardless of thread depth
+        const byId = new Map(comments.map(c => [c.id, { ...formatComment(c), replies: [] }]));
+        const thread = [];
+        byId.forEach(comment => {
+            const parent = comment.parentId && byId.get(comment.parentId);
+            if (parent) {
+                parent.replies.push(comment);
+            } else {
+                thread.push(comment);
+            }
+        });
+
+        res.status(200).json(thread);
+    } catch (error) {
+        console.error('Get comments error:', error);
+        res.status(500).json({ message: 'Failed to retrieve comments.' });
+    }
+});
+
+// POST /api/issues/:issueId/comments - Add a comment or a reply
+router.post('/', async (req, res) => {
+    const { issueId } = req.params;
+    const { body, parentId } = req.body;
+    const userId = req.user.id;
+
+    if (typeof body !== 'string' || !body.trim()) {
+        return res.status(400).json({ message: 'Comment body is required.' });
+    }
+
+    try {
+        const { issue, hasAccess } = await loadIssueForUser(issueId, userId);
+
+        if (!issue) {
+            return res.status(404).json({ message: 'Issue not found.' });
+        }
+
+        if (!hasAccess) {
+            return res.status(403).json({ message: 'Access denied.' });
+        }
+
+        if (parentId) {
+            const parent = await prisma.comment.findUnique({ where: { id: parentId } });
+            if (!parent || parent.issueId !== issueId) {
+                return res.status(400).json({ message: 'Parent comment not found on this issue.' });
+            }
+        }
+
+        const mentionedUsers = resolveMentions(body, issue.project);
+
+        const comment = await prisma.comment.create({
+            data: {
+                body,
+                issueId,
+                authorId: userId,
+                parentId: parentId || null,
+                ...(mentionedUsers.length > 0 && {
+                    mentions: {
+                        create: mentionedUsers.map(u => ({ userId: u.id }))
+                    }
+                })
+            },
+            include: commentInclude
+        });
+
+        const formatted = formatComment(comment);
+
+        emitToProject(req.io, issue.projectId, 'comment:created', { ...formatted, projectId: issue.projectId }, issueAudience(issue));
+        // Mentioned users get a personal event as well, so clients can notify them
+        if (mentionedUsers.length > 0) {
+            req.io.to(mentionedUsers.map(u => userRoom(u.id))).emit('comment:mentioned', {
+                ...formatted,
+                projectId: issue.projectId,
+                issueTitle: issue.title
+            });
+        }
+
+        res.status(201).json(formatted);
+    } catch (error) {
+        console.error('Create comment error:', error);
+        res.status(500).json({ message: 'Failed to create comment.' });
+    }
+});
+
+// PATCH /api/issues/:issueId/comments/:commentId - Edit a comment (author only)
+router.patch('/:commentId', async (req, res) => {
+    const { issueId, commentId } = req.params;
+    const { body } = req.body;
+    const userId = req.user.id;
+
+    if (typeof body !== 'string' || !body.trim()) {
+        return res.status(400).json({ message: 'Comment body is required.' });
+    }
+
+    try {
+        const { issue, hasAccess } = await loadIssueForUser(issueId, userId);
+
+        if (!issue) {
+            return res.status(404).json({ message: 'Issue not found.' });
+        }
+
+        const existing = await prisma.comment.findUnique({ where: { id: commentId } });
+
+        if (!existing || existing.issueId !== issueId || existing.deletedAt) {
+            return res.status(404).json({ message: 'Comment not found.' });
+        }
+
+        if (!hasAccess || existing.authorId !== userId) {
+            return res.status(403).json({ message: 'Only the author can edit this comment.' });
+        }
+
+        const mentionedUsers = resolveMentions(body, issue.project);
+
+        // Replace the mention list so it always matches the current body
+        const [, comment] = await prisma.$transaction([
+            prisma.commentMention.deleteMany({ where: { commentId } }),
+            prisma.comment.update({
+                where: { id: commentId },
+                data: {
+                    body,
+                    editedAt: new Date(),
+                    mentions: {
+                        create: mentionedUsers.map(u => ({ userId: u.id }))
+                    }
+                },
+                include: commentInclude
+            })
+        ]);
+
+        const formatted = formatComment(comment);
+        emitToProject(req.io, issue.projectId, 'comment:updated', { ...formatted, projectId: issue.projectId }, issueAudience(issue));
+
+        res.status(200).json(formatted);
+    } catch (error) {
+        console.error('Update comment error:', error);
+        res.status(500).json({ message: 'Failed to update comment.' });
+    }
+});
+
+// DELETE /api/issues/:issueId/comments/:commentId - Delete a comment (author, project owner or admin)
+router.delete('/:commentId', async (req, res) => {
+    const { issueId, commentId } = req.params;
+    const userId = req.user.id;
+
+    try {
+        const { issue, role } = await loadIssueForUser(issueId, userId);
+
+        if (!issue) {
+            return res.status(404).json({ message: 'Issue not found.' });
+        }
+
+        const existing = await prisma.comment.findUnique({
+            where: { id: commentId },
+            include: { _count: { select: { replies: true } } }
+        });
+
+        if (!existing || existing.issueId !== issueId || existing.deletedAt) {
+            return res.status(404).json({ message: 'Comment not found.' });
+        }
+
+        if (existing.authorId !== userId && !can(role, 'comment:moderate')) {
+            return res.status(403).json({ message: 'Only the author or a project owner/admin can delete this comment.' });
+        }
+
+        // Keep a placeholder when there are replies so the thread stays intact
+        if (existing._count.replies > 0) {
+            await prisma.comment.update({
+                where: { id: commentId },
+                data: { deletedAt: new Date() }
+            });
+        } else {
+            await prisma.comment.delete({ where: { id: commentId } });
+        }
+
+        emitToProject(req.io, issue.projectId, 'comment:deleted', {
+            id: commentId,
+            issueId,
+            projectId: issue.projectId
+        }, issueAudience(issue));
+
+        res.status(204).send();
+    } catch (error) {
+        console.error('Delete comment error:', error);
+        if (error.code === 'P2025') {
+            return res.status(404).json({ message: 'Comment not found.' });
+        }
+        res.status(500).json({ message: 'Failed to delete comment.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,306 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const authMiddleware = require('../middleware/auth.js');
+const { scopeByMethod } = authMiddleware;
+const { emitToProject } = require('../utils/realtime.js');
+const { diffFields, recordActivity } = require('../utils/activity.js');
+const { authorizeProject } = require('../utils/permissions.js');
+const { getWorkflow, defaultStatusKey, validateTransition } = require('../utils/workflow.js');
+const { PRIORITIES } = require('../utils/issueFilters.js');
+const { toCsvRow, parseCsvRecords } = require('../utils/csv.js');
+const { formatIssueKey, reserveIssueNumbers } = require('../utils/issueKeys.js');
+const { RANK_STEP, topRank } = require('../utils/ranking.js');
+
+const prisma = new PrismaClient();
+// mergeParams so :id from the mount path in server.js is visible here
+const router = express.Router({ mergeParams: true });
+
+router.use(authMiddleware);
+// API tokens: reads need "read", changes "issues:write"
+router.use(scopeByMethod('issues:write'));
+
+const EXPORT_BATCH_SIZE = 500;
+const MAX_IMPORT_ROWS = 5000;
+
+const EXPORT_COLUMNS = [
+    'id', 'key', 'title', 'description', 'status', 'priority', 'assignees', 'labels',
+    'sprint', 'parentId', 'dueDate', 'createdAt', 'updatedAt'
+];
+const IMPORT_FIELDS = ['title', 'description', 'status', 'priority', 'assignees'];
+
+// Flat shape shared by both export formats
+const toExportRecord = (issue) => ({
+    id: issue.id,
+    key: formatIssueKey(issue.project.key, issue.number),
+    title: issue.title,
+    description: issue.description,
+    status: issue.status,
+    priority: issue.priority,
+    assignees: issue.assignees.map(a => a.user.email),
+    labels: issue.labels.map(l => l.label.name),
+    sprint: issue.sprint ? issue.sprint.name : null,
+    parentId: issue.parentId,
+    dueDate: issue.dueDate,
+    createdAt: issue.createdAt,
+    updatedAt: issue.updatedAt
+});
+
+// Page through a project's issues in creation order without loading them all at once
+async function* issueBatches(projectId) {
+    let cursor = null;
+
+    while (true) {
+        const batch = await prisma.issue.findMany({
+            where: { projectId, deletedAt: null },
+            include: {
+                project: { select: { key: true } },
+                assignees: { include: { user: { select: { email: true } } } },
+                labels: { include: { label: { select: { name: true } } } },
+                sprint: { select: { name: true } }
+            },
+            orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+            take: EXPORT_BATCH_SIZE,
+            ...(cursor && { cursor: { id: cursor }, skip: 1 })
+        });
+
+        if (batch.length > 0) yield batch.map(toExportRecord);
+        if (batch.length < EXPORT_BATCH_SIZE) return;
+        cursor = batch[batch.length - 1].id;
+    }
+}
+
+// GET /api/projects/:id/issues/export?format=csv|json - Download all issues of a project
+router.get('/export', async (req, res) => {
+    const { id } = req.params;
+    const format = req.query.format || 'csv';
+
+    if (!['csv', 'json'].includes(format)) {
+        return res.status(400).json({ message: 'format must be csv or json' });
+    }
+
+    try {
+        const { project } = await authorizeProject(id, req.user.id, 'project:view');
+
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found or access denied' });
+        }
+
+        const filename = `${project.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase() || 'project'}-issues.${format}`;
+        res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        if (format === 'csv') {
+            res.write(toCsvRow(EXPORT_COLUMNS));
+            for await (const records of issueBatches(id)) {
+                res.write(records.map(record => toCsvRow(EXPORT_COLUMNS.map(column => (Array.isArray(record[column])
+                    ? record[column].join('; ')
+                    : record[column])))).join(''));
+            }
+        } else {
+            let first = true;
+            res.write('[');
+            for await (const records of issueBatches(id)) {
+                res.write(records.map(record => {
+                    const json = `${first ? '' : ','}\n${JSON.stringify(record)}`;
+                    first = false;
+                    return json;
+                }).join(''));
+            }
+            res.write('\n]\n');
+        }
+
+        res.end();
+    } catch (error) {
+        console.error('Export issues error:', error);
+        // Once streaming has started the status is already sent; just cut the download short
+        if (res.headersSent) return res.end();
+        res.status(500).json({ message: 'Failed to export issues' });
+    }
+});
+
+// Turn the uploaded records into issue data. `mapping` is { field: column } and
+// defaults to a column named like the field (case-insensitive). Returns one
+// { row, data, errors } entry per record; `row` counts data rows from 1.
+const prepareRows = async (records, mapping, projectId) => {
+    const workflow = await getWorkflow(projectId);
+
+    const columnFor = (record, field) => {
+        if (mapping[field]) return mapping[field];
+        return Object.keys(record).find(key => key.trim().toLowerCase() === field);
+    };
+    const read = (record, field) => {
+        const column = columnFor(record, field);
+        return column === undefined ? undefined : record[column];
+    };
+
+    // Resolve every assignee email in one query
+    const emailsOf = (value) => (Array.isArray(value) ? value : String(value || '').split(/[;,]/))
+        .map(email => String(email).trim().toLowerCase())
+        .filter(Boolean);
+    const allEmails = [...new Set(records.flatMap(record => emailsOf(read(record, 'assignees'))))];
+    const users = await prisma.user.findMany({
+        where: { email: { in: allEmails, mode: 'insensitive' } },
+        select: { id: true, email: true }
+    });
+    const userIdByEmail = new Map(users.map(user => [user.email.toLowerCase(), user.id]));
+
+    return records.map((record, index) => {
+        const errors = [];
+        const title = String(read(record, 'title') ?? '').trim();
+        const description = String(read(record, 'description') ?? '').trim() || null;
+        const statusValue = String(read(record, 'status') ?? '').trim();
+        const priority = String(read(record, 'priority') ?? '').trim().toLowerCase() || 'medium';
+
+        if (!title) errors.push('title is required');
+
+        // Status by key or display name
+        let status = defaultStatusKey(workflow);
+        if (statusValue) {
+            const match = workflow.statuses.find(s => s.key === statusValue
+                || s.name.toLowerCase() === statusValue.toLowerCase());
+            status = match ? match.key : statusValue;
+        }
+        const statusError = validateTransition(workflow, null, status);
+        if (statusError) errors.push(statusError);
+
+        if (!PRIORITIES.includes(priority)) {
+            errors.push(`Unknown priority "${priority}". Use one of: ${PRIORITIES.join(', ')}`);
+        }
+
+        const emails = emailsOf(read(record, 'assignees'));
+        const unknown = emails.filter(email => !userIdByEmail.has(email));
+        if (unknown.length > 0) errors.push(`No user with email: ${unknown.join(', ')}`);
+
+        return {
+            row: index + 1,
+            data: {
+                title,
+                description,
+                status,
+                priority,
+                assigneeIds: [...new Set(emails.filter(email => userIdByEmail.has(email)).map(email => userIdByEmail.get(email)))]
+            },
+            errors
+        };
+    });
+};
+
+// POST /api/projects/:id/issues/import - Import issues from CSV or JSON.
+// Body: { format: 'csv' | 'json', data: <csv text> | [ { ... } ], mapping?: { title: 'Summary', ... }, dryRun? }
+// Runs as a dry run (validate and report errors per row) unless dryRun is false.
+// A real import creates every row in one transaction, or nothing if any row is invalid.
+router.post('/import', async (req, res) => {
+    const { id } = req.params;
+    const { format, data, mapping = {} } = req.body;
+    const dryRun = req.body.dryRun !== false;
+
+    let records;
+    if (format === 'csv' && typeof data === 'string') {
+        records = parseCsvRecords(data);
+    } else if (format === 'json' && Array.isArray(data)) {
+        records = data.filter(record => record && typeof record === 'object');
+    } else {
+        return res.status(400).json({ message: 'Send { format: "csv", data: "<csv text>" } or { format: "json", data: [...] }' });
+    }
+
+    const badField = Object.keys(mapping).find(field => !IMPORT_FIELDS.includes(field));
+    if (badField) {
+        return res.status(400).json({ message: `Cannot map "${badField}". Importable fields: ${IMPORT_FIELDS.join(', ')}` });
+    }
+
+    if (records.length === 0) {
+        return res.status(400).json({ message: 'No rows to import' });
+    }
+
+    if (records.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({ message: `At most ${MAX_IMPORT_ROWS} rows can be imported at once` });
+    }
+
+    try {
+        const { project, allowed } = await authorizeProject(id, req.user.id, 'issue:create');
+
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found or access denied' });
+        }
+
+        if (!allowed) {
+            return res.status(403).json({ message: 'You do not have permission to create issues in this project' });
+        }
+
+        const rows = await prepareRows(records, mapping, id);
+        const invalid = rows.filter(row => row.errors.length > 0).map(({ row, errors }) => ({ row, errors }));
+
+        const summary = {
+            dryRun,
+            total: rows.length,
+            valid: rows.length - invalid.length,
+            errors: invalid
+        };
+
+        if (dryRun) {
+            return res.json(summary);
+        }
+
+        if (invalid.length > 0) {
+            return res.status(400).json({ message: 'Import has invalid rows; nothing was imported', ...summary });
+        }
+
+        const created = await prisma.$transaction(async (tx) => {
+            const issueIds = [];
+            const firstNumber = await reserveIssueNumbers(tx, id, rows.length);
+            // Each imported issue goes on top of its column, like a newly created one
+            const nextRank = new Map();
+
+            for (const [index, { data: { assigneeIds, ...fields } }] of rows.entries()) {
+                const rank = nextRank.has(fields.status)
+                    ? nextRank.get(fields.status)
+                    : await topRank(tx, id, fields.status);
+                nextRank.set(fields.status, rank - RANK_STEP);
+
+                const issue = await tx.issue.create({
+                    data: {
+                        ...fields,
+                        projectId: id,
+                        number: firstNumber + index,
+                        rank,
+                        ...(assigneeIds.length > 0 && {
+                            assignees: { create: assigneeIds.map(userId => ({ userId })) }
+                        })
+                    }
+                });
+
+                await recordActivity({
+                    actorId: req.user.id,
+                    projectId: id,
+                    issueId: issue.id,
+                    action: 'issue.created',
+                    changes: {
+                        ...diffFields(null, issue, ['title', 'description', 'status', 'priority']),
+                        ...(assigneeIds.length > 0 && { assigneeIds: { from: [], to: assigneeIds } })
+                    }
+                }, tx);
+
+                issueIds.push(issue.id);
+            }
+
+            await recordActivity({
+                actorId: req.user.id,
+                projectId: id,
+                action: 'project.issues_imported',
+                changes: { issueCount: { from: null, to: issueIds.length } }
+            }, tx);
+
+            return issueIds;
+        }, { timeout: 60000 });
+
+        emitToProject(req.io, id, 'project:issues_imported', { projectId: id, count: created.length });
+
+        console.log(`Imported ${created.length} issues into project: ${id}`);
+        res.status(201).json({ ...summary, created: created.length, issueIds: created });
+    } catch (error) {
+        console.error('Import issues error:', error);
+        res.status(500).json({ message: 'Failed to import issues' });
+    }
+});
+
+module.exports = router;
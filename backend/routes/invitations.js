@@ -0,0 +1,199 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const authMiddleware = require('../middleware/auth.js');
+const { scopeByMethod } = authMiddleware;
+const { recordActivity } = require('../utils/activity.js');
+const { authorizeProject } = require('../utils/permissions.js');
+const { newInvitationExpiry, newTokenId, sendInvitationEmail } = require('../utils/invitations.js');
+
+const prisma = new PrismaClient();
+// mergeParams so :id from the mount path in server.js is visible here
+const router = express.Router({ mergeParams: true });
+
+router.use(authMiddleware);
+// API tokens: reads need "read", changes "projects:admin"
+router.use(scopeByMethod('projects:admin'));
+
+const INVITABLE_ROLES = ['admin', 'member', 'viewer'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Hide the token id - it is only ever sent inside the emailed link
+const formatInvitation = ({ tokenId, ...invitation }) => invitation;
+
+// Shared guard: owner or admin, like adding collaborators directly
+const requireManage = async (req, res) => {
+    const { project, role, allowed } = await authorizeProject(req.params.id, req.user.id, 'project:manage_collaborators');
+
+    if (!project) {
+        res.status(404).json({ message: 'Project not found or access denied' });
+        return {};
+    }
+
+    if (!allowed) {
+        res.status(403).json({ message: 'Only the owner or an admin can manage invitations' });
+        return {};
+    }
+
+    return { project, role };
+};
+
+// GET /api/projects/:id/invitations - Pending invitations
+router.get('/', async (req, res) => {
+    try {
+        const { project } = await requireManage(req, res);
+        if (!project) return;
+
+        const invitations = await prisma.projectInvitation.findMany({
+            where: {
+                projectId: req.params.id,
+                acceptedAt: null,
+                revokedAt: null
+            },
+            include: { invitedBy: { select: { id: true, name: true, email: true } } },
+            orderBy: { createdAt: 'desc' }
+        });
+
+        res.json(invitations.map(formatInvitation));
+    } catch (error) {
+        console.error('Get invitations error:', error);
+        res.status(500).json({ message: 'Failed to get invitations' });
+    }
+});
+
+// POST /api/projects/:id/invitations - Invite someone by email. Body: { email, role }
+// If the email can't be sent the invitation is still created, with emailSent: false,
+// and can be sent again with /resend.
+router.post('/', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const email = (req.body.email || '').trim().toLowerCase();
+        const role = req.body.role || 'member';
+
+        if (!EMAIL_PATTERN.test(email)) {
+            return res.status(400).json({ message: 'A valid email is required' });
+        }
+
+        if (!INVITABLE_ROLES.includes(role)) {
+            return res.status(400).json({ message: `Role must be one of: ${INVITABLE_ROLES.join(', ')}` });
+        }
+
+        const { project, role: currentRole } = await requireManage(req, res);
+        if (!project) return;
+
+        if (role === 'admin' && currentRole !== 'owner') {
+            return res.status(403).json({ message: 'Only the owner can invite admins' });
+        }
+
+        // Nothing to do if that person is already in the project
+        const existingUser = await prisma.user.findUnique({ where: { email } });
+        if (existingUser && (existingUser.id === project.ownerId
+            || project.collaborators.some(c => c.userId === existingUser.id))) {
+            return res.status(400).json({ message: 'This user is already a member of the project' });
+        }
+
+        const pending = await prisma.projectInvitation.findFirst({
+            where: { projectId: id, email, acceptedAt: null, revokedAt: null, expiresAt: { gt: new Date() } }
+        });
+        if (pending) {
+            return res.status(400).json({ message: 'This email already has a pending invitation. Resend it instead.' });
+        }
+
+        const inviter = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+        const invitation = await prisma.projectInvitation.create({
+            data: {
+                projectId: id,
+                email,
+                role,
+                tokenId: newTokenId(),
+                expiresAt: newInvitationExpiry(),
+                invitedById: req.user.id
+            }
+        });
+
+        let emailSent = true;
+        try {
+            await sendInvitationEmail(invitation, project.name, inviter.name);
+        } catch (mailError) {
+            console.error('Invitation email error:', mailError);
+            emailSent = false;
+        }
+
+        await recordActivity({
+            actorId: req.user.id,
+            projectId: id,
+            action: 'project.invitation_sent',
+            changes: { invitation: { from: null, to: { email, role } } }
+        });
+
+        console.log(`Invitation ${emailSent ? 'sent' : 'created (email failed)'} to ${email} for project: ${id}`);
+        res.status(201).json({ ...formatInvitation(invitation), emailSent });
+    } catch (error) {
+        console.error('Create invitation error:', error);
+        res.status(500).json({ message: 'Failed to send invitation' });
+    }
+});
+
+// POST /api/projects/:id/invitations/:invitationId/resend - Email a fresh link (old links stop working)
+router.post('/:invitationId/resend', async (req, res) => {
+    try {
+        const { id, invitationId } = req.params;
+
+        const { project } = await requireManage(req, res);
+        if (!project) return;
+
+        const existing = await prisma.projectInvitation.findFirst({
+            where: { id: invitationId, projectId: id, acceptedAt: null, revokedAt: null }
+        });
+
+        if (!existing) {
+            return res.status(404).json({ message: 'Pending invitation not found' });
+        }
+
+        const invitation = await prisma.projectInvitation.update({
+            where: { id: invitationId },
+            data: { tokenId: newTokenId(), expiresAt: newInvitationExpiry() }
+        });
+
+        const inviter = await prisma.user.findUnique({ where: { id: req.user.id } });
+        await sendInvitationEmail(invitation, project.name, inviter.name);
+
+        res.json(formatInvitation(invitation));
+    } catch (error) {
+        console.error('Resend invitation error:', error);
+        res.status(500).json({ message: 'Failed to resend invitation' });
+    }
+});
+
+// DELETE /api/projects/:id/invitations/:invitationId - Revoke a pending invitation
+router.delete('/:invitationId', async (req, res) => {
+    try {
+        const { id, invitationId } = req.params;
+
+        const { project } = await requireManage(req, res);
+        if (!project) return;
+
+        const { count } = await prisma.projectInvitation.updateMany({
+            where: { id: invitationId, projectId: id, acceptedAt: null, revokedAt: null },
+            data: { revokedAt: new Date() }
+        });
+
+        if (count === 0) {
+            return res.status(404).json({ message: 'Pending invitation not found' });
+        }
+
+        await recordActivity({
+            actorId: req.user.id,
+            projectId: id,
+            action: 'project.invitation_revoked',
+            changes: { invitation: { from: invitationId, to: null } }
+        });
+
+        res.status(204).send();
+    } catch (error) {
+        console.error('Revoke invitation error:', error);
+        res.status(500).json({ message: 'Failed to revoke invitation' });
+    }
+});
+
+module.exports = router;
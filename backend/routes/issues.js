@@ -1,87 +1,178 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const authMiddleware = require('../middleware/auth.js');
+const { requireScope } = authMiddleware;
+const { emitToProject, issueAudience } = require('../utils/realtime.js');
+const { diffFields, recordActivity, listActivity } = require('../utils/activity.js');
+const { authorizeProject, roleFromProject, can } = require('../utils/permissions.js');
+const { getWorkflow, defaultStatusKey, validateTransition } = require('../utils/workflow.js');
+const { PRIORITIES, buildIssueWhere, buildIssuePaging } = require('../utils/issueFilters.js');
+const { notifyInBackground } = require('../utils/notifications.js');
+const { notTrashed } = require('../utils/trash.js');
+const { tokenAllowsProject, tokenProjectFilter } = require('../utils/accessTokens.js');
+const { ARCHIVED_MESSAGE } = require('../middleware/projectState.js');
+const { lockDependencies, wouldCreateDependencyCycle, wouldCreateParentCycle, findOpenBlockers } = require('../utils/issueLinks.js');
+const { formatIssueKey, reserveIssueNumbers, resolveIssueParam } = require('../utils/issueKeys.js');
+const { issueInclude, formatIssue, findIssuePage } = require('../utils/issueQueries.js');
+const { RANK_STEP, lockColumn, topRank, placeIssue, scheduleRebalance } = require('../utils/ranking.js');
+const { setIssueETag, parseIfMatch, bumpVersion, sendVersionConflict } = require('../utils/issueVersions.js');
 
 const prisma = new PrismaClient();
 const router = express.Router();
 
+// Issue fields tracked in the activity log
+const TRACKED_FIELDS = ['title', 'description', 'status', 'priority', 'dueDate', 'sprintId'];
+
 router.use(authMiddleware);
 
-// GET /api/issues - Retrieve issues with filtering
-router.get('/', async (req, res) => {
-    console.log('1. Received request for GET /api/issues');
-    const { projectId, status, priority, search } = req.query;
+// Every :issueId route also accepts an issue key such as WEB-142
+router.param('issueId', resolveIssueParam);
+
+// Email bodies for issue notifications
+const assignedMessage = (issue, actor) => ({
+    subject: `You were assigned to "${issue.title}"`,
+    text: `${actor} assigned you to "${issue.title}" in project ${issue.project.name}.`
+});
+
+const changedMessage = (issue, actor, changes) => ({
+    subject: `"${issue.title}" was updated`,
+    text: `${actor} updated "${issue.title}" in project ${issue.project.name}:\n`
+        + Object.entries(changes)
+            .map(([field, { from, to }]) => (field === 'description'
+                ? '- description changed'
+                : `- ${field}: ${JSON.stringify(from)} → ${JSON.stringify(to)}`))
+            .join('\n')
+});
+
+// dueDate from a request body: undefined (not sent), null (clear it) or a valid date
+const parseDueDate = (value) => {
+    if (value === undefined || value === null) return { dueDate: value };
+    const dueDate = new Date(value);
+    if (Number.isNaN(dueDate.getTime())) {
+        return { error: 'dueDate must be a valid date.' };
+    }
+    return { dueDate };
+};
+
+// sprintId from a request body must be an open sprint of the issue's project (null = backlog)
+const checkSprint = async (sprintId, projectId) => {
+    if (!sprintId) return null;
+    const sprint = await prisma.sprint.findFirst({ where: { id: sprintId, projectId } });
+    if (!sprint) return 'Sprint must belong to the same project.';
+    if (sprint.state === 'closed') return 'Issues cannot be added to a closed sprint.';
+    return null;
+};
+
+// Check a status change against the project's workflow and, when it finishes the issue,
+// against its open blockers. Returns { warnings } or { status, error, blockers? }.
+// Pass the project's workflow when it is already loaded.
+const checkStatusChange = async (issue, status, workflow = null) => {
+    workflow = workflow || await getWorkflow(issue.projectId);
+    const statusError = validateTransition(workflow, issue.status, status);
+
+    if (statusError) {
+        return { status: 400, error: statusError };
+    }
+
+    // Finishing an issue that is still blocked: warn or refuse, per project setting
+    const warnings = [];
+    const target = workflow.statuses.find(s => s.key === status);
+    if (target.category === 'done' && status !== issue.status) {
+        const blockers = await findOpenBlockers(issue.id);
+
+        if (blockers.length > 0) {
+            const message = `This issue is blocked by ${blockers.length} open issue(s).`;
+
+            if (issue.project.blockedDoneMode === 'block') {
+                return { status: 400, error: message, blockers };
+            }
+            warnings.push({ type: 'open_blockers', message, blockers });
+        }
+    }
+
+    return { warnings };
+};
+
+// Ids present in `after` but not in `before`
+const addedIds = (before, after) => after.filter(id => !before.includes(id));
+
+// GET /api/issues - Retrieve issues with filtering, sorting and cursor pagination.
+// See utils/issueFilters.js for the supported query parameters. With `limit` or `cursor`
+// the response is a page { items, totalCount, nextCursor }; without either it stays the
+// plain array of every matching issue that existing clients expect.
+router.get('/', requireScope('read'), async (req, res) => {
     const userId = req.user.id;
-    const where = {};
-
-    if (projectId) where.projectId = projectId;
-    if (status) where.status = status;
-    if (priority) where.priority = priority;
-    if (search) {
-        where.title = {
-            contains: search,
-            mode: 'insensitive',
-        };
+
+    const { where, error: filterError } = buildIssueWhere(req.query, userId);
+    const { orderBy, limit, cursor, error: pagingError } = buildIssuePaging(req.query);
+
+    if (filterError || pagingError) {
+        return res.status(400).json({ message: filterError || pagingError });
     }
-    
-    // Filter to show issues assigned to current user or in their projects
-    where.OR = [
-        { project: { ownerId: userId } }, // Issues in user's projects
-        { assignees: { some: { userId: userId } } } // Issues assigned to user
-    ];
-    
-    console.log('2. Built filter object:', where);
+
+    // API tokens limited to some projects only see their issues
+    const tokenFilter = tokenProjectFilter(req.user);
+    if (tokenFilter) where.AND.push(tokenFilter);
 
     try {
-        console.log('3. Querying the database...');
-        const issues = await prisma.issue.findMany({
-            where,
-            include: {
-                project: { select: { name: true } },
-                assignees: {
-                    include: {
-                        user: { select: { id: true, name: true, email: true } }
-                    }
-                }
-            },
-            orderBy: { createdAt: 'desc' },
-        });
-        console.log('4. Database query successful! Sending response.');
-        res.status(200).json(issues);
+        const paged = req.query.limit !== undefined || req.query.cursor !== undefined;
+        const result = paged
+            ? await findIssuePage({ where, orderBy, limit, cursor })
+            : (await prisma.issue.findMany({ where, include: issueInclude, orderBy })).map(formatIssue);
+
+        res.status(200).json(result);
     } catch (error) {
-        console.error('5. An error occurred in the database query!', error);
+        console.error('Get issues error:', error);
         res.status(500).json({ message: 'Failed to retrieve issues.', error: error.message });
     }
 });
 
 // POST /api/issues - Create a new issue with multiple assignees
-router.post('/', async (req, res) => {
-    const { title, description, priority, projectId, assigneeIds } = req.body;
+router.post('/', requireScope('issues:write'), async (req, res) => {
+    const { title, description, status, priority, projectId, assigneeIds, parentId, sprintId } = req.body;
     const currentUserId = req.user.id;
 
     if (!title || !projectId) {
         return res.status(400).json({ message: 'Title and projectId are required.' });
     }
 
+    const { dueDate, error: dueDateError } = parseDueDate(req.body.dueDate);
+    if (dueDateError) {
+        return res.status(400).json({ message: dueDateError });
+    }
+
     try {
-        // Validate project ownership
-        const project = await prisma.project.findUnique({
-            where: { id: projectId }
-        });
+        // Validate project role
+        const { project, allowed } = await authorizeProject(projectId, currentUserId, 'issue:create');
 
-        if (!project) {
+        if (!project || !tokenAllowsProject(req.user, project.id)) {
             return res.status(404).json({ message: 'Project not found.' });
         }
 
-        if (project.ownerId !== currentUserId) {
-            return res.status(403).json({ message: 'Only project owner can create issues.' });
+        if (!allowed) {
+            return res.status(403).json({ message: 'You do not have permission to create issues in this project.' });
+        }
+
+        if (project.archivedAt) {
+            return res.status(409).json({ message: ARCHIVED_MESSAGE });
+        }
+
+        // New issues start in the requested status or the project's first "todo" column
+        const workflow = await getWorkflow(projectId);
+        const statusKey = status || defaultStatusKey(workflow);
+        const statusError = validateTransition(workflow, null, statusKey);
+
+        if (statusError) {
+            return res.status(400).json({ message: statusError });
         }
 
         // Create issue data
         const issueData = { 
             title, 
             description, 
+            status: statusKey,
             priority: priority || 'medium',
+            dueDate,
             projectId
         };
 
@@ -92,20 +183,54 @@ router.post('/', async (req, res) => {
             };
         }
 
-        const newIssue = await prisma.issue.create({
-            data: issueData,
-            include: {
-                project: { select: { name: true } },
-                assignees: {
-                    include: {
-                        user: { select: { id: true, name: true, email: true } }
-                    }
-                }
+        // Optionally create it as a sub-task of another issue in the same project
+        if (parentId) {
+            const parent = await prisma.issue.findUnique({ where: { id: parentId, deletedAt: null } });
+            if (!parent || parent.projectId !== projectId) {
+                return res.status(400).json({ message: 'Parent issue must be in the same project.' });
             }
-        });
-        
-        // ✨ EMIT EVENT: A new issue has been created
-        req.io.emit('issue:created', newIssue);
+            issueData.parentId = parentId;
+        }
+
+        const sprintError = await checkSprint(sprintId, projectId);
+        if (sprintError) {
+            return res.status(400).json({ message: sprintError });
+        }
+        if (sprintId) issueData.sprintId = sprintId;
+
+        // Take the next issue number and create the issue at the top of its column,
+        // logged in the same transaction
+        const newIssue = formatIssue(await prisma.$transaction(async (tx) => {
+            const created = await tx.issue.create({
+                data: {
+                    ...issueData,
+                    number: await reserveIssueNumbers(tx, projectId),
+                    rank: await topRank(tx, projectId, statusKey)
+                },
+                include: issueInclude
+            });
+
+            await recordActivity({
+                actorId: currentUserId,
+                projectId,
+                issueId: created.id,
+                action: 'issue.created',
+                changes: {
+                    ...diffFields(null, created, TRACKED_FIELDS),
+                    ...(created.assignees.length > 0 && {
+                        assigneeIds: { from: [], to: created.assignees.map(a => a.userId) }
+                    })
+                }
+            }, tx);
+
+            return created;
+        }));
+
+        notifyInBackground('issue_assigned', newIssue.assignees.map(a => a.userId),
+            assignedMessage(newIssue, req.user.email), { actorId: currentUserId });
+
+        // ✨ EMIT EVENT: A new issue has been created (project members + assignees only)
+        emitToProject(req.io, newIssue.projectId, 'issue:created', newIssue, issueAudience(newIssue));
 
         res.status(201).json(newIssue);
     } catch (error) {
@@ -114,66 +239,563 @@ router.post('/', async (req, res) => {
     }
 });
 
-// PATCH /api/issues/:issueId - Update an issue
-router.patch('/:issueId', async (req, res) => {
+const MAX_BULK_ISSUES = 200;
+
+// Bulk operations and the project permission each issue needs for them
+const BULK_OPERATIONS = {
+    set_status: 'issue:update',
+    set_priority: 'issue:update',
+    add_assignees: 'issue:assign',
+    remove_assignees: 'issue:assign',
+    move_project: 'issue:update',
+    delete: 'issue:delete' // Moves them to the trash, like DELETE /api/issues/:issueId
+};
+
+// Validate the parameters of a bulk operation. Returns an error message or null.
+const checkBulkOperation = (operation) => {
+    switch (operation.type) {
+        case 'set_status':
+            return operation.status ? null : 'operation.status is required.';
+        case 'set_priority':
+            return PRIORITIES.includes(operation.priority)
+                ? null
+                : `operation.priority must be one of: ${PRIORITIES.join(', ')}.`;
+        case 'add_assignees':
+        case 'remove_assignees':
+            return Array.isArray(operation.userIds) && operation.userIds.length > 0
+                ? null
+                : 'operation.userIds array is required.';
+        case 'move_project':
+            return operation.projectId ? null : 'operation.projectId is required.';
+        case 'delete':
+            return null;
+        default:
+            return `operation.type must be one of: ${Object.keys(BULK_OPERATIONS).join(', ')}.`;
+    }
+};
+
+// Apply a bulk operation to already checked issues inside `tx`. Returns one
+// { issue, before, result, changes } entry per issue; `issue` is the updated issue
+// (null when deleted) and `result` is "updated", "unchanged" or "deleted".
+const applyBulkOperation = async (tx, issues, operation, actorId, target) => {
+    const outcomes = [];
+    // Next free rank per "<projectId>:<status>" column; changed issues go on top
+    const nextRank = new Map();
+    const rankFor = async (projectId, status) => {
+        const column = `${projectId}:${status}`;
+        const rank = nextRank.has(column) ? nextRank.get(column) : await topRank(tx, projectId, status);
+        nextRank.set(column, rank - RANK_STEP);
+        return rank;
+    };
+    const log = (issue, action, changes, projectId = issue.projectId) => recordActivity({
+        actorId,
+        projectId,
+        issueId: issue.id,
+        action,
+        changes
+    }, tx);
+
+    if (operation.type === 'delete') {
+        const deletedAt = new Date();
+        await tx.issue.updateMany({
+            where: { id: { in: issues.map(issue => issue.id) } },
+            data: { deletedAt, version: { increment: 1 } }
+        });
+        for (const issue of issues) {
+            await log(issue, 'issue.deleted', { deletedAt: { from: null, to: deletedAt } });
+        }
+
+        return issues.map(issue => ({ issue: null, before: issue, result: 'deleted', changes: {} }));
+    }
+
+    if (operation.type === 'move_project') {
+        const movingIds = issues.map(issue => issue.id);
+        const firstNumber = await reserveIssueNumbers(tx, target.project.id, issues.length);
+
+        // Links and labels can't cross projects: drop the ones to issues staying behind
+        await tx.issue.updateMany({
+            where: { parentId: { in: movingIds }, id: { notIn: movingIds } },
+            data: { parentId: null, version: { increment: 1 } }
+        });
+        await tx.issueDependency.deleteMany({
+            where: {
+                OR: [
+                    { blockedId: { in: movingIds }, blockerId: { notIn: movingIds } },
+                    { blockerId: { in: movingIds }, blockedId: { notIn: movingIds } }
+                ]
+            }
+        });
+        await tx.issueLabel.deleteMany({ where: { issueId: { in: movingIds } } });
+
+        // Assignees keep access to an issue, so only members of the target project stay on it
+        const members = [target.project.ownerId, ...target.project.collaborators.map(c => c.userId)];
+
+        for (const [index, issue] of issues.entries()) {
+            const assigneeIds = issue.assignees.map(a => a.userId);
+            const droppedIds = assigneeIds.filter(userId => !members.includes(userId));
+
+            // Keep the status if the target project has it, else use its first "todo" column
+            const status = target.workflow.statuses.some(s => s.key === issue.status)
+                ? issue.status
+                : defaultStatusKey(target.workflow);
+
+            const updated = await tx.issue.update({
+                where: { id: issue.id },
+                data: {
+                    projectId: target.project.id,
+                    number: firstNumber + index,
+                    status,
+                    rank: await rankFor(target.project.id, status),
+                    sprintId: null,
+                    parentId: movingIds.includes(issue.parentId) ? issue.parentId : null,
+                    ...(droppedIds.length > 0 && { assignees: { deleteMany: { userId: { in: droppedIds } } } }),
+                    version: { increment: 1 }
+                },
+                include: issueInclude
+            });
+
+            const changes = {
+                projectId: { from: issue.projectId, to: target.project.id },
+                key: { from: formatIssueKey(issue.project.key, issue.number), to: formatIssueKey(target.project.key, updated.number) },
+                ...diffFields(issue, updated, ['status', 'sprintId', 'parentId']),
+                ...(droppedIds.length > 0 && {
+                    assigneeIds: {
+                        from: [...assigneeIds].sort(),
+                        to: assigneeIds.filter(userId => !droppedIds.includes(userId)).sort()
+                    }
+                })
+            };
+            // The old status is a column of the source project, not of the one the change is logged in
+            let statusCategory;
+            if (changes.status) {
+                const source = await tx.workflowStatus.findFirst({
+                    where: { projectId: issue.projectId, key: issue.status },
+                    select: { category: true }
+                });
+                statusCategory = {
+                    from: source ? source.category : null,
+                    to: target.workflow.statuses.find(s => s.key === status).category
+                };
+            }
+            await log(issue, 'issue.project_changed', { ...changes, ...(statusCategory && { statusCategory }) }, target.project.id);
+            outcomes.push({ issue: updated, before: issue, result: 'updated', changes });
+        }
+
+        return outcomes;
+    }
+
+    for (const issue of issues) {
+        const assigneeIds = issue.assignees.map(a => a.userId);
+        let data = null;
+        let action = 'issue.updated';
+
+        if (operation.type === 'set_status' && issue.status !== operation.status) {
+            data = { status: operation.status, rank: await rankFor(issue.projectId, operation.status) };
+        } else if (operation.type === 'set_priority' && issue.priority !== operation.priority) {
+            data = { priority: operation.priority };
+        } else if (operation.type === 'add_assignees') {
+            const added = operation.userIds.filter(userId => !assigneeIds.includes(userId));
+            if (added.length > 0) {
+                data = { assignees: { create: added.map(userId => ({ userId })) } };
+                action = 'issue.assigned';
+            }
+        } else if (operation.type === 'remove_assignees') {
+            if (operation.userIds.some(userId => assigneeIds.includes(userId))) {
+                data = { assignees: { deleteMany: { userId: { in: operation.userIds } } } };
+                action = 'issue.unassigned';
+            }
+        }
+
+        if (!data) {
+            outcomes.push({ issue: null, before: issue, result: 'unchanged', changes: {} });
+            continue;
+        }
+
+        const updated = await tx.issue.update({
+            where: { id: issue.id },
+            data: { ...data, version: { increment: 1 } },
+            include: issueInclude
+        });
+
+        const changes = action === 'issue.updated'
+            ? diffFields(issue, updated, TRACKED_FIELDS)
+            : diffFields(
+                { assigneeIds: [...assigneeIds].sort() },
+                { assigneeIds: updated.assignees.map(a => a.userId).sort() },
+                ['assigneeIds']
+            );
+        await log(issue, action, changes);
+        outcomes.push({ issue: updated, before: issue, result: 'updated', changes });
+    }
+
+    return outcomes;
+};
+
+// POST /api/issues/bulk - Apply one operation to many issues in one transaction.
+// Body: { issueIds: [...], operation: { type, ...params } } where type is one of
+//   set_status { status }, set_priority { priority }, add_assignees { userIds },
+//   remove_assignees { userIds }, move_project { projectId }, delete (to the trash).
+// add_assignees only takes members of each issue's project; move_project unassigns
+// people who are not members of the target project.
+// Permissions and workflow rules are checked per issue first; if any issue fails,
+// nothing changes and the 400 lists why. Each affected project gets a single
+// "issues:bulk_updated" event instead of one event per issue.
+router.post('/bulk', requireScope('issues:write'), async (req, res) => {
+    const { issueIds, operation } = req.body;
+    const currentUserId = req.user.id;
+
+    if (!Array.isArray(issueIds) || issueIds.length === 0) {
+        return res.status(400).json({ message: 'issueIds array is required.' });
+    }
+
+    if (issueIds.length > MAX_BULK_ISSUES) {
+        return res.status(400).json({ message: `At most ${MAX_BULK_ISSUES} issues can be changed at once.` });
+    }
+
+    const operationError = operation && typeof operation === 'object'
+        ? checkBulkOperation(operation)
+        : 'operation is required.';
+    if (operationError) {
+        return res.status(400).json({ message: operationError });
+    }
+
+    try {
+        const ids = [...new Set(issueIds)];
+        const found = await prisma.issue.findMany({
+            where: { id: { in: ids }, ...notTrashed },
+            include: { project: { include: { collaborators: true } }, assignees: true }
+        });
+        const issuesById = new Map(found.map(issue => [issue.id, issue]));
+
+        let target = null;
+        if (operation.type === 'move_project') {
+            const { project, allowed } = await authorizeProject(operation.projectId, currentUserId, 'issue:create');
+
+            if (!project || !tokenAllowsProject(req.user, project.id)) {
+                return res.status(404).json({ message: 'Target project not found.' });
+            }
+            if (!allowed) {
+                return res.status(403).json({ message: 'You do not have permission to create issues in the target project.' });
+            }
+            if (project.archivedAt) {
+                return res.status(409).json({ message: 'The target project is archived and read-only.' });
+            }
+            target = { project, workflow: await getWorkflow(project.id) };
+        }
+
+        if (['add_assignees', 'remove_assignees'].includes(operation.type)) {
+            const userCount = await prisma.user.count({ where: { id: { in: operation.userIds } } });
+            if (userCount !== new Set(operation.userIds).size) {
+                return res.status(400).json({ message: 'One or more users do not exist.' });
+            }
+        }
+
+        // Check every issue before touching any of them
+        const workflows = new Map();
+        const checks = [];
+        for (const id of ids) {
+            const issue = issuesById.get(id);
+
+            if (!issue || !tokenAllowsProject(req.user, issue.projectId)) {
+                checks.push({ id, error: 'Issue not found.' });
+                continue;
+            }
+
+            if (!can(roleFromProject(issue.project, currentUserId), BULK_OPERATIONS[operation.type])) {
+                checks.push({ id, error: 'You do not have permission to do this in the issue\'s project.' });
+                continue;
+            }
+
+            if (issue.project.archivedAt) {
+                checks.push({ id, error: ARCHIVED_MESSAGE });
+                continue;
+            }
+
+            // Only people in the issue's project can be assigned to it
+            if (operation.type === 'add_assignees') {
+                const members = [issue.project.ownerId, ...issue.project.collaborators.map(c => c.userId)];
+                const outsiders = operation.userIds.filter(userId => !members.includes(userId));
+
+                if (outsiders.length > 0) {
+                    checks.push({ id, error: `Not members of the issue's project: ${[...new Set(outsiders)].join(', ')}.` });
+                    continue;
+                }
+            }
+
+            if (operation.type === 'set_status') {
+                if (!workflows.has(issue.projectId)) {
+                    workflows.set(issue.projectId, await getWorkflow(issue.projectId));
+                }
+                const { warnings, error } = await checkStatusChange(issue, operation.status, workflows.get(issue.projectId));
+
+                if (error) {
+                    checks.push({ id, error });
+                    continue;
+                }
+                checks.push({ id, issue, warnings });
+                continue;
+            }
+
+            checks.push({ id, issue, warnings: [] });
+        }
+
+        const failed = checks.filter(check => check.error);
+        if (failed.length > 0) {
+            return res.status(400).json({
+                message: `Nothing was changed: ${failed.length} of ${ids.length} issue(s) cannot be processed.`,
+                results: failed.map(({ id, error }) => ({ id, result: 'failed', error }))
+            });
+        }
+
+        // Issues already in the target project have nothing to move
+        const toApply = checks
+            .map(check => check.issue)
+            .filter(issue => !(target && issue.projectId === target.project.id));
+
+        const outcomes = await prisma.$transaction(
+            (tx) => applyBulkOperation(tx, toApply, operation, currentUserId, target),
+            { timeout: 30000 }
+        );
+
+        const outcomeById = new Map(outcomes.map(outcome => [outcome.before.id, outcome]));
+        const warningsById = new Map(checks.map(check => [check.id, check.warnings]));
+        const results = ids.map(id => {
+            const outcome = outcomeById.get(id);
+            const warnings = warningsById.get(id);
+            const issue = outcome && outcome.issue ? formatIssue(outcome.issue) : null;
+
+            return {
+                id,
+                result: outcome ? outcome.result : 'unchanged',
+                ...(issue && { issue }),
+                ...(warnings && warnings.length > 0 && { warnings })
+            };
+        });
+
+        // Notify as a single PATCH would, per issue
+        for (const { issue, before, changes } of outcomes) {
+            if (!issue) continue;
+            const formatted = formatIssue(issue);
+            const currentAssigneeIds = formatted.assignees.map(a => a.userId);
+            const newAssigneeIds = addedIds(before.assignees.map(a => a.userId), currentAssigneeIds);
+
+            if (newAssigneeIds.length > 0) {
+                notifyInBackground('issue_assigned', newAssigneeIds,
+                    assignedMessage(formatted, req.user.email), { actorId: currentUserId });
+            } else if (Object.keys(changes).length > 0 && !changes.assigneeIds) {
+                notifyInBackground('issue_changed', currentAssigneeIds,
+                    changedMessage(formatted, req.user.email, changes), { actorId: currentUserId });
+            }
+        }
+
+        // ✨ EMIT EVENT: One combined event per affected project
+        const byProject = new Map();
+        const projectEntry = (projectId) => {
+            if (!byProject.has(projectId)) byProject.set(projectId, { issues: [], removedIds: [], audience: new Set() });
+            return byProject.get(projectId);
+        };
+        for (const { issue, before, result } of outcomes) {
+            if (result === 'unchanged') continue;
+
+            before.assignees.forEach(a => projectEntry(before.projectId).audience.add(a.userId));
+            if (!issue || issue.projectId !== before.projectId) {
+                projectEntry(before.projectId).removedIds.push(before.id);
+            }
+            if (issue) {
+                const formatted = formatIssue(issue);
+                const entry = projectEntry(issue.projectId);
+                entry.issues.push(formatted);
+                issueAudience(formatted).forEach(userId => entry.audience.add(userId));
+            }
+        }
+        for (const [projectId, { issues, removedIds, audience }] of byProject) {
+            emitToProject(req.io, projectId, 'issues:bulk_updated', {
+                projectId,
+                operation: operation.type,
+                issues,
+                removedIds
+            }, [...audience]);
+        }
+
+        res.status(200).json({
+            operation: operation.type,
+            changed: outcomes.filter(outcome => outcome.result !== 'unchanged').length,
+            results
+        });
+    } catch (error) {
+        console.error('Bulk issue operation error:', error);
+        res.status(500).json({ message: 'Failed to apply bulk operation. Nothing was changed.' });
+    }
+});
+
+// GET /api/issues/:issueId - One issue, by id or key (e.g. WEB-142).
+// The ETag is its version, to send back as If-Match with the next change.
+router.get('/:issueId', requireScope('read'), async (req, res) => {
+    const { issueId } = req.params;
+    const currentUserId = req.user.id;
+
+    try {
+        const issue = await prisma.issue.findUnique({
+            where: { id: issueId, ...notTrashed },
+            include: issueInclude
+        });
+
+        if (!issue) {
+            return res.status(404).json({ message: 'Issue not found.' });
+        }
+
+        // Any project role can read; assignees outside the project can read their own issues
+        const { role } = await authorizeProject(issue.projectId, currentUserId, 'project:view');
+        const hasAccess = can(role, 'project:view') || issue.assignees.some(a => a.userId === currentUserId);
+
+        if (!hasAccess) {
+            return res.status(403).json({ message: 'Access denied.' });
+        }
+
+        setIssueETag(res, issue);
+        res.status(200).json(formatIssue(issue));
+    } catch (error) {
+        console.error('Get issue error:', error);
+        res.status(500).json({ message: 'Failed to retrieve issue.' });
+    }
+});
+
+// PATCH /api/issues/:issueId - Update an issue.
+// Send If-Match: "<version>" to get a 409 instead of overwriting someone else's change.
+router.patch('/:issueId', requireScope('issues:write'), async (req, res) => {
     const { issueId } = req.params;
-    const { title, description, status, priority, assigneeIds } = req.body;
+    const { title, description, status, priority, assigneeIds, sprintId } = req.body;
     const currentUserId = req.user.id;
 
+    const { dueDate, error: dueDateError } = parseDueDate(req.body.dueDate);
+    if (dueDateError) {
+        return res.status(400).json({ message: dueDateError });
+    }
+
+    const { version: expectedVersion, error: ifMatchError } = parseIfMatch(req);
+    if (ifMatchError) {
+        return res.status(400).json({ message: ifMatchError });
+    }
+    const attempted = { title, description, status, priority, dueDate, sprintId, assigneeIds };
+
     try {
-        // Validate project ownership
+        // Validate project role
         const issue = await prisma.issue.findUnique({
             where: { id: issueId },
-            include: { project: true }
+            include: { project: { include: { collaborators: true } }, assignees: true }
         });
 
         if (!issue) {
             return res.status(404).json({ message: 'Issue not found.' });
         }
 
-        if (issue.project.ownerId !== currentUserId) {
-            return res.status(403).json({ message: 'Only project owner can update issues.' });
+        if (!can(roleFromProject(issue.project, currentUserId), 'issue:update')) {
+            return res.status(403).json({ message: 'You do not have permission to update issues in this project.' });
+        }
+
+        if (expectedVersion !== null && issue.version !== expectedVersion) {
+            return await sendVersionConflict(res, issueId, attempted);
+        }
+
+        // Status changes must follow the project's workflow
+        const warnings = [];
+        if (status !== undefined) {
+            const { warnings: statusWarnings, status: errorStatus, error, blockers } = await checkStatusChange(issue, status);
+
+            if (error) {
+                return res.status(errorStatus).json({ message: error, ...(blockers && { blockers }) });
+            }
+            warnings.push(...statusWarnings);
+        }
+
+        if (sprintId !== undefined && sprintId !== issue.sprintId) {
+            const sprintError = await checkSprint(sprintId, issue.projectId);
+            if (sprintError) {
+                return res.status(400).json({ message: sprintError });
+            }
         }
 
         // Base update data
-        const updateData = {};
+        const updateData = { version: { increment: 1 } };
         if (title !== undefined) updateData.title = title;
         if (description !== undefined) updateData.description = description;
         if (status !== undefined) updateData.status = status;
+        // Moving to another column through PATCH puts the issue at the top of it
+        if (status !== undefined && status !== issue.status) {
+            updateData.rank = await topRank(prisma, issue.projectId, status, issueId);
+        }
         if (priority !== undefined) updateData.priority = priority;
+        if (dueDate !== undefined) updateData.dueDate = dueDate;
+        if (sprintId !== undefined) updateData.sprintId = sprintId || null;
         
-        // If assigneeIds is provided, update assignees
-        if (assigneeIds !== undefined) {
-            // First, remove existing assignees
-            await prisma.issueAssignee.deleteMany({
-                where: { issueId }
-            });
-            
-            // Then add new assignees if any
-            if (Array.isArray(assigneeIds) && assigneeIds.length > 0) {
-                updateData.assignees = {
-                    create: assigneeIds.map(userId => ({ userId }))
-                };
-            }
+        // If assigneeIds is provided, replace the assignees with them
+        if (Array.isArray(assigneeIds) && assigneeIds.length > 0) {
+            updateData.assignees = {
+                create: assigneeIds.map(userId => ({ userId }))
+            };
         }
 
-        const updatedIssue = await prisma.issue.update({
-            where: { id: issueId },
-            data: updateData,
-            include: {
-                project: { select: { name: true } },
-                assignees: {
-                    include: {
-                        user: { select: { id: true, name: true, email: true } }
-                    }
+        // With If-Match the write only matches the expected version; if someone else
+        // got in first it throws P2025 and the assignee removal is rolled back too
+        let updatedIssue;
+        let changes;
+        try {
+            ({ updatedIssue, changes } = await prisma.$transaction(async (tx) => {
+                if (assigneeIds !== undefined) {
+                    await tx.issueAssignee.deleteMany({ where: { issueId } });
                 }
+
+                const updated = formatIssue(await tx.issue.update({
+                    where: { id: issueId, ...(expectedVersion !== null && { version: expectedVersion }) },
+                    data: updateData,
+                    include: issueInclude
+                }));
+
+                const diff = diffFields(issue, updated, TRACKED_FIELDS);
+                if (assigneeIds !== undefined) {
+                    Object.assign(diff, diffFields(
+                        { assigneeIds: issue.assignees.map(a => a.userId).sort() },
+                        { assigneeIds: updated.assignees.map(a => a.userId).sort() },
+                        ['assigneeIds']
+                    ));
+                }
+                if (Object.keys(diff).length > 0) {
+                    await recordActivity({
+                        actorId: currentUserId,
+                        projectId: issue.projectId,
+                        issueId,
+                        action: 'issue.updated',
+                        changes: diff
+                    }, tx);
+                }
+
+                return { updatedIssue: updated, changes: diff };
+            }));
+        } catch (error) {
+            if (error.code === 'P2025' && expectedVersion !== null) {
+                return await sendVersionConflict(res, issueId, attempted);
             }
-        });
+            throw error;
+        }
+
+        // Newly added assignees get an "assigned" email; everyone else assigned gets "changed"
+        const previousAssigneeIds = issue.assignees.map(a => a.userId);
+        const currentAssigneeIds = updatedIssue.assignees.map(a => a.userId);
+        const newAssigneeIds = addedIds(previousAssigneeIds, currentAssigneeIds);
+        const fieldChanges = Object.fromEntries(Object.entries(changes).filter(([field]) => field !== 'assigneeIds'));
+
+        notifyInBackground('issue_assigned', newAssigneeIds,
+            assignedMessage(updatedIssue, req.user.email), { actorId: currentUserId });
+        if (Object.keys(fieldChanges).length > 0) {
+            notifyInBackground('issue_changed', currentAssigneeIds.filter(id => !newAssigneeIds.includes(id)),
+                changedMessage(updatedIssue, req.user.email, fieldChanges), { actorId: currentUserId });
+        }
 
         // ✨ EMIT EVENT: An existing issue has been updated
-        req.io.emit('issue:updated', updatedIssue);
+        emitToProject(req.io, updatedIssue.projectId, 'issue:updated', updatedIssue, issueAudience(updatedIssue));
 
-        res.status(200).json(updatedIssue);
+        setIssueETag(res, updatedIssue);
+        res.status(200).json(warnings.length > 0 ? { ...updatedIssue, warnings } : updatedIssue);
     } catch (error) {
         console.error('Update issue error:', error);
         if (error.code === 'P2025') {
@@ -183,8 +805,8 @@ router.patch('/:issueId', async (req, res) => {
     }
 });
 
-// POST /api/issues/:issueId/assign - Add assignees to issue
-router.post('/:issueId/assign', async (req, res) => {
+// POST /api/issues/:issueId/assign - Add assignees to issue (accepts If-Match like PATCH)
+router.post('/:issueId/assign', requireScope('issues:write'), async (req, res) => {
     const { issueId } = req.params;
     const { userIds } = req.body;
     const currentUserId = req.user.id;
@@ -193,54 +815,80 @@ router.post('/:issueId/assign', async (req, res) => {
         return res.status(400).json({ message: 'userIds array is required.' });
     }
 
+    const { version: expectedVersion, error: ifMatchError } = parseIfMatch(req);
+    if (ifMatchError) {
+        return res.status(400).json({ message: ifMatchError });
+    }
+
     try {
-        // Check if user owns the project
+        // Check the user's project role
         const issue = await prisma.issue.findUnique({
             where: { id: issueId },
-            include: { project: true }
+            include: { project: { include: { collaborators: true } }, assignees: true }
         });
 
         if (!issue) {
             return res.status(404).json({ message: 'Issue not found.' });
         }
 
-        if (issue.project.ownerId !== currentUserId) {
-            return res.status(403).json({ message: 'Only project owner can assign users.' });
+        if (!can(roleFromProject(issue.project, currentUserId), 'issue:assign')) {
+            return res.status(403).json({ message: 'You do not have permission to assign users in this project.' });
         }
 
-        // Add new assignees (ignore duplicates due to unique constraint)
-        const assignPromises = userIds.map(async (userId) => {
-            try {
-                return await prisma.issueAssignee.create({
-                    data: { issueId, userId }
+        const attempted = {
+            assigneeIds: [...new Set([...issue.assignees.map(a => a.userId), ...userIds])]
+        };
+
+        if (expectedVersion !== null && issue.version !== expectedVersion) {
+            return await sendVersionConflict(res, issueId, attempted);
+        }
+
+        // Add new assignees (users already assigned are skipped) under the next version
+        let updatedIssue;
+        try {
+            updatedIssue = await prisma.$transaction(async (tx) => {
+                await bumpVersion(tx, issueId, expectedVersion);
+                await tx.issueAssignee.createMany({
+                    data: userIds.map(userId => ({ issueId, userId })),
+                    skipDuplicates: true
                 });
-            } catch (error) {
-                // Ignore duplicate key errors (P2002)
-                if (error.code === 'P2002') {
-                    console.log(`User ${userId} already assigned to issue ${issueId}`);
-                    return null;
-                }
-                throw error;
-            }
-        });
 
-        await Promise.all(assignPromises);
+                const updated = formatIssue(await tx.issue.findUnique({
+                    where: { id: issueId },
+                    include: issueInclude
+                }));
 
-        // Get updated issue
-        const updatedIssue = await prisma.issue.findUnique({
-            where: { id: issueId },
-            include: {
-                project: { select: { name: true } },
-                assignees: {
-                    include: {
-                        user: { select: { id: true, name: true, email: true } }
-                    }
+                const assignChanges = diffFields(
+                    { assigneeIds: issue.assignees.map(a => a.userId).sort() },
+                    { assigneeIds: updated.assignees.map(a => a.userId).sort() },
+                    ['assigneeIds']
+                );
+                if (Object.keys(assignChanges).length > 0) {
+                    await recordActivity({
+                        actorId: currentUserId,
+                        projectId: issue.projectId,
+                        issueId,
+                        action: 'issue.assigned',
+                        changes: assignChanges
+                    }, tx);
                 }
+
+                return updated;
+            });
+        } catch (error) {
+            if (error.code === 'P2025' && expectedVersion !== null) {
+                return await sendVersionConflict(res, issueId, attempted);
             }
-        });
+            throw error;
+        }
+
+        notifyInBackground('issue_assigned',
+            addedIds(issue.assignees.map(a => a.userId), updatedIssue.assignees.map(a => a.userId)),
+            assignedMessage(updatedIssue, req.user.email), { actorId: currentUserId });
 
-        req.io.emit('issue:assigned', updatedIssue);
+        emitToProject(req.io, updatedIssue.projectId, 'issue:assigned', updatedIssue, issueAudience(updatedIssue));
 
+        setIssueETag(res, updatedIssue);
         res.status(200).json({
             message: 'Users assigned successfully',
             issue: updatedIssue
@@ -251,18 +899,23 @@ router.post('/:issueId/assign', async (req, res) => {
     }
 });
 
-// POST /api/issues/:issueId/unassign - Remove assignees from issue
-router.post('/:issueId/unassign', async (req, res) => {
+// POST /api/issues/:issueId/unassign - Remove assignees from issue (accepts If-Match like PATCH)
+router.post('/:issueId/unassign', requireScope('issues:write'), async (req, res) => {
     const { issueId } = req.params;
     const { userIds } = req.body;
     const currentUserId = req.user.id;
 
+    const { version: expectedVersion, error: ifMatchError } = parseIfMatch(req);
+    if (ifMatchError) {
+        return res.status(400).json({ message: ifMatchError });
+    }
+
     try {
-        // Check if user owns the project
+        // Check the user's project role
         const issue = await prisma.issue.findUnique({
             where: { id: issueId },
             include: { 
-                project: true,
+                project: { include: { collaborators: true } },
                 assignees: {
                     include: {
                         user: { select: { name: true, email: true } }
@@ -275,8 +928,8 @@ router.post('/:issueId/unassign', async (req, res) => {
             return res.status(404).json({ message: 'Issue not found.' });
         }
 
-        if (issue.project.ownerId !== currentUserId) {
-            return res.status(403).json({ message: 'Only project owner can unassign users.' });
+        if (!can(roleFromProject(issue.project, currentUserId), 'issue:assign')) {
+            return res.status(403).json({ message: 'You do not have permission to unassign users in this project.' });
         }
 
         let whereCondition;
@@ -295,29 +948,58 @@ router.post('/:issueId/unassign', async (req, res) => {
             }
         });
 
-        await prisma.issueAssignee.deleteMany({
-            where: whereCondition
-        });
+        const removedIds = removedAssignees.map(a => a.userId);
+        const attempted = {
+            assigneeIds: issue.assignees.map(a => a.userId).filter(id => !removedIds.includes(id))
+        };
 
-        // Get updated issue
-        const updatedIssue = await prisma.issue.findUnique({
-            where: { id: issueId },
-            include: {
-                project: { select: { name: true } },
-                assignees: {
-                    include: {
-                        user: { select: { id: true, name: true, email: true } }
-                    }
+        if (expectedVersion !== null && issue.version !== expectedVersion) {
+            return await sendVersionConflict(res, issueId, attempted);
+        }
+
+        let updatedIssue;
+        try {
+            updatedIssue = await prisma.$transaction(async (tx) => {
+                await bumpVersion(tx, issueId, expectedVersion);
+                await tx.issueAssignee.deleteMany({ where: whereCondition });
+
+                const updated = formatIssue(await tx.issue.findUnique({
+                    where: { id: issueId },
+                    include: issueInclude
+                }));
+
+                if (removedAssignees.length > 0) {
+                    await recordActivity({
+                        actorId: currentUserId,
+                        projectId: issue.projectId,
+                        issueId,
+                        action: 'issue.unassigned',
+                        changes: {
+                            assigneeIds: {
+                                from: issue.assignees.map(a => a.userId).sort(),
+                                to: updated.assignees.map(a => a.userId).sort()
+                            }
+                        }
+                    }, tx);
                 }
+
+                return updated;
+            });
+        } catch (error) {
+            if (error.code === 'P2025' && expectedVersion !== null) {
+                return await sendVersionConflict(res, issueId, attempted);
             }
-        });
+            throw error;
+        }
 
-        req.io.emit('issue:unassigned', { 
+        // Removed users still get this one so their boards drop the issue
+        emitToProject(req.io, issue.projectId, 'issue:unassigned', { 
             issueId,
             projectId: issue.projectId,
             removedAssignees: removedAssignees.map(a => a.user)
-        });
+        }, issue.assignees.map(a => a.userId));
 
+        setIssueETag(res, updatedIssue);
         res.status(200).json({
             message: 'Users unassigned successfully',
             issue: updatedIssue,
@@ -329,41 +1011,561 @@ router.post('/:issueId/unassign', async (req, res) => {
     }
 });
 
-// DELETE /api/issues/:issueId - Delete an issue
-router.delete('/:issueId', async (req, res) => {
+// DELETE /api/issues/:issueId - Move an issue to the trash (accepts If-Match like PATCH).
+// POST /:issueId/restore brings it back until utils/trash.js purges it.
+router.delete('/:issueId', requireScope('issues:write'), async (req, res) => {
     const { issueId } = req.params;
     const currentUserId = req.user.id;
 
+    const { version: expectedVersion, error: ifMatchError } = parseIfMatch(req);
+    if (ifMatchError) {
+        return res.status(400).json({ message: ifMatchError });
+    }
+
     try {
-        // Validate project ownership before deletion
+        // Validate project role before deletion
         const issue = await prisma.issue.findUnique({
             where: { id: issueId },
-            include: { project: true }
+            include: { project: { include: { collaborators: true } }, assignees: true }
         });
 
         if (!issue) {
             return res.status(404).json({ message: 'Issue not found.' });
         }
 
-        if (issue.project.ownerId !== currentUserId) {
-            return res.status(403).json({ message: 'Only project owner can delete issues.' });
+        if (!can(roleFromProject(issue.project, currentUserId), 'issue:delete')) {
+            return res.status(403).json({ message: 'You do not have permission to delete issues in this project.' });
         }
 
-        await prisma.issue.delete({
-            where: { id: issueId },
-        });
+        if (expectedVersion !== null && issue.version !== expectedVersion) {
+            return await sendVersionConflict(res, issueId);
+        }
+
+        const deletedAt = new Date();
+        await prisma.$transaction([
+            prisma.issue.update({
+                where: { id: issueId, ...(expectedVersion !== null && { version: expectedVersion }) },
+                data: { deletedAt, version: { increment: 1 } }
+            }),
+            recordActivity({
+                actorId: currentUserId,
+                projectId: issue.projectId,
+                issueId,
+                action: 'issue.deleted',
+                changes: { deletedAt: { from: null, to: deletedAt } }
+            }, prisma)
+        ]);
 
-        // ✨ EMIT EVENT: An issue has been deleted
-        req.io.emit('issue:deleted', { id: issueId });
+        // ✨ EMIT EVENT: An issue has been deleted (moved to the trash)
+        emitToProject(req.io, issue.projectId, 'issue:deleted', { id: issueId, projectId: issue.projectId }, issueAudience(issue));
 
         res.status(204).send();
     } catch (error) {
         console.error('Delete issue error:', error);
         if (error.code === 'P2025') {
-            return res.status(404).json({ message: 'Issue not found.' });
+            // With If-Match this also means it changed in the meantime
+            return expectedVersion !== null
+                ? sendVersionConflict(res, issueId)
+                : res.status(404).json({ message: 'Issue not found.' });
         }
         res.status(500).json({ message: 'Failed to delete issue.', error: error.message });
     }
 });
 
+// POST /api/issues/:issueId/restore - Take an issue out of the trash
+router.post('/:issueId/restore', requireScope('issues:write'), async (req, res) => {
+    const { issueId } = req.params;
+    const currentUserId = req.user.id;
+
+    try {
+        const issue = await prisma.issue.findUnique({
+            where: { id: issueId },
+            include: { project: { include: { collaborators: true } } }
+        });
+
+        if (!issue) {
+            return res.status(404).json({ message: 'Issue not found.' });
+        }
+
+        if (!can(roleFromProject(issue.project, currentUserId), 'issue:delete')) {
+            return res.status(403).json({ message: 'You do not have permission to restore issues in this project.' });
+        }
+
+        if (!issue.deletedAt) {
+            return res.status(400).json({ message: 'Issue is not in the trash.' });
+        }
+
+        const restoredIssue = formatIssue(await prisma.$transaction(async (tx) => {
+            await recordActivity({
+                actorId: currentUserId,
+                projectId: issue.projectId,
+                issueId,
+                action: 'issue.restored',
+                changes: { deletedAt: { from: issue.deletedAt, to: null } }
+            }, tx);
+
+            return tx.issue.update({
+                where: { id: issueId },
+                data: { deletedAt: null, version: { increment: 1 } },
+                include: issueInclude
+            });
+        }));
+
+        // ✨ EMIT EVENT: Boards add the issue back
+        emitToProject(req.io, issue.projectId, 'issue:restored', restoredIssue, issueAudience(restoredIssue));
+
+        setIssueETag(res, restoredIssue);
+        res.status(200).json(restoredIssue);
+    } catch (error) {
+        console.error('Restore issue error:', error);
+        res.status(500).json({ message: 'Failed to restore issue.' });
+    }
+});
+
+// POST /api/issues/:issueId/labels - Attach labels to an issue. Body: { labelIds: [...] }
+router.post('/:issueId/labels', requireScope('issues:write'), async (req, res) => {
+    const { issueId } = req.params;
+    const { labelIds } = req.body;
+    const currentUserId = req.user.id;
+
+    if (!labelIds || !Array.isArray(labelIds) || labelIds.length === 0) {
+        return res.status(400).json({ message: 'labelIds array is required.' });
+    }
+
+    try {
+        const issue = await prisma.issue.findUnique({
+            where: { id: issueId },
+            include: { project: { include: { collaborators: true } }, labels: true }
+        });
+
+        if (!issue) {
+            return res.status(404).json({ message: 'Issue not found.' });
+        }
+
+        if (!can(roleFromProject(issue.project, currentUserId), 'issue:update')) {
+            return res.status(403).json({ message: 'You do not have permission to label issues in this project.' });
+        }
+
+        // Labels must belong to the issue's own project
+        const labels = await prisma.label.findMany({
+            where: { id: { in: labelIds }, projectId: issue.projectId }
+        });
+
+        if (labels.length !== new Set(labelIds).size) {
+            return res.status(400).json({ message: 'One or more labels do not belong to this project.' });
+        }
+
+        const updatedIssue = await prisma.$transaction(async (tx) => {
+            await tx.issueLabel.createMany({
+                data: labels.map(label => ({ issueId, labelId: label.id })),
+                skipDuplicates: true
+            });
+            await bumpVersion(tx, issueId);
+
+            const updated = formatIssue(await tx.issue.findUnique({
+                where: { id: issueId },
+                include: issueInclude
+            }));
+
+            const labelChanges = diffFields(
+                { labelIds: issue.labels.map(l => l.labelId).sort() },
+                { labelIds: updated.labels.map(l => l.labelId).sort() },
+                ['labelIds']
+            );
+            if (Object.keys(labelChanges).length > 0) {
+                await recordActivity({
+                    actorId: currentUserId,
+                    projectId: issue.projectId,
+                    issueId,
+                    action: 'issue.labeled',
+                    changes: labelChanges
+                }, tx);
+            }
+
+            return updated;
+        });
+
+        emitToProject(req.io, issue.projectId, 'issue:updated', updatedIssue, issueAudience(updatedIssue));
+
+        setIssueETag(res, updatedIssue);
+        res.status(200).json(updatedIssue);
+    } catch (error) {
+        console.error('Attach labels error:', error);
+        res.status(500).json({ message: 'Failed to attach labels.' });
+    }
+});
+
+// DELETE /api/issues/:issueId/labels/:labelId - Detach a label from an issue
+router.delete('/:issueId/labels/:labelId', requireScope('issues:write'), async (req, res) => {
+    const { issueId, labelId } = req.params;
+    const currentUserId = req.user.id;
+
+    try {
+        const issue = await prisma.issue.findUnique({
+            where: { id: issueId },
+            include: { project: { include: { collaborators: true } }, labels: true }
+        });
+
+        if (!issue) {
+            return res.status(404).json({ message: 'Issue not found.' });
+        }
+
+        if (!can(roleFromProject(issue.project, currentUserId), 'issue:update')) {
+            return res.status(403).json({ message: 'You do not have permission to label issues in this project.' });
+        }
+
+        const { count, updatedIssue } = await prisma.$transaction(async (tx) => {
+            const { count: removed } = await tx.issueLabel.deleteMany({
+                where: { issueId, labelId }
+            });
+            if (removed > 0) await bumpVersion(tx, issueId);
+
+            const updated = formatIssue(await tx.issue.findUnique({
+                where: { id: issueId },
+                include: issueInclude
+            }));
+
+            if (removed > 0) {
+                await recordActivity({
+                    actorId: currentUserId,
+                    projectId: issue.projectId,
+                    issueId,
+                    action: 'issue.unlabeled',
+                    changes: {
+                        labelIds: {
+                            from: issue.labels.map(l => l.labelId).sort(),
+                            to: updated.labels.map(l => l.labelId).sort()
+                        }
+                    }
+                }, tx);
+            }
+
+            return { count: removed, updatedIssue: updated };
+        });
+
+        if (count > 0) {
+            emitToProject(req.io, issue.projectId, 'issue:updated', updatedIssue, issueAudience(updatedIssue));
+        }
+
+        setIssueETag(res, updatedIssue);
+        res.status(200).json(updatedIssue);
+    } catch (error) {
+        console.error('Detach label error:', error);
+        res.status(500).json({ message: 'Failed to detach label.' });
+    }
+});
+
+// Load two issues for a parent/blocker link and check they can be linked by this user.
+// Sends the error response itself and returns {} when they can't. With
+// `includeTrashedOther` the other issue may be in the trash, so links to it can be removed.
+const loadLinkPair = async (req, res, issueId, otherId, { includeTrashedOther = false } = {}) => {
+    const [issue, other] = await Promise.all([
+        prisma.issue.findUnique({
+            where: { id: issueId },
+            include: { project: { include: { collaborators: true } } }
+        }),
+        prisma.issue.findUnique({ where: { id: otherId, ...(!includeTrashedOther && { deletedAt: null }) } })
+    ]);
+
+    if (!issue || !other) {
+        res.status(404).json({ message: 'Issue not found.' });
+        return {};
+    }
+
+    if (!can(roleFromProject(issue.project, req.user.id), 'issue:update')) {
+        res.status(403).json({ message: 'You do not have permission to update issues in this project.' });
+        return {};
+    }
+
+    if (other.projectId !== issue.projectId) {
+        res.status(400).json({ message: 'Both issues must be in the same project.' });
+        return {};
+    }
+
+    return { issue, other };
+};
+
+// Apply a parent/blocker change with `write(tx)`, then take the issue's next version and
+// log the change in the same transaction. `write` may return { status, error } to abort
+// before anything is written. Tells the project and answers with the updated issue.
+const saveLinkChange = async (req, res, issueId, action, changes, write) => {
+    const result = await prisma.$transaction(async (tx) => {
+        const outcome = await write(tx);
+        if (outcome && outcome.error) return outcome;
+
+        const updated = formatIssue(await tx.issue.update({
+            where: { id: issueId },
+            data: { version: { increment: 1 } },
+            include: issueInclude
+        }));
+
+        await recordActivity({
+            actorId: req.user.id,
+            projectId: updated.projectId,
+            issueId,
+            action,
+            changes
+        }, tx);
+
+        return { updatedIssue: updated };
+    });
+
+    if (result.error) {
+        return res.status(result.status).json({ message: result.error });
+    }
+
+    const { updatedIssue } = result;
+    emitToProject(req.io, updatedIssue.projectId, 'issue:updated', updatedIssue, issueAudience(updatedIssue));
+
+    setIssueETag(res, updatedIssue);
+    res.status(200).json(updatedIssue);
+};
+
+// PUT /api/issues/:issueId/parent - Make the issue a sub-task. Body: { parentId }
+router.put('/:issueId/parent', requireScope('issues:write'), async (req, res) => {
+    const { issueId } = req.params;
+    const { parentId } = req.body;
+
+    if (!parentId) {
+        return res.status(400).json({ message: 'parentId is required.' });
+    }
+
+    try {
+        const { issue } = await loadLinkPair(req, res, issueId, parentId);
+        if (!issue) return;
+
+        if (await wouldCreateParentCycle(issueId, parentId)) {
+            return res.status(400).json({ message: 'An issue cannot be a sub-task of itself or of its own sub-tasks.' });
+        }
+
+        await saveLinkChange(req, res, issueId, 'issue.parent_changed', {
+            parentId: { from: issue.parentId, to: parentId }
+        }, (tx) => tx.issue.update({
+            where: { id: issueId },
+            data: { parentId }
+        }));
+    } catch (error) {
+        console.error('Set parent error:', error);
+        res.status(500).json({ message: 'Failed to set parent issue.' });
+    }
+});
+
+// DELETE /api/issues/:issueId/parent - Turn a sub-task back into a top-level issue
+router.delete('/:issueId/parent', requireScope('issues:write'), async (req, res) => {
+    const { issueId } = req.params;
+
+    try {
+        const issue = await prisma.issue.findUnique({
+            where: { id: issueId },
+            include: { project: { include: { collaborators: true } } }
+        });
+
+        if (!issue) {
+            return res.status(404).json({ message: 'Issue not found.' });
+        }
+
+        if (!can(roleFromProject(issue.project, req.user.id), 'issue:update')) {
+            return res.status(403).json({ message: 'You do not have permission to update issues in this project.' });
+        }
+
+        if (!issue.parentId) {
+            return res.status(400).json({ message: 'This issue is not a sub-task.' });
+        }
+
+        await saveLinkChange(req, res, issueId, 'issue.parent_changed', {
+            parentId: { from: issue.parentId, to: null }
+        }, (tx) => tx.issue.update({
+            where: { id: issueId },
+            data: { parentId: null }
+        }));
+    } catch (error) {
+        console.error('Remove parent error:', error);
+        res.status(500).json({ message: 'Failed to remove parent issue.' });
+    }
+});
+
+// POST /api/issues/:issueId/blockers - Mark another issue as blocking this one. Body: { blockerId }
+router.post('/:issueId/blockers', requireScope('issues:write'), async (req, res) => {
+    const { issueId } = req.params;
+    const { blockerId } = req.body;
+
+    if (!blockerId) {
+        return res.status(400).json({ message: 'blockerId is required.' });
+    }
+
+    try {
+        const { issue } = await loadLinkPair(req, res, issueId, blockerId);
+        if (!issue) return;
+
+        // Check for a cycle and add the link under the project's dependency lock
+        await saveLinkChange(req, res, issueId, 'issue.blocker_added', {
+            blockerId: { from: null, to: blockerId }
+        }, async (tx) => {
+            await lockDependencies(tx, issue.projectId);
+            if (await wouldCreateDependencyCycle(issue.projectId, blockerId, issueId, tx)) {
+                return { status: 400, error: 'This dependency would create a cycle.' };
+            }
+
+            await tx.issueDependency.create({
+                data: { blockerId, blockedId: issueId }
+            });
+            return null;
+        });
+    } catch (error) {
+        console.error('Add blocker error:', error);
+        if (error.code === 'P2002') {
+            return res.status(400).json({ message: 'This dependency already exists.' });
+        }
+        res.status(500).json({ message: 'Failed to add blocking issue.' });
+    }
+});
+
+// DELETE /api/issues/:issueId/blockers/:blockerId - Remove a blocking dependency
+router.delete('/:issueId/blockers/:blockerId', requireScope('issues:write'), async (req, res) => {
+    const { issueId, blockerId } = req.params;
+
+    try {
+        const { issue } = await loadLinkPair(req, res, issueId, blockerId, { includeTrashedOther: true });
+        if (!issue) return;
+
+        await saveLinkChange(req, res, issueId, 'issue.blocker_removed', {
+            blockerId: { from: blockerId, to: null }
+        }, async (tx) => {
+            const { count } = await tx.issueDependency.deleteMany({
+                where: { blockerId, blockedId: issueId }
+            });
+
+            return count === 0 ? { status: 404, error: 'Dependency not found.' } : null;
+        });
+    } catch (error) {
+        console.error('Remove blocker error:', error);
+        res.status(500).json({ message: 'Failed to remove blocking issue.' });
+    }
+});
+
+// POST /api/issues/:issueId/move - Drag an issue on the board.
+// Body: { status?, previousId?, nextId? } - the target column (defaults to the current one)
+// and the cards that end up directly above and below it. With neither neighbour the issue
+// goes to the top of the column. Answers 409 when the given neighbours are no longer in that order.
+router.post('/:issueId/move', requireScope('issues:write'), async (req, res) => {
+    const { issueId } = req.params;
+    const { previousId = null, nextId = null } = req.body;
+    const currentUserId = req.user.id;
+
+    try {
+        const issue = await prisma.issue.findUnique({
+            where: { id: issueId },
+            include: { project: { include: { collaborators: true } } }
+        });
+
+        if (!issue) {
+            return res.status(404).json({ message: 'Issue not found.' });
+        }
+
+        if (!can(roleFromProject(issue.project, currentUserId), 'issue:update')) {
+            return res.status(403).json({ message: 'You do not have permission to update issues in this project.' });
+        }
+
+        const status = req.body.status || issue.status;
+        const { warnings, status: errorStatus, error: statusError, blockers } = await checkStatusChange(issue, status);
+
+        if (statusError) {
+            return res.status(errorStatus).json({ message: statusError, ...(blockers && { blockers }) });
+        }
+
+        const result = await prisma.$transaction(async (tx) => {
+            await lockColumn(tx, issue.projectId, status);
+
+            const placement = await placeIssue(tx, { issueId, projectId: issue.projectId, status, previousId, nextId });
+            if (placement.error) return placement;
+
+            const moved = await tx.issue.update({
+                where: { id: issueId },
+                data: { status, rank: placement.rank, version: { increment: 1 } },
+                include: issueInclude
+            });
+
+            const changes = diffFields(issue, moved, ['status']);
+            if (Object.keys(changes).length > 0) {
+                await recordActivity({
+                    actorId: currentUserId,
+                    projectId: issue.projectId,
+                    issueId,
+                    action: 'issue.updated',
+                    changes
+                }, tx);
+            }
+
+            return { moved, changes, dense: placement.dense };
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+
+        const { changes, dense } = result;
+        const movedIssue = formatIssue(result.moved);
+
+        if (dense) scheduleRebalance(issue.projectId, status);
+
+        if (Object.keys(changes).length > 0) {
+            notifyInBackground('issue_changed', movedIssue.assignees.map(a => a.userId),
+                changedMessage(movedIssue, req.user.email, changes), { actorId: currentUserId });
+            emitToProject(req.io, issue.projectId, 'issue:updated', movedIssue, issueAudience(movedIssue));
+        }
+
+        // ✨ EMIT EVENT: Open boards reorder the card without reloading the column
+        emitToProject(req.io, issue.projectId, 'issue:moved', {
+            issue: movedIssue,
+            fromStatus: issue.status,
+            previousId,
+            nextId
+        }, issueAudience(movedIssue));
+
+        setIssueETag(res, movedIssue);
+        res.status(200).json(warnings.length > 0 ? { ...movedIssue, warnings } : movedIssue);
+    } catch (error) {
+        console.error('Move issue error:', error);
+        if (error.code === 'P2025') {
+            return res.status(404).json({ message: 'Issue not found.' });
+        }
+        res.status(500).json({ message: 'Failed to move issue.' });
+    }
+});
+
+// GET /api/issues/:issueId/activity - Change history of an issue (paginated, newest first)
+router.get('/:issueId/activity', requireScope('read'), async (req, res) => {
+    const { issueId } = req.params;
+    const { cursor, limit } = req.query;
+    const currentUserId = req.user.id;
+
+    try {
+        const issue = await prisma.issue.findUnique({
+            where: { id: issueId },
+            include: {
+                project: { include: { collaborators: true } },
+                assignees: true
+            }
+        });
+
+        if (!issue) {
+            return res.status(404).json({ message: 'Issue not found.' });
+        }
+
+        // Any project role can read; assignees outside the project can read their own issues
+        const hasAccess = can(roleFromProject(issue.project, currentUserId), 'project:view')
+            || issue.assignees.some(a => a.userId === currentUserId);
+
+        if (!hasAccess) {
+            return res.status(403).json({ message: 'Access denied.' });
+        }
+
+        const page = await listActivity({ issueId }, { cursor, limit });
+        res.status(200).json(page);
+    } catch (error) {
+        console.error('Get issue activity error:', error);
+        res.status(500).json({ message: 'Failed to retrieve issue activity.' });
+    }
+});
+
 module.exports = router;
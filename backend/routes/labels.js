@@ -0,0 +1,188 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const authMiddleware = require('../middleware/auth.js');
+const { scopeByMethod } = authMiddleware;
+const { emitToProject } = require('../utils/realtime.js');
+const { recordActivity } = require('../utils/activity.js');
+const { authorizeProject } = require('../utils/permissions.js');
+
+const prisma = new PrismaClient();
+// mergeParams so :id from the mount path in server.js is visible here
+const router = express.Router({ mergeParams: true });
+
+router.use(authMiddleware);
+// API tokens: reads need "read", changes "issues:write"
+router.use(scopeByMethod('issues:write'));
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// GET /api/projects/:id/labels - All labels of a project with their usage count
+router.get('/', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { project } = await authorizeProject(id, req.user.id, 'project:view');
+
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found or access denied' });
+        }
+
+        const labels = await prisma.label.findMany({
+            where: { projectId: id },
+            include: { _count: { select: { issues: true } } },
+            orderBy: { name: 'asc' }
+        });
+
+        res.json(labels);
+    } catch (error) {
+        console.error('Get labels error:', error);
+        res.status(500).json({ message: 'Failed to get labels' });
+    }
+});
+
+// POST /api/projects/:id/labels - Create a label
+router.post('/', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, color } = req.body;
+
+        if (typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({ message: 'Label name is required' });
+        }
+
+        if (!COLOR_PATTERN.test(color || '')) {
+            return res.status(400).json({ message: 'Color must be a hex value like #d73a4a' });
+        }
+
+        const { project, allowed } = await authorizeProject(id, req.user.id, 'label:manage');
+
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found or access denied' });
+        }
+
+        if (!allowed) {
+            return res.status(403).json({ message: 'You do not have permission to manage labels' });
+        }
+
+        const label = await prisma.label.create({
+            data: { projectId: id, name: name.trim(), color }
+        });
+
+        await recordActivity({
+            actorId: req.user.id,
+            projectId: id,
+            action: 'project.label_added',
+            changes: { [`label:${label.id}`]: { from: null, to: { name: label.name, color } } }
+        });
+
+        emitToProject(req.io, id, 'label:created', label);
+
+        console.log(`Label created: ${label.name} in project: ${id}`);
+        res.status(201).json(label);
+    } catch (error) {
+        console.error('Create label error:', error);
+        if (error.code === 'P2002') {
+            return res.status(400).json({ message: 'A label with this name already exists' });
+        }
+        res.status(500).json({ message: 'Failed to create label' });
+    }
+});
+
+// PATCH /api/projects/:id/labels/:labelId - Rename or recolor a label
+router.patch('/:labelId', async (req, res) => {
+    try {
+        const { id, labelId } = req.params;
+        const { name, color } = req.body;
+
+        if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+            return res.status(400).json({ message: 'Label name cannot be empty' });
+        }
+
+        if (color !== undefined && !COLOR_PATTERN.test(color)) {
+            return res.status(400).json({ message: 'Color must be a hex value like #d73a4a' });
+        }
+
+        const { project, allowed } = await authorizeProject(id, req.user.id, 'label:manage');
+
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found or access denied' });
+        }
+
+        if (!allowed) {
+            return res.status(403).json({ message: 'You do not have permission to manage labels' });
+        }
+
+        const existing = await prisma.label.findFirst({ where: { id: labelId, projectId: id } });
+        if (!existing) {
+            return res.status(404).json({ message: 'Label not found' });
+        }
+
+        const data = {};
+        if (name !== undefined) data.name = name.trim();
+        if (color !== undefined) data.color = color;
+
+        const label = await prisma.label.update({ where: { id: labelId }, data });
+
+        await recordActivity({
+            actorId: req.user.id,
+            projectId: id,
+            action: 'project.label_updated',
+            changes: {
+                [`label:${labelId}`]: {
+                    from: { name: existing.name, color: existing.color },
+                    to: { name: label.name, color: label.color }
+                }
+            }
+        });
+
+        emitToProject(req.io, id, 'label:updated', label);
+
+        res.json(label);
+    } catch (error) {
+        console.error('Update label error:', error);
+        if (error.code === 'P2002') {
+            return res.status(400).json({ message: 'A label with this name already exists' });
+        }
+        res.status(500).json({ message: 'Failed to update label' });
+    }
+});
+
+// DELETE /api/projects/:id/labels/:labelId - Delete a label (detaches it from every issue)
+router.delete('/:labelId', async (req, res) => {
+    try {
+        const { id, labelId } = req.params;
+
+        const { project, allowed } = await authorizeProject(id, req.user.id, 'label:manage');
+
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found or access denied' });
+        }
+
+        if (!allowed) {
+            return res.status(403).json({ message: 'You do not have permission to manage labels' });
+        }
+
+        const existing = await prisma.label.findFirst({ where: { id: labelId, projectId: id } });
+        if (!existing) {
+            return res.status(404).json({ message: 'Label not found' });
+        }
+
+        await prisma.$transaction([
+            prisma.label.delete({ where: { id: labelId } }),
+            recordActivity({
+                actorId: req.user.id,
+                projectId: id,
+                action: 'project.label_removed',
+                changes: { [`label:${labelId}`]: { from: { name: existing.name, color: existing.color }, to: null } }
+            }, prisma)
+        ]);
+
+        emitToProject(req.io, id, 'label:deleted', { id: labelId, projectId: id });
+
+        res.status(204).send();
+    } catch (error) {
+        console.error('Delete label error:', error);
+        res.status(500).json({ message: 'Failed to delete label' });
+    }
+});
+
+module.exports = router;
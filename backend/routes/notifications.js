@@ -0,0 +1,64 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const authMiddleware = require('../middleware/auth.js');
+const { scopeByMethod } = authMiddleware;
+const { NOTIFICATION_TYPES, NOTIFICATION_MODES } = require('../utils/notifications.js');
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+router.use(authMiddleware);
+// API tokens: reads need "read", changes "issues:write"
+router.use(scopeByMethod('issues:write'));
+
+const preferenceColumns = Object.values(NOTIFICATION_TYPES);
+
+// Only the per-type settings, without ids / timestamps
+const pickPreferences = (row) => Object.fromEntries(
+    preferenceColumns.map(column => [column, row ? row[column] : 'immediate'])
+);
+
+// GET /api/notifications/preferences - Current user's email settings
+router.get('/preferences', async (req, res) => {
+    try {
+        const preference = await prisma.notificationPreference.findUnique({
+            where: { userId: req.user.id }
+        });
+
+        res.json(pickPreferences(preference));
+    } catch (error) {
+        console.error('Get notification preferences error:', error);
+        res.status(500).json({ message: 'Failed to get notification preferences' });
+    }
+});
+
+// PATCH /api/notifications/preferences - Set each type to "immediate", "digest" or "off"
+// Body e.g. { issueAssigned: 'immediate', projectAdded: 'off', issueChanged: 'digest' }
+router.patch('/preferences', async (req, res) => {
+    const data = {};
+
+    for (const column of preferenceColumns) {
+        const mode = req.body[column];
+        if (mode === undefined) continue;
+
+        if (!NOTIFICATION_MODES.includes(mode)) {
+            return res.status(400).json({ message: `${column} must be one of: ${NOTIFICATION_MODES.join(', ')}` });
+        }
+        data[column] = mode;
+    }
+
+    try {
+        const preference = await prisma.notificationPreference.upsert({
+            where: { userId: req.user.id },
+            create: { userId: req.user.id, ...data },
+            update: data
+        });
+
+        res.json(pickPreferences(preference));
+    } catch (error) {
+        console.error('Update notification preferences error:', error);
+        res.status(500).json({ message: 'Failed to update notification preferences' });
+    }
+});
+
+module.exports = router;
@@ -1,6 +1,25 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const authMiddleware = require('../middleware/auth.js');
+const { requireScope } = authMiddleware;
+const { emitToProject, joinProject, leaveProject, closeProject } = require('../utils/realtime.js');
+const { recordActivity, listActivity } = require('../utils/activity.js');
+const { authorizeProject, roleFromProject } = require('../utils/permissions.js');
+const { DEFAULT_STATUSES } = require('../utils/workflow.js');
+const { notifyInBackground } = require('../utils/notifications.js');
+const { purgeDate } = require('../utils/trash.js');
+const { tokenProjectFilter } = require('../utils/accessTokens.js');
+const { PROJECT_KEY_PATTERN, formatIssueKey, isProjectKeyTaken, suggestProjectKey } = require('../utils/issueKeys.js');
+const { parseRange, buildProjectAnalytics } = require('../utils/analytics.js');
+
+// Roles that can be given to collaborators (the owner is implicit)
+const COLLABORATOR_ROLES = ['admin', 'member', 'viewer'];
+
+// Email body for people added to a project
+const projectAddedMessage = (project, actor) => ({
+    subject: `You were added to the project "${project.name}"`,
+    text: `${actor} added you to the project "${project.name}".`
+});
 
 const prisma = new PrismaClient();
 const router = express.Router();
@@ -10,18 +29,28 @@ router.use(authMiddleware);
 
 // --- EXISTING ROUTES ---
 
-// GET /api/projects - Get all projects for the logged-in user (owned + assigned)
-router.get('/', async (req, res) => {
+// GET /api/projects - Get all projects for the logged-in user (owned + assigned).
+// Archived projects only with ?includeArchived=true; ?trashed=true lists the caller's
+// own projects in the trash instead.
+router.get('/', requireScope('read'), async (req, res) => {
     const userId = req.user.id;
+    const trashed = req.query.trashed === 'true';
+    const includeArchived = req.query.includeArchived === 'true';
+    // API tokens limited to some projects only list those
+    const tokenFilter = tokenProjectFilter(req.user, 'id');
 
     try {
         const projects = await prisma.project.findMany({
-            where: {
+            where: trashed ? { ownerId: userId, deletedAt: { not: null }, ...tokenFilter } : {
+                deletedAt: null,
+                ...tokenFilter,
+                ...(!includeArchived && { archivedAt: null }),
                 OR: [
                     { ownerId: userId }, // Projects they own
                     { 
                         issues: {
                             some: {
+                                deletedAt: null,
                                 assignees: {
                                     some: {
                                         userId: userId // Projects where they have assigned issues (NEW SCHEMA)
@@ -52,6 +81,7 @@ router.get('/', async (req, res) => {
                 },
                 issues: {
                     where: { 
+                        deletedAt: null,
                         assignees: {
                             some: { userId: userId } // Only show issues assigned to current user (NEW SCHEMA)
                         }
@@ -71,17 +101,18 @@ router.get('/', async (req, res) => {
                     }
                 },
                 _count: {
-                    select: { issues: true } // Total issue count in project
+                    select: { issues: { where: { deletedAt: null } } } // Total issue count in project
                 }
             },
-            orderBy: { createdAt: 'desc' },
+            orderBy: trashed ? { deletedAt: 'desc' } : { createdAt: 'desc' },
         });
 
-        // Add role information to each project
+        // Add role information to each project ('assignee' = only sees it through assigned issues)
         const projectsWithRole = projects.map(project => ({
             ...project,
-            userRole: project.ownerId === userId ? 'owner' : 'collaborator',
-            assignedIssuesCount: project.issues.length
+            userRole: roleFromProject(project, userId) || 'assignee',
+            assignedIssuesCount: project.issues.length,
+            ...(project.deletedAt && { purgeAt: purgeDate(project.deletedAt) })
         }));
 
         res.status(200).json(projectsWithRole);
@@ -92,43 +123,77 @@ router.get('/', async (req, res) => {
 });
 
 // POST /api/projects - Create a new project
-router.post('/', async (req, res) => {
+router.post('/', requireScope('projects:admin'), async (req, res) => {
     const { name, collaboratorIds } = req.body; // ✅ Added collaboratorIds support
     const userId = req.user.id;
 
+    if (tokenProjectFilter(req.user)) {
+        return res.status(403).json({ message: 'This API token is limited to specific projects and cannot create new ones.' });
+    }
+
     if (!name) {
         return res.status(400).json({ message: 'Project name is required.' });
     }
 
+    // Optional issue key prefix, e.g. "WEB"; derived from the name when not given
+    const requestedKey = req.body.key ? String(req.body.key).trim().toUpperCase() : null;
+    if (requestedKey && !PROJECT_KEY_PATTERN.test(requestedKey)) {
+        return res.status(400).json({ message: 'Project key must be 2-10 letters or digits, starting with a letter.' });
+    }
+
     try {
+        if (requestedKey && await isProjectKeyTaken(requestedKey)) {
+            return res.status(400).json({ message: `Project key ${requestedKey} is already in use.` });
+        }
+        const key = requestedKey || await suggestProjectKey(name);
+
         // Create project with optional collaborators
-        const newProject = await prisma.project.create({
-            data: {
-                name,
-                ownerId: userId,
-                ...(collaboratorIds && collaboratorIds.length > 0 && {
-                    collaborators: {
-                        create: collaboratorIds.map(id => ({
-                            userId: id
-                        }))
-                    }
-                })
-            },
-            include: {
-                owner: {
-                    select: { name: true, email: true }
+        const newProject = await prisma.$transaction(async (tx) => {
+            const created = await tx.project.create({
+                data: {
+                    name,
+                    key,
+                    ownerId: userId,
+                    statuses: { create: DEFAULT_STATUSES },
+                    ...(collaboratorIds && collaboratorIds.length > 0 && {
+                        collaborators: {
+                            create: collaboratorIds.map(id => ({
+                                userId: id
+                            }))
+                        }
+                    })
                 },
-                collaborators: { // ✅ Include collaborators in response
-                    include: {
-                        user: {
-                            select: { id: true, name: true, email: true }
+                include: {
+                    owner: {
+                        select: { name: true, email: true }
+                    },
+                    collaborators: { // ✅ Include collaborators in response
+                        include: {
+                            user: {
+                                select: { id: true, name: true, email: true }
+                            }
                         }
+                    },
+                    _count: {
+                        select: { issues: { where: { deletedAt: null } } }
                     }
-                },
-                _count: {
-                    select: { issues: true }
                 }
-            }
+            });
+
+            await recordActivity({
+                actorId: userId,
+                projectId: created.id,
+                action: 'project.created',
+                changes: {
+                    name: { from: null, to: name },
+                    key: { from: null, to: key },
+                    ...(collaboratorIds && collaboratorIds.length > 0 && {
+                        collaboratorIds: { from: [], to: collaboratorIds }
+                    })
+                }
+            }, tx);
+
+            return created;
         });
 
         // Add role information for consistency with GET response
@@ -139,88 +204,318 @@ router.post('/', async (req, res) => {
             issues: []
         };
 
+        notifyInBackground('project_added', collaboratorIds || [], projectAddedMessage(newProject, req.user.email), { actorId: userId });
+
+        // Put the owner's and collaborators' open sockets into the new project room
+        joinProject(req.io, newProject.id, [userId, ...(collaboratorIds || [])]);
+        emitToProject(req.io, newProject.id, 'project:created', newProject);
+
         console.log(`Project created: ${name} with ${collaboratorIds?.length || 0} collaborators`);
         res.status(201).json(projectWithRole);
     } catch (error) {
         console.error('Create project error:', error);
+        if (error.code === 'P2002') {
+            return res.status(400).json({ message: 'That project key was just taken. Please try again.' });
+        }
         res.status(500).json({ message: 'Failed to create project.' });
     }
 });
 
+// PATCH /api/projects/:id - Rename a project or change its key. Body: { name?, key? }
+// The old key is kept as an alias, so issue keys like OLD-12 still resolve.
+router.patch('/:id', requireScope('projects:admin'), async (req, res) => {
+    const { id } = req.params;
+    const { name } = req.body;
+    const key = req.body.key !== undefined ? String(req.body.key).trim().toUpperCase() : undefined;
+    const userId = req.user.id;
+
+    if (name !== undefined && !String(name).trim()) {
+        return res.status(400).json({ message: 'Project name cannot be empty.' });
+    }
+
+    if (key !== undefined && !PROJECT_KEY_PATTERN.test(key)) {
+        return res.status(400).json({ message: 'Project key must be 2-10 letters or digits, starting with a letter.' });
+    }
+
+    try {
+        const { project, allowed } = await authorizeProject(id, userId, 'project:update');
+
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found or access denied' });
+        }
+
+        if (!allowed) {
+            return res.status(403).json({ message: 'Only the owner or an admin can edit the project' });
+        }
+
+        const keyChanged = key !== undefined && key !== project.key;
+        if (keyChanged && await isProjectKeyTaken(key, id)) {
+            return res.status(400).json({ message: `Project key ${key} is already in use.` });
+        }
+
+        const data = {};
+        if (name !== undefined) data.name = String(name).trim();
+        if (keyChanged) data.key = key;
+
+        const changes = {};
+        if (data.name !== undefined && data.name !== project.name) changes.name = { from: project.name, to: data.name };
+        if (keyChanged) changes.key = { from: project.key, to: key };
+        const hasChanges = Object.keys(changes).length > 0;
+
+        const updated = await prisma.$transaction(async (tx) => {
+            if (keyChanged) {
+                // Going back to one of its own old keys: that key is no longer an alias
+                await tx.projectKeyAlias.deleteMany({ where: { key, projectId: id } });
+                await tx.projectKeyAlias.create({ data: { key: project.key, projectId: id } });
+            }
+
+            const saved = await tx.project.update({ where: { id }, data });
+
+            if (hasChanges) {
+                await recordActivity({
+                    actorId: userId,
+                    projectId: id,
+                    action: 'project.updated',
+                    changes
+                }, tx);
+            }
+
+            return saved;
+        });
+
+        if (hasChanges) {
+            emitToProject(req.io, id, 'project:updated', { id, name: updated.name, key: updated.key });
+        }
+
+        res.json(updated);
+    } catch (error) {
+        console.error('Update project error:', error);
+        if (error.code === 'P2002') {
+            return res.status(400).json({ message: 'That project key is already in use.' });
+        }
+        res.status(500).json({ message: 'Failed to update project' });
+    }
+});
+
 // ===============================================
 // ✅ NEW PROJECT COLLABORATION ENDPOINTS
 // ===============================================
 
-// DELETE /api/projects/:id - Delete a project (owner only)
-router.delete('/:id', async (req, res) => {
+// DELETE /api/projects/:id - Move a project to the trash (owner only).
+// It can be restored until utils/trash.js purges it with its issues after the retention period.
+router.delete('/:id', requireScope('projects:admin'), async (req, res) => {
     const { id } = req.params;
     const userId = req.user.id;
 
     try {
-        // Check if user owns the project
-        const project = await prisma.project.findFirst({
-            where: {
-                id: id,
-                ownerId: userId
-            }
-        });
+        // Check the user's role (owner only)
+        const { project, allowed } = await authorizeProject(id, userId, 'project:delete');
 
-        if (!project) {
+        if (!project || !allowed) {
             return res.status(404).json({ message: 'Project not found or access denied (owner only)' });
         }
 
-        // Delete project (cascades to issues, assignments, and collaborators)
-        await prisma.project.delete({
-            where: { id: id }
+        const trashed = await prisma.$transaction(async (tx) => {
+            const saved = await tx.project.update({
+                where: { id },
+                data: { deletedAt: new Date() }
+            });
+
+            await recordActivity({
+                actorId: userId,
+                projectId: id,
+                action: 'project.deleted',
+                changes: { deletedAt: { from: null, to: saved.deletedAt } }
+            }, tx);
+
+            return saved;
         });
 
-        console.log(`Project deleted: ${id} by user: ${userId}`);
-        res.json({ message: 'Project deleted successfully' });
+        emitToProject(req.io, id, 'project:deleted', { id });
+        closeProject(req.io, id);
+
+        console.log(`Project moved to trash: ${id} by user: ${userId}`);
+        res.json({ message: 'Project moved to trash', purgeAt: purgeDate(trashed.deletedAt) });
     } catch (error) {
         console.error('Delete project error:', error);
         res.status(500).json({ message: 'Failed to delete project' });
     }
 });
 
+// POST /api/projects/:id/restore - Take a project out of the trash (owner only)
+router.post('/:id/restore', requireScope('projects:admin'), async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    try {
+        const { project, allowed } = await authorizeProject(id, userId, 'project:delete', { includeTrashed: true });
+
+        if (!project || !allowed) {
+            return res.status(404).json({ message: 'Project not found or access denied (owner only)' });
+        }
+
+        if (!project.deletedAt) {
+            return res.status(400).json({ message: 'Project is not in the trash' });
+        }
+
+        const restored = await prisma.$transaction(async (tx) => {
+            const saved = await tx.project.update({
+                where: { id },
+                data: { deletedAt: null }
+            });
+
+            await recordActivity({
+                actorId: userId,
+                projectId: id,
+                action: 'project.restored',
+                changes: { deletedAt: { from: project.deletedAt, to: null } }
+            }, tx);
+
+            return saved;
+        });
+
+        // Members left the room when it went to the trash
+        joinProject(req.io, id, [project.ownerId, ...project.collaborators.map(c => c.userId)]);
+        emitToProject(req.io, id, 'project:restored', { id, name: restored.name, key: restored.key });
+
+        console.log(`Project restored from trash: ${id} by user: ${userId}`);
+        res.json(restored);
+    } catch (error) {
+        console.error('Restore project error:', error);
+        res.status(500).json({ message: 'Failed to restore project' });
+    }
+});
+
+// Archive or unarchive a project. Archived projects stay readable but refuse every
+// change (see middleware/projectState.js) and are left out of GET /api/projects by default.
+const setArchived = (archive) => async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    try {
+        const { project, allowed } = await authorizeProject(id, userId, 'project:archive');
+
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found or access denied' });
+        }
+
+        if (!allowed) {
+            return res.status(403).json({ message: 'Only the owner or an admin can archive the project' });
+        }
+
+        if (Boolean(project.archivedAt) === archive) {
+            return res.status(400).json({ message: archive ? 'Project is already archived' : 'Project is not archived' });
+        }
+
+        const updated = await prisma.$transaction(async (tx) => {
+            const saved = await tx.project.update({
+                where: { id },
+                data: { archivedAt: archive ? new Date() : null }
+            });
+
+            await recordActivity({
+                actorId: userId,
+                projectId: id,
+                action: archive ? 'project.archived' : 'project.unarchived',
+                changes: { archivedAt: { from: project.archivedAt, to: saved.archivedAt } }
+            }, tx);
+
+            return saved;
+        });
+
+        emitToProject(req.io, id, archive ? 'project:archived' : 'project:unarchived', { id, archivedAt: updated.archivedAt });
+
+        res.json(updated);
+    } catch (error) {
+        console.error(`${archive ? 'Archive' : 'Unarchive'} project error:`, error);
+        res.status(500).json({ message: `Failed to ${archive ? 'archive' : 'unarchive'} project` });
+    }
+};
+
+// POST /api/projects/:id/archive - Make a project read-only (owner or admin)
+router.post('/:id/archive', requireScope('projects:admin'), setArchived(true));
+
+// POST /api/projects/:id/unarchive - Make an archived project editable again (owner or admin)
+router.post('/:id/unarchive', requireScope('projects:admin'), setArchived(false));
+
 // POST /api/projects/:id/assign - Assign users to project (make them collaborators)
-router.post('/:id/assign', async (req, res) => {
+router.post('/:id/assign', requireScope('projects:admin'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { userIds } = req.body;
+        const { userIds, role = 'member' } = req.body;
         const userId = req.user.id;
 
         if (!userIds || !Array.isArray(userIds) || userIds.length === 0) {
             return res.status(400).json({ message: 'User IDs array is required' });
         }
 
-        // Check if user owns the project or is already a collaborator
-        const project = await prisma.project.findFirst({
-            where: {
-                id: id,
-                OR: [
-                    { ownerId: userId },
-                    { 
-                        collaborators: {
-                            some: { userId: userId }
-                        }
-                    }
-                ]
-            }
-        });
+        if (!COLLABORATOR_ROLES.includes(role)) {
+            return res.status(400).json({ message: `Role must be one of: ${COLLABORATOR_ROLES.join(', ')}` });
+        }
+
+        // Check the user's role (owner or admin can add collaborators)
+        const { project, role: currentRole, allowed } = await authorizeProject(id, userId, 'project:manage_collaborators');
 
         if (!project) {
             return res.status(404).json({ message: 'Project not found or access denied' });
         }
 
+        if (!allowed) {
+            return res.status(403).json({ message: 'Only the owner or an admin can add collaborators' });
+        }
+
+        if (role === 'admin' && currentRole !== 'owner') {
+            return res.status(403).json({ message: 'Only the owner can add admins' });
+        }
+
+        // Assigning someone who is already a collaborator changes their role
+        const roleChanges = project.collaborators.filter(c => userIds.includes(c.userId) && c.role !== role);
+        if (roleChanges.some(c => c.role === 'admin') && currentRole !== 'owner') {
+            return res.status(403).json({ message: 'Only the owner can change admin roles' });
+        }
+
         // Add collaborators (avoid duplicates)
         const collaboratorData = userIds.map(uid => ({
             projectId: id,
-            userId: uid
+            userId: uid,
+            role
         }));
 
-        await prisma.projectCollaborator.createMany({
-            data: collaboratorData,
-            skipDuplicates: true
+        const addedUserIds = await prisma.$transaction(async (tx) => {
+            const existing = await tx.projectCollaborator.findMany({
+                where: { projectId: id, userId: { in: userIds } },
+                select: { userId: true }
+            });
+
+            await tx.projectCollaborator.createMany({
+                data: collaboratorData,
+                skipDuplicates: true
+            });
+
+            const added = userIds.filter(uid => !existing.some(c => c.userId === uid));
+            if (added.length > 0) {
+                await recordActivity({
+                    actorId: userId,
+                    projectId: id,
+                    action: 'project.collaborators_added',
+                    changes: { collaboratorIds: { from: null, to: added } }
+                }, tx);
+            }
+
+            if (roleChanges.length > 0) {
+                await tx.projectCollaborator.updateMany({
+                    where: { id: { in: roleChanges.map(c => c.id) } },
+                    data: { role }
+                });
+                await recordActivity({
+                    actorId: userId,
+                    projectId: id,
+                    action: 'project.role_changed',
+                    changes: Object.fromEntries(roleChanges.map(c => [`role:${c.userId}`, { from: c.role, to: role }]))
+                }, tx);
+            }
+
+            return added;
         });
 
         // Return updated project with collaborators
@@ -238,11 +533,17 @@ router.post('/:id/assign', async (req, res) => {
                     }
                 },
                 _count: {
-                    select: { issues: true }
+                    select: { issues: { where: { deletedAt: null } } }
                 }
             }
         });
 
+        notifyInBackground('project_added', addedUserIds, projectAddedMessage(updatedProject, req.user.email), { actorId: userId });
+
+        joinProject(req.io, id, userIds);
+        emitToProject(req.io, id, 'project:assigned', updatedProject);
+        roleChanges.forEach(c => emitToProject(req.io, id, 'project:role_changed', { id, userId: c.userId, role }));
+
         console.log(`Added ${userIds.length} collaborators to project: ${id}`);
         res.json(updatedProject);
     } catch (error) {
@@ -252,7 +553,7 @@ router.post('/:id/assign', async (req, res) => {
 });
 
 // POST /api/projects/:id/unassign - Remove users from project
-router.post('/:id/unassign', async (req, res) => {
+router.post('/:id/unassign', requireScope('projects:admin'), async (req, res) => {
     try {
         const { id } = req.params;
         const { userIds } = req.body;
@@ -262,27 +563,51 @@ router.post('/:id/unassign', async (req, res) => {
             return res.status(400).json({ message: 'User IDs array is required' });
         }
 
-        // Check if user owns the project (only owners can remove collaborators)
-        const project = await prisma.project.findFirst({
-            where: {
-                id: id,
-                ownerId: userId
-            }
-        });
+        // Check the user's role (owner or admin can remove collaborators)
+        const { project, role: currentRole, allowed } = await authorizeProject(id, userId, 'project:manage_collaborators');
 
         if (!project) {
-            return res.status(404).json({ message: 'Project not found or access denied (owner only)' });
+            return res.status(404).json({ message: 'Project not found or access denied' });
         }
 
-        // Remove collaborators
-        await prisma.projectCollaborator.deleteMany({
-            where: {
-                projectId: id,
-                userId: { in: userIds }
+        if (!allowed) {
+            return res.status(403).json({ message: 'Only the owner or an admin can remove collaborators' });
+        }
+
+        const removesAdmin = project.collaborators.some(c => userIds.includes(c.userId) && c.role === 'admin');
+        if (removesAdmin && currentRole !== 'owner') {
+            return res.status(403).json({ message: 'Only the owner can remove admins' });
+        }
+
+        // Remove collaborators; only users who really were collaborators are logged
+        const removedUserIds = await prisma.$transaction(async (tx) => {
+            const removed = await tx.projectCollaborator.findMany({
+                where: { projectId: id, userId: { in: userIds } },
+                select: { id: true, userId: true }
+            });
+
+            await tx.projectCollaborator.deleteMany({
+                where: { id: { in: removed.map(c => c.id) } }
+            });
+
+            const removedIds = removed.map(c => c.userId);
+            if (removedIds.length > 0) {
+                await recordActivity({
+                    actorId: userId,
+                    projectId: id,
+                    action: 'project.collaborators_removed',
+                    changes: { collaboratorIds: { from: removedIds, to: null } }
+                }, tx);
             }
+
+            return removedIds;
         });
 
-        console.log(`Removed ${userIds.length} collaborators from project: ${id}`);
+        // Notify before leaving so the removed users' clients can drop the project
+        emitToProject(req.io, id, 'project:unassigned', { id, removedUserIds: userIds });
+        leaveProject(req.io, id, userIds);
+
+        console.log(`Removed ${removedUserIds.length} collaborators from project: ${id}`);
         res.json({ message: 'Users removed from project successfully' });
     } catch (error) {
         console.error('Remove users from project error:', error);
@@ -291,25 +616,13 @@ router.post('/:id/unassign', async (req, res) => {
 });
 
 // GET /api/projects/:id/collaborators - Get project collaborators
-router.get('/:id/collaborators', async (req, res) => {
+router.get('/:id/collaborators', requireScope('read'), async (req, res) => {
     try {
         const { id } = req.params;
         const userId = req.user.id;
 
         // Check if user has access to this project
-        const project = await prisma.project.findFirst({
-            where: {
-                id: id,
-                OR: [
-                    { ownerId: userId },
-                    { 
-                        collaborators: {
-                            some: { userId: userId }
-                        }
-                    }
-                ]
-            }
-        });
+        const { project } = await authorizeProject(id, userId, 'project:view');
 
         if (!project) {
             return res.status(404).json({ message: 'Project not found or access denied' });
@@ -329,7 +642,7 @@ router.get('/:id/collaborators', async (req, res) => {
             }
         });
 
-        const collaboratorUsers = collaborators.map(c => c.user);
+        const collaboratorUsers = collaborators.map(c => ({ ...c.user, role: c.role }));
         console.log(`Retrieved ${collaboratorUsers.length} collaborators for project: ${id}`);
         res.json(collaboratorUsers);
     } catch (error) {
@@ -338,8 +651,118 @@ router.get('/:id/collaborators', async (req, res) => {
     }
 });
 
+// PATCH /api/projects/:id/collaborators/:userId - Change a collaborator's role
+router.patch('/:id/collaborators/:userId', requireScope('projects:admin'), async (req, res) => {
+    try {
+        const { id, userId: collaboratorId } = req.params;
+        const { role } = req.body;
+        const userId = req.user.id;
+
+        if (!COLLABORATOR_ROLES.includes(role)) {
+            return res.status(400).json({ message: `Role must be one of: ${COLLABORATOR_ROLES.join(', ')}` });
+        }
+
+        const { project, role: currentRole, allowed } = await authorizeProject(id, userId, 'project:manage_collaborators');
+
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found or access denied' });
+        }
+
+        if (!allowed) {
+            return res.status(403).json({ message: 'Only the owner or an admin can change roles' });
+        }
+
+        const collaborator = project.collaborators.find(c => c.userId === collaboratorId);
+        if (!collaborator) {
+            return res.status(404).json({ message: 'User is not a collaborator on this project' });
+        }
+
+        // Admins manage members and viewers; promoting to or demoting from admin is owner only
+        if ((role === 'admin' || collaborator.role === 'admin') && currentRole !== 'owner') {
+            return res.status(403).json({ message: 'Only the owner can change admin roles' });
+        }
+
+        const updated = await prisma.$transaction(async (tx) => {
+            const saved = await tx.projectCollaborator.update({
+                where: { id: collaborator.id },
+                data: { role },
+                include: {
+                    user: {
+                        select: { id: true, name: true, email: true }
+                    }
+                }
+            });
+
+            if (collaborator.role !== role) {
+                await recordActivity({
+                    actorId: userId,
+                    projectId: id,
+                    action: 'project.role_changed',
+                    changes: { [`role:${collaboratorId}`]: { from: collaborator.role, to: role } }
+                }, tx);
+            }
+
+            return saved;
+        });
+
+        emitToProject(req.io, id, 'project:role_changed', { id, userId: collaboratorId, role });
+
+        console.log(`Changed role of ${collaboratorId} on project ${id} to ${role}`);
+        res.json({ ...updated.user, role: updated.role });
+    } catch (error) {
+        console.error('Change collaborator role error:', error);
+        res.status(500).json({ message: 'Failed to change collaborator role' });
+    }
+});
+
+// GET /api/projects/:id/activity - Change history of a project and its issues (paginated, newest first)
+router.get('/:id/activity', requireScope('read'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { cursor, limit } = req.query;
+        const userId = req.user.id;
+
+        // Check if user has access to this project
+        const { project } = await authorizeProject(id, userId, 'project:view');
+
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found or access denied' });
+        }
+
+        const page = await listActivity({ projectId: id }, { cursor, limit });
+        res.json(page);
+    } catch (error) {
+        console.error('Get project activity error:', error);
+        res.status(500).json({ message: 'Failed to get project activity' });
+    }
+});
+
+// GET /api/projects/:id/analytics?from=&to= - Issue counts, weekly throughput, cycle time and
+// open workload. Always computed over the whole project, whatever the caller's role.
+router.get('/:id/analytics', requireScope('read'), async (req, res) => {
+    const { id } = req.params;
+    const { from, to, error: rangeError } = parseRange(req.query);
+
+    if (rangeError) {
+        return res.status(400).json({ message: rangeError });
+    }
+
+    try {
+        const { project } = await authorizeProject(id, req.user.id, 'project:view');
+
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found or access denied' });
+        }
+
+        res.json(await buildProjectAnalytics(id, from, to));
+    } catch (error) {
+        console.error('Get project analytics error:', error);
+        res.status(500).json({ message: 'Failed to get project analytics' });
+    }
+});
+
 // GET /api/projects/:id - Get single project details
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireScope('read'), async (req, res) => {
     try {
         const { id } = req.params;
         const userId = req.user.id;
@@ -368,6 +791,7 @@ router.get('/:id', async (req, res) => {
                     }
                 },
                 issues: {
+                    where: { deletedAt: null },
                     include: {
                         assignees: {
                             include: {
@@ -379,7 +803,7 @@ router.get('/:id', async (req, res) => {
                     }
                 },
                 _count: {
-                    select: { issues: true }
+                    select: { issues: { where: { deletedAt: null } } }
                 }
             }
         });
@@ -390,7 +814,8 @@ router.get('/:id', async (req, res) => {
 
         const projectWithRole = {
             ...project,
-            userRole: project.ownerId === userId ? 'owner' : 'collaborator'
+            issues: project.issues.map(issue => ({ ...issue, key: formatIssueKey(project.key, issue.number) })),
+            userRole: roleFromProject(project, userId)
         };
 
         console.log(`Retrieved project details: ${id}`);
@@ -0,0 +1,120 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const authMiddleware = require('../middleware/auth.js');
+const { escapeHtml } = require('../utils/mailer.js');
+const { tokenProjectFilter } = require('../utils/accessTokens.js');
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+router.use(authMiddleware);
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// ts_headline wraps matches in these control characters; they are swapped for <mark>
+// only after the text is HTML-escaped, so issue content can't inject markup.
+const MATCH_START = '\u0001';
+const MATCH_END = '\u0002';
+const HEADLINE_OPTIONS = `StartSel=${MATCH_START}, StopSel=${MATCH_END}`;
+
+// "login err" -> "login:* & err:*" - every word must match, each as a prefix,
+// so results show up while the user is still typing. Anything but letters and
+// digits is dropped, which keeps to_tsquery from failing on user input.
+const toPrefixQuery = (text) => String(text || '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .slice(0, 10)
+    .map(word => `${word.toLowerCase()}:*`)
+    .join(' & ');
+
+const highlight = (text) => (text
+    ? escapeHtml(text).split(MATCH_START).join('<mark>').split(MATCH_END).join('</mark>')
+    : text);
+
+// GET /api/search?q=...&projectId=&includeArchived=&limit=&offset= - Ranked search over issue
+// titles, descriptions and project names in every project the caller can see
+router.get('/', async (req, res) => {
+    const userId = req.user.id;
+    const query = toPrefixQuery(req.query.q);
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE));
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const projectId = req.query.projectId || null;
+    // Like GET /api/issues: archived projects only when asked for
+    const includeArchived = req.query.includeArchived === 'true';
+    // API tokens limited to some projects only search those
+    const tokenFilter = tokenProjectFilter(req.user);
+    const tokenProjectIds = tokenFilter ? tokenFilter.projectId.in : null;
+
+    if (!query) {
+        return res.status(400).json({ message: 'Search text (q) is required.' });
+    }
+
+    try {
+        // Same visibility as the issue list: own or collaborating projects, plus issues assigned to the caller
+        const rows = await prisma.$queryRaw`
+            WITH search AS (SELECT to_tsquery('english', ${query}) AS query)
+            SELECT
+                i."id",
+                p."key" || '-' || i."number" AS "key",
+                i."title",
+                i."status",
+                i."priority"::text AS "priority",
+                i."projectId",
+                p."name" AS "projectName",
+                i."updatedAt",
+                ts_rank(coalesce(i."searchVector", ''::tsvector), search.query)
+                    + 0.3 * ts_rank(to_tsvector('english', p."name"), search.query) AS "rank",
+                ts_headline('english', i."title", search.query, ${`${HEADLINE_OPTIONS}, HighlightAll=true`}) AS "titleHighlight",
+                ts_headline('english', coalesce(i."description", ''), search.query,
+                    ${`${HEADLINE_OPTIONS}, MaxFragments=2, MaxWords=25, MinWords=8, FragmentDelimiter=" … "`}) AS "snippet",
+                ts_headline('english', p."name", search.query, ${`${HEADLINE_OPTIONS}, HighlightAll=true`}) AS "projectHighlight",
+                COUNT(*) OVER () AS "totalCount"
+            FROM "public"."Issue" i
+            JOIN "public"."Project" p ON p."id" = i."projectId"
+            CROSS JOIN search
+            WHERE (i."searchVector" @@ search.query OR to_tsvector('english', p."name") @@ search.query)
+                AND i."deletedAt" IS NULL
+                AND p."deletedAt" IS NULL
+                AND (p."archivedAt" IS NULL OR ${includeArchived}::boolean OR i."projectId" = ${projectId})
+                AND (${projectId}::text IS NULL OR i."projectId" = ${projectId})
+                AND (${tokenProjectIds}::text[] IS NULL OR i."projectId" = ANY(${tokenProjectIds}::text[]))
+                AND (
+                    p."ownerId" = ${userId}
+                    OR EXISTS (SELECT 1 FROM "public"."ProjectCollaborator" c WHERE c."projectId" = p."id" AND c."userId" = ${userId})
+                    OR EXISTS (SELECT 1 FROM "public"."IssueAssignee" a WHERE a."issueId" = i."id" AND a."userId" = ${userId})
+                )
+            ORDER BY "rank" DESC, i."updatedAt" DESC, i."id"
+            LIMIT ${limit} OFFSET ${offset}
+        `;
+
+        const totalCount = rows.length > 0 ? Number(rows[0].totalCount) : 0;
+
+        res.status(200).json({
+            items: rows.map(row => ({
+                id: row.id,
+                key: row.key,
+                title: row.title,
+                status: row.status,
+                priority: row.priority,
+                projectId: row.projectId,
+                projectName: row.projectName,
+                updatedAt: row.updatedAt,
+                rank: row.rank,
+                highlights: {
+                    title: highlight(row.titleHighlight),
+                    // Only a snippet when the description itself matched
+                    description: row.snippet && row.snippet.includes(MATCH_START) ? highlight(row.snippet) : null,
+                    project: highlight(row.projectHighlight)
+                }
+            })),
+            totalCount,
+            nextOffset: offset + rows.length < totalCount ? offset + rows.length : null
+        });
+    } catch (error) {
+        console.error('Search error:', error);
+        res.status(500).json({ message: 'Search failed.' });
+    }
+});
+
+module.exports = router;
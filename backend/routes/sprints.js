@@ -0,0 +1,416 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const authMiddleware = require('../middleware/auth.js');
+const { requireScope } = authMiddleware;
+const { emitToProject } = require('../utils/realtime.js');
+const { diffFields, recordActivity } = require('../utils/activity.js');
+const { authorizeProject } = require('../utils/permissions.js');
+const { moveIssuesToSprint, buildBurndown } = require('../utils/sprints.js');
+const { resolveIssueParam } = require('../utils/issueKeys.js');
+
+const prisma = new PrismaClient();
+// mergeParams so :id from the mount path in server.js is visible here
+const router = express.Router({ mergeParams: true });
+
+router.use(authMiddleware);
+router.param('issueId', resolveIssueParam);
+
+const SPRINT_STATES = ['planned', 'active', 'closed'];
+const SPRINT_FIELDS = ['name', 'goal', 'startDate', 'endDate', 'state'];
+
+// Parse { name, goal, startDate, endDate } from a body. Returns { data } or { error };
+// fields that were not sent are left out so the same parser works for PATCH.
+const parseSprintBody = (body, existing = {}) => {
+    const data = {};
+
+    if (body.name !== undefined) {
+        if (!body.name || !String(body.name).trim()) return { error: 'Sprint name is required' };
+        data.name = String(body.name).trim();
+    }
+
+    if (body.goal !== undefined) data.goal = body.goal || null;
+
+    for (const field of ['startDate', 'endDate']) {
+        if (body[field] === undefined) continue;
+        const date = new Date(body[field]);
+        if (!body[field] || Number.isNaN(date.getTime())) return { error: `${field} must be a valid date` };
+        data[field] = date;
+    }
+
+    const startDate = data.startDate || existing.startDate;
+    const endDate = data.endDate || existing.endDate;
+    if (startDate && endDate && endDate < startDate) {
+        return { error: 'endDate must not be before startDate' };
+    }
+
+    return { data };
+};
+
+// Load the project and sprint for a route, checking `action`. Sends the error
+// response itself and returns {} when the caller should stop.
+const loadSprint = async (req, res, action) => {
+    const { id, sprintId } = req.params;
+    const { project, allowed } = await authorizeProject(id, req.user.id, action);
+
+    if (!project) {
+        res.status(404).json({ message: 'Project not found or access denied' });
+        return {};
+    }
+
+    if (!allowed) {
+        res.status(403).json({ message: 'You do not have permission to manage sprints' });
+        return {};
+    }
+
+    const sprint = await prisma.sprint.findFirst({ where: { id: sprintId, projectId: id } });
+    if (!sprint) {
+        res.status(404).json({ message: 'Sprint not found' });
+        return {};
+    }
+
+    return { project, sprint };
+};
+
+// GET /api/projects/:id/sprints - All sprints, oldest first. ?state=planned,active to filter
+router.get('/', requireScope('read'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { project } = await authorizeProject(id, req.user.id, 'project:view');
+
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found or access denied' });
+        }
+
+        const states = req.query.state ? String(req.query.state).split(',') : null;
+        if (states && states.some(state => !SPRINT_STATES.includes(state))) {
+            return res.status(400).json({ message: `state must be one of: ${SPRINT_STATES.join(', ')}` });
+        }
+
+        const sprints = await prisma.sprint.findMany({
+            where: { projectId: id, ...(states && { state: { in: states } }) },
+            include: { _count: { select: { issues: true } } },
+            orderBy: [{ startDate: 'asc' }, { createdAt: 'asc' }]
+        });
+
+        res.json(sprints);
+    } catch (error) {
+        console.error('Get sprints error:', error);
+        res.status(500).json({ message: 'Failed to get sprints' });
+    }
+});
+
+// POST /api/projects/:id/sprints - Plan a sprint. Body: { name, goal, startDate, endDate }
+router.post('/', requireScope('projects:admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!req.body.name || !req.body.startDate || !req.body.endDate) {
+            return res.status(400).json({ message: 'name, startDate and endDate are required' });
+        }
+
+        const { data, error } = parseSprintBody(req.body);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const { project, allowed } = await authorizeProject(id, req.user.id, 'sprint:manage');
+
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found or access denied' });
+        }
+
+        if (!allowed) {
+            return res.status(403).json({ message: 'You do not have permission to manage sprints' });
+        }
+
+        const sprint = await prisma.$transaction(async (tx) => {
+            const created = await tx.sprint.create({
+                data: { ...data, projectId: id }
+            });
+
+            await recordActivity({
+                actorId: req.user.id,
+                projectId: id,
+                action: 'project.sprint_added',
+                changes: { [`sprint:${created.id}`]: { from: null, to: { name: created.name } } }
+            }, tx);
+
+            return created;
+        });
+
+        emitToProject(req.io, id, 'sprint:created', sprint);
+
+        console.log(`Sprint created: ${sprint.name} in project: ${id}`);
+        res.status(201).json(sprint);
+    } catch (error) {
+        console.error('Create sprint error:', error);
+        res.status(500).json({ message: 'Failed to create sprint' });
+    }
+});
+
+// GET /api/projects/:id/sprints/:sprintId - A sprint with its issues
+router.get('/:sprintId', requireScope('read'), async (req, res) => {
+    try {
+        const { sprint } = await loadSprint(req, res, 'project:view');
+        if (!sprint) return;
+
+        const issues = await prisma.issue.findMany({
+            where: { sprintId: sprint.id, deletedAt: null },
+            include: {
+                assignees: { include: { user: { select: { id: true, name: true, email: true } } } },
+                workflowStatus: { select: { name: true, category: true } }
+            },
+            orderBy: { createdAt: 'asc' }
+        });
+
+        res.json({ ...sprint, issues });
+    } catch (error) {
+        console.error('Get sprint error:', error);
+        res.status(500).json({ message: 'Failed to get sprint' });
+    }
+});
+
+// PATCH /api/projects/:id/sprints/:sprintId - Edit name, goal or dates, or start it ({ state: 'active' })
+router.patch('/:sprintId', requireScope('projects:admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { state } = req.body;
+
+        if (state !== undefined && !['planned', 'active'].includes(state)) {
+            return res.status(400).json({ message: 'state can be set to planned or active; use /close to close a sprint' });
+        }
+
+        const { sprint } = await loadSprint(req, res, 'sprint:manage');
+        if (!sprint) return;
+
+        if (sprint.state === 'closed') {
+            return res.status(400).json({ message: 'Closed sprints cannot be changed' });
+        }
+
+        const { data, error } = parseSprintBody(req.body, sprint);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+        if (state !== undefined) data.state = state;
+
+        const updated = await prisma.$transaction(async (tx) => {
+            const saved = await tx.sprint.update({
+                where: { id: sprint.id },
+                data
+            });
+
+            const changes = diffFields(sprint, saved, SPRINT_FIELDS);
+            if (Object.keys(changes).length > 0) {
+                await recordActivity({
+                    actorId: req.user.id,
+                    projectId: id,
+                    action: 'project.sprint_updated',
+                    changes
+                }, tx);
+            }
+
+            return saved;
+        });
+
+        emitToProject(req.io, id, 'sprint:updated', updated);
+
+        res.json(updated);
+    } catch (error) {
+        console.error('Update sprint error:', error);
+        res.status(500).json({ message: 'Failed to update sprint' });
+    }
+});
+
+// DELETE /api/projects/:id/sprints/:sprintId - Remove a sprint; its issues go back to the backlog
+router.delete('/:sprintId', requireScope('projects:admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { sprint } = await loadSprint(req, res, 'sprint:manage');
+        if (!sprint) return;
+
+        await prisma.$transaction(async (tx) => {
+            const issues = await tx.issue.findMany({ where: { sprintId: sprint.id } });
+            await moveIssuesToSprint(issues, null, req.user.id, tx);
+
+            await tx.sprint.delete({ where: { id: sprint.id } });
+
+            await recordActivity({
+                actorId: req.user.id,
+                projectId: id,
+                action: 'project.sprint_removed',
+                changes: { [`sprint:${sprint.id}`]: { from: { name: sprint.name }, to: null } }
+            }, tx);
+        });
+
+        emitToProject(req.io, id, 'sprint:deleted', { id: sprint.id, projectId: id });
+
+        res.status(204).send();
+    } catch (error) {
+        console.error('Delete sprint error:', error);
+        res.status(500).json({ message: 'Failed to delete sprint' });
+    }
+});
+
+// POST /api/projects/:id/sprints/:sprintId/issues - Put issues into the sprint. Body: { issueIds }
+router.post('/:sprintId/issues', requireScope('issues:write'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { issueIds } = req.body;
+
+        if (!Array.isArray(issueIds) || issueIds.length === 0) {
+            return res.status(400).json({ message: 'issueIds must be a non-empty array' });
+        }
+
+        const { sprint } = await loadSprint(req, res, 'issue:update');
+        if (!sprint) return;
+
+        if (sprint.state === 'closed') {
+            return res.status(400).json({ message: 'Issues cannot be added to a closed sprint' });
+        }
+
+        const issues = await prisma.issue.findMany({
+            where: { id: { in: issueIds }, projectId: id, deletedAt: null }
+        });
+
+        if (issues.length !== new Set(issueIds).size) {
+            return res.status(400).json({ message: 'One or more issues do not belong to this project' });
+        }
+
+        const moved = await moveIssuesToSprint(issues, sprint.id, req.user.id);
+
+        emitToProject(req.io, id, 'sprint:issues_changed', {
+            sprintId: sprint.id,
+            added: moved.map(issue => issue.id)
+        });
+
+        res.json({ sprintId: sprint.id, added: moved.map(issue => issue.id) });
+    } catch (error) {
+        console.error('Add sprint issues error:', error);
+        res.status(500).json({ message: 'Failed to add issues to sprint' });
+    }
+});
+
+// DELETE /api/projects/:id/sprints/:sprintId/issues/:issueId - Move an issue back to the backlog
+router.delete('/:sprintId/issues/:issueId', requireScope('issues:write'), async (req, res) => {
+    try {
+        const { id, issueId } = req.params;
+
+        const { sprint } = await loadSprint(req, res, 'issue:update');
+        if (!sprint) return;
+
+        const issue = await prisma.issue.findFirst({ where: { id: issueId, sprintId: sprint.id } });
+        if (!issue) {
+            return res.status(404).json({ message: 'Issue is not in this sprint' });
+        }
+
+        await moveIssuesToSprint([issue], null, req.user.id);
+
+        emitToProject(req.io, id, 'sprint:issues_changed', { sprintId: sprint.id, removed: [issueId] });
+
+        res.status(204).send();
+    } catch (error) {
+        console.error('Remove sprint issue error:', error);
+        res.status(500).json({ message: 'Failed to remove issue from sprint' });
+    }
+});
+
+// GET /api/projects/:id/sprints/:sprintId/burndown - Daily burndown and burnup series
+router.get('/:sprintId/burndown', requireScope('read'), async (req, res) => {
+    try {
+        const { sprint } = await loadSprint(req, res, 'project:view');
+        if (!sprint) return;
+
+        const { burndown, burnup } = await buildBurndown(sprint);
+
+        res.json({
+            sprint: { id: sprint.id, name: sprint.name, startDate: sprint.startDate, endDate: sprint.endDate },
+            burndown,
+            burnup
+        });
+    } catch (error) {
+        console.error('Get burndown error:', error);
+        res.status(500).json({ message: 'Failed to get burndown data' });
+    }
+});
+
+// POST /api/projects/:id/sprints/:sprintId/close - Close the sprint.
+// Body: { moveUnfinishedTo } - "next" (the next planned sprint), a sprint id, or
+// omitted to leave unfinished issues where they are. The response lists the
+// unfinished issues and the next sprint so the client can offer to move them.
+router.post('/:sprintId/close', requireScope('projects:admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { moveUnfinishedTo } = req.body;
+
+        const { sprint } = await loadSprint(req, res, 'sprint:manage');
+        if (!sprint) return;
+
+        if (sprint.state === 'closed') {
+            return res.status(400).json({ message: 'Sprint is already closed' });
+        }
+
+        const nextSprint = await prisma.sprint.findFirst({
+            where: { projectId: id, id: { not: sprint.id }, state: { not: 'closed' }, startDate: { gte: sprint.startDate } },
+            orderBy: [{ startDate: 'asc' }, { createdAt: 'asc' }]
+        });
+
+        let target = null;
+        if (moveUnfinishedTo === 'next') {
+            if (!nextSprint) {
+                return res.status(400).json({ message: 'There is no upcoming sprint to move issues to' });
+            }
+            target = nextSprint;
+        } else if (moveUnfinishedTo) {
+            target = await prisma.sprint.findFirst({
+                where: { id: moveUnfinishedTo, projectId: id, state: { not: 'closed' } }
+            });
+            if (!target || target.id === sprint.id) {
+                return res.status(400).json({ message: 'moveUnfinishedTo must be another open sprint of this project' });
+            }
+        }
+
+        // Closing, moving the unfinished issues and logging it succeed or fail together
+        const { closed, unfinished } = await prisma.$transaction(async (tx) => {
+            const saved = await tx.sprint.update({
+                where: { id: sprint.id },
+                data: { state: 'closed', closedAt: new Date() }
+            });
+
+            const open = await tx.issue.findMany({
+                where: { sprintId: sprint.id, deletedAt: null, workflowStatus: { category: { not: 'done' } } },
+                select: { id: true, title: true, status: true, projectId: true, sprintId: true }
+            });
+
+            if (target && open.length > 0) {
+                await moveIssuesToSprint(open, target.id, req.user.id, tx);
+            }
+
+            await recordActivity({
+                actorId: req.user.id,
+                projectId: id,
+                action: 'project.sprint_closed',
+                changes: {
+                    state: { from: sprint.state, to: 'closed' },
+                    ...(target && { unfinishedMovedTo: { from: null, to: target.id } })
+                }
+            }, tx);
+
+            return { closed: saved, unfinished: open };
+        });
+
+        emitToProject(req.io, id, 'sprint:closed', { ...closed, movedTo: target ? target.id : null });
+
+        res.json({
+            sprint: closed,
+            unfinishedIssues: unfinished.map(({ id: issueId, title, status }) => ({ id: issueId, title, status })),
+            nextSprint,
+            movedTo: target ? target.id : null
+        });
+    } catch (error) {
+        console.error('Close sprint error:', error);
+        res.status(500).json({ message: 'Failed to close sprint' });
+    }
+});
+
+module.exports = router;
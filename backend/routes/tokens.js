@@ -0,0 +1,123 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const authMiddleware = require('../middleware/auth.js');
+const { requireSession } = authMiddleware;
+const { authorizeProject } = require('../utils/permissions.js');
+const { TOKEN_SCOPES, createAccessToken } = require('../utils/accessTokens.js');
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+// Tokens are managed from a signed-in session only, so a leaked token can't mint more
+router.use(authMiddleware, requireSession);
+
+const MAX_NAME_LENGTH = 100;
+
+// The hash never leaves the server; the token itself is only returned once, on creation
+const formatToken = ({ tokenHash, ...token }) => token;
+
+const validateScopes = (scopes) => {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        return 'scopes must be a non-empty array';
+    }
+    const invalid = scopes.find(scope => !TOKEN_SCOPES.includes(scope));
+    return invalid === undefined ? null : `Unknown scope "${invalid}". Use one of: ${TOKEN_SCOPES.join(', ')}`;
+};
+
+// expiresAt from a request body: null (never expires) or a date in the future
+const parseExpiresAt = (value) => {
+    if (value === undefined || value === null || value === '') return { expiresAt: null };
+
+    const expiresAt = new Date(value);
+    if (Number.isNaN(expiresAt.getTime())) {
+        return { error: 'expiresAt must be a valid date.' };
+    }
+    if (expiresAt <= new Date()) {
+        return { error: 'expiresAt must be in the future.' };
+    }
+    return { expiresAt };
+};
+
+// GET /api/tokens - The caller's API tokens (without the secret), newest first
+router.get('/', async (req, res) => {
+    try {
+        const tokens = await prisma.personalAccessToken.findMany({
+            where: { userId: req.user.id, revokedAt: null },
+            orderBy: { createdAt: 'desc' }
+        });
+
+        res.json(tokens.map(formatToken));
+    } catch (error) {
+        console.error('Get API tokens error:', error);
+        res.status(500).json({ message: 'Failed to get API tokens' });
+    }
+});
+
+// POST /api/tokens - Create an API token. Body: { name, scopes, projectIds?, expiresAt? }
+// Without projectIds the token works in every project the user can access.
+// The response holds the token itself; it can't be retrieved again.
+router.post('/', async (req, res) => {
+    try {
+        const { name, scopes, projectIds = [] } = req.body;
+
+        if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+            return res.status(400).json({ message: `name is required (at most ${MAX_NAME_LENGTH} characters)` });
+        }
+
+        const scopeError = validateScopes(scopes);
+        if (scopeError) {
+            return res.status(400).json({ message: scopeError });
+        }
+
+        if (!Array.isArray(projectIds) || projectIds.some(id => typeof id !== 'string')) {
+            return res.status(400).json({ message: 'projectIds must be an array of project ids' });
+        }
+
+        const { expiresAt, error: expiresError } = parseExpiresAt(req.body.expiresAt);
+        if (expiresError) {
+            return res.status(400).json({ message: expiresError });
+        }
+
+        // A token can only be limited to projects its owner can see
+        const uniqueProjectIds = [...new Set(projectIds)];
+        for (const projectId of uniqueProjectIds) {
+            const { project } = await authorizeProject(projectId, req.user.id, 'project:view');
+            if (!project) {
+                return res.status(404).json({ message: `Project ${projectId} not found or access denied` });
+            }
+        }
+
+        const { record, token } = await createAccessToken(req.user.id, {
+            name: name.trim(),
+            scopes: [...new Set(scopes)],
+            projectIds: uniqueProjectIds,
+            expiresAt
+        });
+
+        res.status(201).json({ ...formatToken(record), token });
+    } catch (error) {
+        console.error('Create API token error:', error);
+        res.status(500).json({ message: 'Failed to create API token' });
+    }
+});
+
+// DELETE /api/tokens/:tokenId - Revoke a token; requests using it fail from now on
+router.delete('/:tokenId', async (req, res) => {
+    try {
+        const { count } = await prisma.personalAccessToken.updateMany({
+            where: { id: req.params.tokenId, userId: req.user.id, revokedAt: null },
+            data: { revokedAt: new Date() }
+        });
+
+        if (count === 0) {
+            return res.status(404).json({ message: 'API token not found' });
+        }
+
+        res.status(204).send();
+    } catch (error) {
+        console.error('Revoke API token error:', error);
+        res.status(500).json({ message: 'Failed to revoke API token' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,273 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const authMiddleware = require('../middleware/auth.js');
+const { scopeByMethod } = authMiddleware;
+const { authorizeProject, roleFromProject, can } = require('../utils/permissions.js');
+const { FILTER_PARAMS, buildIssueWhere, buildIssuePaging } = require('../utils/issueFilters.js');
+const { tokenAllowsProject, tokenProjectFilter } = require('../utils/accessTokens.js');
+const { findIssuePage } = require('../utils/issueQueries.js');
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+router.use(authMiddleware);
+// API tokens: reads need "read", changes "issues:write"
+router.use(scopeByMethod('issues:write'));
+
+const VISIBILITIES = ['private', 'project'];
+
+const viewInclude = {
+    owner: { select: { id: true, name: true, email: true } },
+    project: { include: { collaborators: true } }
+};
+
+// Hide the collaborator list that was only loaded for access checks
+const formatView = ({ project, ...view }) => ({
+    ...view,
+    project: project ? { id: project.id, name: project.name, key: project.key } : null
+});
+
+// Keep only known filter parameters with string (or string list) values.
+// Returns { filters } or { error }.
+const normalizeFilters = (input) => {
+    if (input === undefined || input === null) return { filters: {} };
+    if (typeof input !== 'object' || Array.isArray(input)) return { error: 'filters must be an object' };
+
+    const filters = {};
+    for (const [param, value] of Object.entries(input)) {
+        if (!FILTER_PARAMS.includes(param)) {
+            return { error: `Unknown filter "${param}". Supported filters: ${FILTER_PARAMS.join(', ')}` };
+        }
+        if (value === undefined || value === null || value === '') continue;
+        filters[param] = Array.isArray(value) ? value.map(String) : String(value);
+    }
+
+    return { filters };
+};
+
+// Query for running a view: its filters, sort and order, pinned to the project for shared views
+const viewQuery = (view, paging = {}) => ({
+    ...view.filters,
+    ...(view.visibility === 'project' && { projectId: view.projectId }),
+    sort: view.sort,
+    ...(view.order && { order: view.order }),
+    ...paging
+});
+
+const canRead = (view, userId) => view.ownerId === userId
+    || (view.visibility === 'project' && can(roleFromProject(view.project, userId), 'project:view'));
+
+// Owners edit their views; project owners and admins may also tidy up shared ones
+const canEdit = (view, userId) => view.ownerId === userId
+    || (view.visibility === 'project' && can(roleFromProject(view.project, userId), 'view:moderate'));
+
+// Validate name/filters/sort/visibility from a body merged over an existing view.
+// Returns { data } or { status, error }.
+const parseViewBody = async (body, user, existing = null) => {
+    const userId = user.id;
+    const data = {};
+
+    if (body.name !== undefined || !existing) {
+        if (!body.name || !String(body.name).trim()) return { status: 400, error: 'View name is required' };
+        data.name = String(body.name).trim();
+    }
+
+    if (body.filters !== undefined || !existing) {
+        const { filters, error } = normalizeFilters(body.filters);
+        if (error) return { status: 400, error };
+        data.filters = filters;
+    }
+
+    if (body.sort !== undefined) data.sort = body.sort || 'createdAt';
+    if (body.order !== undefined) data.order = body.order || null;
+
+    const visibility = body.visibility ?? (existing ? existing.visibility : 'private');
+    if (!VISIBILITIES.includes(visibility)) {
+        return { status: 400, error: `visibility must be one of: ${VISIBILITIES.join(', ')}` };
+    }
+    data.visibility = visibility;
+
+    // Shared views belong to a project the author can see; private ones don't
+    if (visibility === 'project') {
+        const projectId = body.projectId ?? (existing ? existing.projectId : null);
+        if (!projectId) return { status: 400, error: 'projectId is required for views shared with a project' };
+
+        const { project, allowed } = await authorizeProject(projectId, userId, 'view:share');
+        if (!project || !tokenAllowsProject(user, projectId)) return { status: 404, error: 'Project not found or access denied' };
+        if (!allowed) return { status: 403, error: 'You do not have permission to share views in this project' };
+        data.projectId = projectId;
+    } else {
+        data.projectId = null;
+    }
+
+    // Check the result the same way GET /api/issues would
+    const merged = { ...(existing || {}), ...data, filters: data.filters || (existing && existing.filters) || {} };
+    const { error: filterError } = buildIssueWhere(viewQuery(merged), userId);
+    const { error: pagingError } = buildIssuePaging(viewQuery(merged));
+    if (filterError || pagingError) return { status: 400, error: filterError || pagingError };
+
+    return { data };
+};
+
+// Load a view the caller can read. Sends the error response itself and returns null otherwise.
+const loadView = async (req, res) => {
+    const view = await prisma.savedView.findUnique({
+        where: { id: req.params.id },
+        include: viewInclude
+    });
+
+    // API tokens limited to some projects don't see views of the others
+    if (!view || !canRead(view, req.user.id) || (view.projectId && !tokenAllowsProject(req.user, view.projectId))) {
+        res.status(404).json({ message: 'View not found' });
+        return null;
+    }
+
+    return view;
+};
+
+// GET /api/views - My views plus views shared with my projects (?projectId= to narrow down)
+router.get('/', async (req, res) => {
+    const userId = req.user.id;
+    // API tokens limited to some projects only list private views and views of those projects
+    const tokenFilter = tokenProjectFilter(req.user);
+
+    try {
+        const views = await prisma.savedView.findMany({
+            where: {
+                ...(req.query.projectId && { projectId: req.query.projectId }),
+                OR: [
+                    { ownerId: userId, ...(tokenFilter && { OR: [{ projectId: null }, tokenFilter] }) },
+                    {
+                        visibility: 'project',
+                        ...tokenFilter,
+                        project: {
+                            OR: [
+                                { ownerId: userId },
+                                { collaborators: { some: { userId } } }
+                            ]
+                        }
+                    }
+                ]
+            },
+            include: viewInclude,
+            orderBy: [{ name: 'asc' }, { createdAt: 'asc' }]
+        });
+
+        res.json(views.map(formatView));
+    } catch (error) {
+        console.error('Get views error:', error);
+        res.status(500).json({ message: 'Failed to get views' });
+    }
+});
+
+// POST /api/views - Save a view. Body: { name, filters, sort?, order?, visibility?, projectId? }
+router.post('/', async (req, res) => {
+    try {
+        const { data, status, error } = await parseViewBody(req.body, req.user);
+        if (error) {
+            return res.status(status).json({ message: error });
+        }
+
+        const view = await prisma.savedView.create({
+            data: { ...data, ownerId: req.user.id },
+            include: viewInclude
+        });
+
+        res.status(201).json(formatView(view));
+    } catch (error) {
+        console.error('Create view error:', error);
+        res.status(500).json({ message: 'Failed to create view' });
+    }
+});
+
+// GET /api/views/:id - One view
+router.get('/:id', async (req, res) => {
+    try {
+        const view = await loadView(req, res);
+        if (!view) return;
+
+        res.json(formatView(view));
+    } catch (error) {
+        console.error('Get view error:', error);
+        res.status(500).json({ message: 'Failed to get view' });
+    }
+});
+
+// PATCH /api/views/:id - Rename, change filters/sort or share/unshare
+router.patch('/:id', async (req, res) => {
+    try {
+        const view = await loadView(req, res);
+        if (!view) return;
+
+        if (!canEdit(view, req.user.id)) {
+            return res.status(403).json({ message: 'Only the owner of this view can change it' });
+        }
+
+        const { data, status, error } = await parseViewBody(req.body, req.user, view);
+        if (error) {
+            return res.status(status).json({ message: error });
+        }
+
+        const updated = await prisma.savedView.update({
+            where: { id: view.id },
+            data,
+            include: viewInclude
+        });
+
+        res.json(formatView(updated));
+    } catch (error) {
+        console.error('Update view error:', error);
+        res.status(500).json({ message: 'Failed to update view' });
+    }
+});
+
+// DELETE /api/views/:id
+router.delete('/:id', async (req, res) => {
+    try {
+        const view = await loadView(req, res);
+        if (!view) return;
+
+        if (!canEdit(view, req.user.id)) {
+            return res.status(403).json({ message: 'Only the owner of this view can delete it' });
+        }
+
+        await prisma.savedView.delete({ where: { id: view.id } });
+
+        res.status(204).send();
+    } catch (error) {
+        console.error('Delete view error:', error);
+        res.status(500).json({ message: 'Failed to delete view' });
+    }
+});
+
+// GET /api/views/:id/issues - Run a view (?cursor=&limit= for paging), same response as GET /api/issues.
+// Filters are evaluated for the caller, so shared views only show what the caller may see
+// and "assignee=me" means the caller.
+router.get('/:id/issues', async (req, res) => {
+    try {
+        const view = await loadView(req, res);
+        if (!view) return;
+
+        const query = viewQuery(view, {
+            ...(req.query.cursor && { cursor: req.query.cursor }),
+            ...(req.query.limit && { limit: req.query.limit })
+        });
+
+        const { where, error: filterError } = buildIssueWhere(query, req.user.id);
+        const { orderBy, limit, cursor, error: pagingError } = buildIssuePaging(query);
+
+        if (filterError || pagingError) {
+            return res.status(400).json({ message: filterError || pagingError });
+        }
+
+        const tokenFilter = tokenProjectFilter(req.user);
+        if (tokenFilter) where.AND.push(tokenFilter);
+
+        res.json(await findIssuePage({ where, orderBy, limit, cursor }));
+    } catch (error) {
+        console.error('Run view error:', error);
+        res.status(500).json({ message: 'Failed to run view' });
+    }
+});
+
+module.exports = router;
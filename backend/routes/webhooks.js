@@ -0,0 +1,259 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const authMiddleware = require('../middleware/auth.js');
+const { scopeByMethod } = authMiddleware;
+const { recordActivity } = require('../utils/activity.js');
+const { authorizeProject } = require('../utils/permissions.js');
+const { WEBHOOK_EVENTS, isValidSubscription, checkWebhookHost, newWebhookSecret, createDelivery } = require('../utils/webhooks.js');
+
+const prisma = new PrismaClient();
+// mergeParams so :id from the mount path in server.js is visible here
+const router = express.Router({ mergeParams: true });
+
+router.use(authMiddleware);
+// API tokens: reads need "read", changes "projects:admin"
+router.use(scopeByMethod('projects:admin'));
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// The secret is only returned once, when the webhook is created
+const formatWebhook = ({ secret, ...webhook }) => webhook;
+
+// What the receiver answered stays server-side, so a webhook can't be used to read other services
+const formatDelivery = ({ responseBody, ...delivery }) => delivery;
+
+// http(s) only. Plain http is allowed; the host is checked separately by checkWebhookHost.
+const validateUrl = (value) => {
+    try {
+        const url = new URL(value);
+        return ['http:', 'https:'].includes(url.protocol) ? null : 'Webhook URL must use http or https';
+    } catch (error) {
+        return 'Webhook URL must be a valid URL';
+    }
+};
+
+const validateEvents = (events) => {
+    if (!Array.isArray(events) || events.length === 0) {
+        return 'events must be a non-empty array';
+    }
+    const invalid = events.find(event => typeof event !== 'string' || !isValidSubscription(event));
+    return invalid === undefined
+        ? null
+        : `Unknown event "${invalid}". Use "*", "issue:*" style prefixes or one of: ${WEBHOOK_EVENTS.join(', ')}`;
+};
+
+// Shared guard: only the project owner manages webhooks
+const requireManage = async (req, res) => {
+    const { project, allowed } = await authorizeProject(req.params.id, req.user.id, 'webhook:manage');
+
+    if (!project) {
+        res.status(404).json({ message: 'Project not found or access denied' });
+        return null;
+    }
+
+    if (!allowed) {
+        res.status(403).json({ message: 'Only the project owner can manage webhooks' });
+        return null;
+    }
+
+    return project;
+};
+
+const findWebhook = (req) => prisma.webhook.findFirst({
+    where: { id: req.params.webhookId, projectId: req.params.id }
+});
+
+// GET /api/projects/:id/webhooks - Registered webhooks
+router.get('/', async (req, res) => {
+    try {
+        if (!(await requireManage(req, res))) return;
+
+        const webhooks = await prisma.webhook.findMany({
+            where: { projectId: req.params.id },
+            orderBy: { createdAt: 'asc' }
+        });
+
+        res.json(webhooks.map(formatWebhook));
+    } catch (error) {
+        console.error('Get webhooks error:', error);
+        res.status(500).json({ message: 'Failed to get webhooks' });
+    }
+});
+
+// POST /api/projects/:id/webhooks - Register a webhook. Body: { url, events, secret? }
+router.post('/', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { url, events, secret } = req.body;
+
+        const error = validateUrl(url) || validateEvents(events) || (await checkWebhookHost(url));
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+            return res.status(400).json({ message: 'secret must be at least 16 characters' });
+        }
+
+        if (!(await requireManage(req, res))) return;
+
+        const webhook = await prisma.webhook.create({
+            data: {
+                projectId: id,
+                url,
+                events: [...new Set(events)],
+                secret: secret || newWebhookSecret(),
+                createdById: req.user.id
+            }
+        });
+
+        await recordActivity({
+            actorId: req.user.id,
+            projectId: id,
+            action: 'project.webhook_added',
+            changes: { [`webhook:${webhook.id}`]: { from: null, to: { url, events: webhook.events } } }
+        });
+
+        res.status(201).json(webhook);
+    } catch (error) {
+        console.error('Create webhook error:', error);
+        res.status(500).json({ message: 'Failed to create webhook' });
+    }
+});
+
+// PATCH /api/projects/:id/webhooks/:webhookId - Change url, events or active
+router.patch('/:webhookId', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { url, events, active } = req.body;
+
+        const error = (url !== undefined && (validateUrl(url) || (await checkWebhookHost(url))))
+            || (events !== undefined && validateEvents(events))
+            || (active !== undefined && typeof active !== 'boolean' && 'active must be a boolean');
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        if (!(await requireManage(req, res))) return;
+
+        const existing = await findWebhook(req);
+        if (!existing) {
+            return res.status(404).json({ message: 'Webhook not found' });
+        }
+
+        const data = {};
+        if (url !== undefined) data.url = url;
+        if (events !== undefined) data.events = [...new Set(events)];
+        if (active !== undefined) data.active = active;
+
+        const webhook = await prisma.webhook.update({ where: { id: existing.id }, data });
+
+        await recordActivity({
+            actorId: req.user.id,
+            projectId: id,
+            action: 'project.webhook_updated',
+            changes: {
+                [`webhook:${webhook.id}`]: {
+                    from: { url: existing.url, events: existing.events, active: existing.active },
+                    to: { url: webhook.url, events: webhook.events, active: webhook.active }
+                }
+            }
+        });
+
+        res.json(formatWebhook(webhook));
+    } catch (error) {
+        console.error('Update webhook error:', error);
+        res.status(500).json({ message: 'Failed to update webhook' });
+    }
+});
+
+// DELETE /api/projects/:id/webhooks/:webhookId - Remove a webhook and its delivery log
+router.delete('/:webhookId', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!(await requireManage(req, res))) return;
+
+        const existing = await findWebhook(req);
+        if (!existing) {
+            return res.status(404).json({ message: 'Webhook not found' });
+        }
+
+        await prisma.webhook.delete({ where: { id: existing.id } });
+
+        await recordActivity({
+            actorId: req.user.id,
+            projectId: id,
+            action: 'project.webhook_removed',
+            changes: { [`webhook:${existing.id}`]: { from: { url: existing.url }, to: null } }
+        });
+
+        res.status(204).send();
+    } catch (error) {
+        console.error('Delete webhook error:', error);
+        res.status(500).json({ message: 'Failed to delete webhook' });
+    }
+});
+
+// GET /api/projects/:id/webhooks/:webhookId/deliveries - Delivery log, newest first (?cursor=&limit=)
+router.get('/:webhookId/deliveries', async (req, res) => {
+    try {
+        const { cursor } = req.query;
+        const take = Math.max(1, Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE));
+
+        if (!(await requireManage(req, res))) return;
+
+        const webhook = await findWebhook(req);
+        if (!webhook) {
+            return res.status(404).json({ message: 'Webhook not found' });
+        }
+
+        const deliveries = await prisma.webhookDelivery.findMany({
+            where: { webhookId: webhook.id },
+            orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+            take: take + 1,
+            ...(cursor && { cursor: { id: cursor }, skip: 1 })
+        });
+
+        const hasMore = deliveries.length > take;
+        const items = hasMore ? deliveries.slice(0, take) : deliveries;
+
+        res.json({
+            items: items.map(formatDelivery),
+            nextCursor: hasMore ? items[items.length - 1].id : null
+        });
+    } catch (error) {
+        console.error('Get webhook deliveries error:', error);
+        res.status(500).json({ message: 'Failed to get webhook deliveries' });
+    }
+});
+
+// POST /api/projects/:id/webhooks/:webhookId/deliveries/:deliveryId/redeliver
+// Send the same event and payload again as a new delivery (with its own retries)
+router.post('/:webhookId/deliveries/:deliveryId/redeliver', async (req, res) => {
+    try {
+        if (!(await requireManage(req, res))) return;
+
+        const webhook = await findWebhook(req);
+        if (!webhook) {
+            return res.status(404).json({ message: 'Webhook not found' });
+        }
+
+        const original = await prisma.webhookDelivery.findFirst({
+            where: { id: req.params.deliveryId, webhookId: webhook.id }
+        });
+        if (!original) {
+            return res.status(404).json({ message: 'Delivery not found' });
+        }
+
+        const delivery = await createDelivery(webhook, original.event, original.payload);
+
+        res.status(201).json(formatDelivery(delivery));
+    } catch (error) {
+        console.error('Redeliver webhook error:', error);
+        res.status(500).json({ message: 'Failed to redeliver webhook' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,346 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const authMiddleware = require('../middleware/auth.js');
+const { scopeByMethod } = authMiddleware;
+const { emitToProject } = require('../utils/realtime.js');
+const { recordActivity } = require('../utils/activity.js');
+const { authorizeProject } = require('../utils/permissions.js');
+const { STATUS_CATEGORIES, toStatusKey, getWorkflow } = require('../utils/workflow.js');
+
+const prisma = new PrismaClient();
+// mergeParams so :id from the mount path in server.js is visible here
+const router = express.Router({ mergeParams: true });
+
+router.use(authMiddleware);
+// API tokens: reads need "read", changes "projects:admin"
+router.use(scopeByMethod('projects:admin'));
+
+const BLOCKED_DONE_MODES = ['warn', 'block'];
+
+// Reply with the current workflow and tell open boards about it
+const sendWorkflow = async (req, res, status = 200) => {
+    const workflow = await getWorkflow(req.params.id);
+    emitToProject(req.io, req.params.id, 'project:workflow_updated', { id: req.params.id, ...workflow });
+    res.status(status).json(workflow);
+};
+
+// Shared guard for the mutating routes below (owner or admin)
+const requireManage = async (req, res) => {
+    const { project, allowed } = await authorizeProject(req.params.id, req.user.id, 'project:manage_workflow');
+
+    if (!project) {
+        res.status(404).json({ message: 'Project not found or access denied' });
+        return null;
+    }
+
+    if (!allowed) {
+        res.status(403).json({ message: 'Only the owner or an admin can change the workflow' });
+        return null;
+    }
+
+    return project;
+};
+
+// GET /api/projects/:id/workflow - Ordered statuses and transition rules
+router.get('/', async (req, res) => {
+    try {
+        const { project } = await authorizeProject(req.params.id, req.user.id, 'project:view');
+
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found or access denied' });
+        }
+
+        res.json({ ...(await getWorkflow(req.params.id)), blockedDoneMode: project.blockedDoneMode });
+    } catch (error) {
+        console.error('Get workflow error:', error);
+        res.status(500).json({ message: 'Failed to get workflow' });
+    }
+});
+
+// PATCH /api/projects/:id/workflow/settings - Body: { blockedDoneMode: 'warn' | 'block' }
+// Controls what happens when an issue with open blockers is moved to a "done" status
+router.patch('/settings', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { blockedDoneMode } = req.body;
+
+        if (!BLOCKED_DONE_MODES.includes(blockedDoneMode)) {
+            return res.status(400).json({ message: `blockedDoneMode must be one of: ${BLOCKED_DONE_MODES.join(', ')}` });
+        }
+
+        const project = await requireManage(req, res);
+        if (!project) return;
+
+        await prisma.project.update({
+            where: { id },
+            data: { blockedDoneMode }
+        });
+
+        await recordActivity({
+            actorId: req.user.id,
+            projectId: id,
+            action: 'project.settings_updated',
+            changes: { blockedDoneMode: { from: project.blockedDoneMode, to: blockedDoneMode } }
+        });
+
+        res.json({ blockedDoneMode });
+    } catch (error) {
+        console.error('Update workflow settings error:', error);
+        res.status(500).json({ message: 'Failed to update workflow settings' });
+    }
+});
+
+// POST /api/projects/:id/workflow/statuses - Add a status (appended unless a position is given)
+router.post('/statuses', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, category, position } = req.body;
+        const key = toStatusKey(req.body.key || name || '');
+
+        if (!name || !key) {
+            return res.status(400).json({ message: 'Status name is required' });
+        }
+
+        if (!STATUS_CATEGORIES.includes(category)) {
+            return res.status(400).json({ message: `Category must be one of: ${STATUS_CATEGORIES.join(', ')}` });
+        }
+
+        if (!(await requireManage(req, res))) return;
+
+        const { statuses } = await getWorkflow(id);
+
+        if (statuses.some(s => s.key === key)) {
+            return res.status(400).json({ message: `Status "${key}" already exists in this project` });
+        }
+
+        const insertAt = Number.isInteger(position) ? Math.max(0, Math.min(position, statuses.length)) : statuses.length;
+
+        // Shift later columns right, then insert
+        await prisma.$transaction([
+            prisma.workflowStatus.updateMany({
+                where: { projectId: id, position: { gte: insertAt } },
+                data: { position: { increment: 1 } }
+            }),
+            prisma.workflowStatus.create({
+                data: { projectId: id, key, name, category, position: insertAt }
+            }),
+            recordActivity({
+                actorId: req.user.id,
+                projectId: id,
+                action: 'project.status_added',
+                changes: { [`status:${key}`]: { from: null, to: { name, category } } }
+            }, prisma)
+        ]);
+
+        await sendWorkflow(req, res, 201);
+    } catch (error) {
+        console.error('Create status error:', error);
+        res.status(500).json({ message: 'Failed to create status' });
+    }
+});
+
+// PATCH /api/projects/:id/workflow/statuses/:statusId - Rename or recategorise a status.
+// Changing the key cascades to every issue in that status.
+router.patch('/statuses/:statusId', async (req, res) => {
+    try {
+        const { id, statusId } = req.params;
+        const { name, key, category } = req.body;
+
+        if (category !== undefined && !STATUS_CATEGORIES.includes(category)) {
+            return res.status(400).json({ message: `Category must be one of: ${STATUS_CATEGORIES.join(', ')}` });
+        }
+
+        if (!(await requireManage(req, res))) return;
+
+        const status = await prisma.workflowStatus.findFirst({ where: { id: statusId, projectId: id } });
+        if (!status) {
+            return res.status(404).json({ message: 'Status not found' });
+        }
+
+        const data = {};
+        if (name !== undefined) data.name = name;
+        if (category !== undefined) data.category = category;
+        if (key !== undefined) data.key = toStatusKey(key);
+
+        if (data.key === '') {
+            return res.status(400).json({ message: 'Status key cannot be empty' });
+        }
+
+        await prisma.workflowStatus.update({ where: { id: statusId }, data });
+
+        await recordActivity({
+            actorId: req.user.id,
+            projectId: id,
+            action: 'project.status_updated',
+            changes: { [`status:${status.key}`]: { from: { key: status.key, name: status.name, category: status.category }, to: data } }
+        });
+
+        await sendWorkflow(req, res);
+    } catch (error) {
+        console.error('Update status error:', error);
+        if (error.code === 'P2002') {
+            return res.status(400).json({ message: 'Another status already uses that key' });
+        }
+        res.status(500).json({ message: 'Failed to update status' });
+    }
+});
+
+// PUT /api/projects/:id/workflow/statuses/order - Reorder columns. Body: { statusIds: [...] }
+router.put('/statuses/order', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { statusIds } = req.body;
+
+        if (!Array.isArray(statusIds)) {
+            return res.status(400).json({ message: 'statusIds array is required' });
+        }
+
+        if (!(await requireManage(req, res))) return;
+
+        const { statuses } = await getWorkflow(id);
+        const sameSet = statusIds.length === statuses.length && statuses.every(s => statusIds.includes(s.id));
+
+        if (!sameSet) {
+            return res.status(400).json({ message: 'statusIds must list every status of the project exactly once' });
+        }
+
+        await prisma.$transaction(statusIds.map((statusId, position) => prisma.workflowStatus.update({
+            where: { id: statusId },
+            data: { position }
+        })));
+
+        await sendWorkflow(req, res);
+    } catch (error) {
+        console.error('Reorder statuses error:', error);
+        res.status(500).json({ message: 'Failed to reorder statuses' });
+    }
+});
+
+// DELETE /api/projects/:id/workflow/statuses/:statusId?moveTo=<key> - Remove a status.
+// Issues still in it must be moved to another status first, via `moveTo`.
+router.delete('/statuses/:statusId', async (req, res) => {
+    try {
+        const { id, statusId } = req.params;
+        const { moveTo } = req.query;
+
+        if (!(await requireManage(req, res))) return;
+
+        const { statuses } = await getWorkflow(id);
+        const status = statuses.find(s => s.id === statusId);
+
+        if (!status) {
+            return res.status(404).json({ message: 'Status not found' });
+        }
+
+        if (statuses.length === 1) {
+            return res.status(400).json({ message: 'A project needs at least one status' });
+        }
+
+        const issueCount = await prisma.issue.count({ where: { projectId: id, status: status.key } });
+        const target = moveTo && statuses.find(s => s.key === moveTo && s.id !== statusId);
+
+        if (issueCount > 0 && !target) {
+            return res.status(400).json({
+                message: `${issueCount} issue(s) are still in "${status.key}". Pass ?moveTo=<status key> to move them first.`
+            });
+        }
+
+        await prisma.$transaction(async (tx) => {
+            if (target) {
+                // Each moved issue gets its own status change in the history, as if moved by hand
+                const moving = await tx.issue.findMany({
+                    where: { projectId: id, status: status.key },
+                    select: { id: true }
+                });
+
+                await tx.issue.updateMany({
+                    where: { id: { in: moving.map(issue => issue.id) } },
+                    data: { status: target.key, version: { increment: 1 } }
+                });
+
+                for (const issue of moving) {
+                    await recordActivity({
+                        actorId: req.user.id,
+                        projectId: id,
+                        issueId: issue.id,
+                        action: 'issue.status_changed',
+                        changes: {
+                            status: { from: status.key, to: target.key },
+                            statusCategory: { from: status.category, to: target.category }
+                        }
+                    }, tx);
+                }
+            }
+
+            await tx.workflowStatus.delete({ where: { id: statusId } });
+            await tx.workflowStatus.updateMany({
+                where: { projectId: id, position: { gt: status.position } },
+                data: { position: { decrement: 1 } }
+            });
+
+            await recordActivity({
+                actorId: req.user.id,
+                projectId: id,
+                action: 'project.status_removed',
+                changes: { [`status:${status.key}`]: { from: { name: status.name, category: status.category }, to: null } }
+            }, tx);
+        });
+
+        await sendWorkflow(req, res);
+    } catch (error) {
+        console.error('Delete status error:', error);
+        res.status(500).json({ message: 'Failed to delete status' });
+    }
+});
+
+// PUT /api/projects/:id/workflow/transitions - Replace the transition rules.
+// Body: { transitions: [{ from: 'open', to: 'in_progress' }, ...] }. An empty list allows every move.
+router.put('/transitions', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { transitions } = req.body;
+
+        if (!Array.isArray(transitions)) {
+            return res.status(400).json({ message: 'transitions array is required' });
+        }
+
+        const malformed = transitions.some(t => !t || typeof t !== 'object' || typeof t.from !== 'string' || typeof t.to !== 'string');
+        if (malformed) {
+            return res.status(400).json({ message: 'Each transition must be an object with string from and to status keys' });
+        }
+
+        if (!(await requireManage(req, res))) return;
+
+        const { statuses } = await getWorkflow(id);
+        const idByKey = new Map(statuses.map(s => [s.key, s.id]));
+
+        const unknown = transitions.find(t => !idByKey.has(t.from) || !idByKey.has(t.to) || t.from === t.to);
+        if (unknown) {
+            return res.status(400).json({ message: `Invalid transition ${unknown.from} -> ${unknown.to}` });
+        }
+
+        const rows = transitions.map(t => ({
+            projectId: id,
+            fromStatusId: idByKey.get(t.from),
+            toStatusId: idByKey.get(t.to)
+        }));
+
+        await prisma.$transaction([
+            prisma.workflowTransition.deleteMany({ where: { projectId: id } }),
+            prisma.workflowTransition.createMany({ data: rows, skipDuplicates: true }),
+            recordActivity({
+                actorId: req.user.id,
+                projectId: id,
+                action: 'project.transitions_updated',
+                changes: { transitions: { from: null, to: transitions.map(t => ({ from: t.from, to: t.to })) } }
+            }, prisma)
+        ]);
+
+        await sendWorkflow(req, res);
+    } catch (error) {
+        console.error('Update transitions error:', error);
+        res.status(500).json({ message: 'Failed to update transitions' });
+    }
+});
+
+module.exports = router;
@@ -8,6 +8,34 @@ const { Server } = require("socket.io");
 const authRoutes = require('./routes/auth.js');
 const projectRoutes = require('./routes/projects.js');
 const issueRoutes = require('./routes/issues.js');
+const commentRoutes = require('./routes/comments.js');
+const workflowRoutes = require('./routes/workflow.js');
+const labelRoutes = require('./routes/labels.js');
+const notificationRoutes = require('./routes/notifications.js');
+const invitationRoutes = require('./routes/invitations.js');
+const sprintRoutes = require('./routes/sprints.js');
+const importExportRoutes = require('./routes/importExport.js');
+const webhookRoutes = require('./routes/webhooks.js');
+const attachmentRoutes = require('./routes/attachments.js');
+const searchRoutes = require('./routes/search.js');
+const viewRoutes = require('./routes/views.js');
+const tokenRoutes = require('./routes/tokens.js');
+
+// Realtime
+const { setupSocket } = require('./utils/realtime.js');
+
+// Lets nested issue routes (comments, attachments) take keys like WEB-142 as :issueId
+const { resolveIssueParam } = require('./utils/issueKeys.js');
+
+// Archived projects are read-only; trashed projects and issues are hidden
+const authMiddleware = require('./middleware/auth.js');
+const { projectStateGuard, issueStateGuard } = require('./middleware/projectState.js');
+
+// Background jobs
+const { startDigestScheduler } = require('./utils/notifications.js');
+const { startDueDateScheduler } = require('./utils/dueDates.js');
+const { startWebhookRetryScheduler } = require('./utils/webhooks.js');
+const { startTrashPurgeScheduler } = require('./utils/trash.js');
 
 // Initialization
 const app = express();
@@ -25,7 +53,8 @@ const PORT = process.env.PORT || 5000;
 // Middleware
 app.use(cors({
   origin: process.env.FRONTEND_URL || "*",
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['ETag'] // Issue versions for If-Match
 }));
 app.use(express.json({ limit: '10mb' })); // Add size limit
 
@@ -36,9 +65,24 @@ app.use((req, res, next) => {
 });
 
 // Main Routes
+app.param('issueId', resolveIssueParam);
 app.use('/api/auth', authRoutes);
+app.use('/api/projects/:id', authMiddleware, projectStateGuard);
+app.use('/api/issues/:issueId', authMiddleware, issueStateGuard);
+app.use('/api/projects/:id/workflow', workflowRoutes);
+app.use('/api/projects/:id/labels', labelRoutes);
+app.use('/api/projects/:id/invitations', invitationRoutes);
+app.use('/api/projects/:id/sprints', sprintRoutes);
+app.use('/api/projects/:id/issues', importExportRoutes);
+app.use('/api/projects/:id/webhooks', webhookRoutes);
 app.use('/api/projects', projectRoutes);
+app.use('/api/issues/:issueId/comments', commentRoutes);
+app.use('/api/issues/:issueId/attachments', attachmentRoutes);
 app.use('/api/issues', issueRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/views', viewRoutes);
+app.use('/api/tokens', tokenRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -69,14 +113,8 @@ app.get('/health', async (req, res) => {
   }
 });
 
-// Socket.IO connection logic
-io.on('connection', (socket) => {
-  console.log('✅ A user connected:', socket.id);
-
-  socket.on('disconnect', () => {
-    console.log('❌ A user disconnected:', socket.id);
-  });
-});
+// Socket.IO connection logic (JWT handshake + per-user / per-project rooms)
+setupSocket(io);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -84,16 +122,25 @@ app.use((err, req, res, next) => {
   res.status(500).json({ message: 'Internal server error' });
 });
 
-// CHANGE 2: Graceful shutdown for Render
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  httpServer.close(() => {
-    console.log('Process terminated');
+// Only listen (and run background jobs) when started directly; tests require the app
+if (require.main === module) {
+  // CHANGE 2: Graceful shutdown for Render
+  process.on('SIGTERM', () => {
+    console.log('SIGTERM received, shutting down gracefully');
+    httpServer.close(() => {
+      console.log('Process terminated');
+    });
   });
-});
 
-// Start the server
-httpServer.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 Server is running on port ${PORT}`);
-  console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
-});
+  // Start the server
+  httpServer.listen(PORT, '0.0.0.0', () => {
+    console.log(`🚀 Server is running on port ${PORT}`);
+    console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
+    startDigestScheduler();
+    startDueDateScheduler(io);
+    startWebhookRetryScheduler();
+    startTrashPurgeScheduler();
+  });
+}
+
+module.exports = { app, httpServer, io };
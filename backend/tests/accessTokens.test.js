@@ -0,0 +1,122 @@
+jest.mock('@prisma/client', () => require('./helpers/prismaMock.js'));
+
+const request = require('supertest');
+const { prisma, resetPrisma } = require('@prisma/client');
+const { loginAs } = require('./helpers/auth.js');
+const { hashToken } = require('../utils/sessions.js');
+const { app } = require('../server.js');
+
+const user = { id: 'user-1', email: 'ada@example.com' };
+const rawToken = 'sfp_test-token-value';
+
+// One stored token row that findUnique / updateMany read and write like the database would
+let stored;
+const primeToken = (fields = {}) => {
+    stored = {
+        id: 'pat-1',
+        userId: user.id,
+        name: 'CI',
+        tokenHash: hashToken(rawToken),
+        prefix: rawToken.slice(0, 10),
+        scopes: ['read'],
+        projectIds: [],
+        expiresAt: null,
+        lastUsedAt: null,
+        revokedAt: null,
+        user: { id: user.id, email: user.email },
+        ...fields
+    };
+
+    prisma.personalAccessToken.findUnique.mockImplementation(async ({ where }) => (
+        where.tokenHash === stored.tokenHash ? stored : null
+    ));
+    prisma.personalAccessToken.updateMany.mockImplementation(async ({ where, data }) => {
+        if (where.userId !== stored.userId || stored.revokedAt !== where.revokedAt) return { count: 0 };
+        Object.assign(stored, data);
+        return { count: 1 };
+    });
+};
+
+const withToken = (req) => req.set('Authorization', `Bearer ${rawToken}`);
+
+beforeEach(resetPrisma);
+
+describe('personal access tokens', () => {
+    it('authenticates requests like a JWT', async () => {
+        primeToken();
+
+        const res = await withToken(request(app).get('/api/projects'));
+
+        expect(res.status).toBe(200);
+    });
+
+    it('rejects revoked and expired tokens', async () => {
+        primeToken({ revokedAt: new Date() });
+        expect((await withToken(request(app).get('/api/projects'))).status).toBe(401);
+
+        primeToken({ expiresAt: new Date(Date.now() - 1000) });
+        expect((await withToken(request(app).get('/api/projects'))).status).toBe(401);
+    });
+
+    it('enforces scopes per route', async () => {
+        primeToken({ scopes: ['read'] });
+
+        const res = await withToken(request(app).post('/api/projects').send({ name: 'New' }));
+
+        expect(res.status).toBe(403);
+        expect(res.body.message).toMatch(/projects:admin/);
+    });
+
+    it('lets issues:write change sprint membership but not sprints themselves', async () => {
+        primeToken({ scopes: ['issues:write'] });
+
+        const membership = await withToken(request(app).post('/api/projects/project-a/sprints/sprint-1/issues').send({ issueIds: [] }));
+        const create = await withToken(request(app).post('/api/projects/project-a/sprints').send({ name: 'Sprint 2' }));
+
+        expect(membership.status).toBe(400); // past the scope check, stopped by validation
+        expect(create.status).toBe(403);
+    });
+
+    it('hides projects outside the token\'s project list', async () => {
+        primeToken({ projectIds: ['project-a'] });
+
+        const res = await withToken(request(app).get('/api/projects/project-b'));
+
+        expect(res.status).toBe(404);
+    });
+
+    it('cannot be used to manage tokens', async () => {
+        primeToken({ scopes: ['projects:admin'] });
+
+        const res = await withToken(request(app).post('/api/tokens').send({ name: 'more', scopes: ['read'] }));
+
+        expect(res.status).toBe(403);
+    });
+
+    it('stops working after a password reset', async () => {
+        primeToken();
+        prisma.otp.findFirst.mockResolvedValue({ id: 'otp-1', email: user.email });
+        prisma.user.update.mockResolvedValue(user);
+
+        const reset = await request(app)
+            .post('/api/auth/verify-otp')
+            .send({ email: user.email, otp: '123456', newPassword: 'n3w-passw0rd' });
+
+        expect(reset.status).toBe(200);
+        expect(stored.revokedAt).toBeInstanceOf(Date);
+
+        const res = await withToken(request(app).get('/api/projects'));
+
+        expect(res.status).toBe(401);
+        expect(res.body.message).toBe('API token is invalid, expired or revoked.');
+    });
+
+    it('stops working after logging out everywhere', async () => {
+        primeToken();
+
+        const logout = await request(app).post('/api/auth/logout-all').set('Authorization', loginAs(user));
+
+        expect(logout.status).toBe(200);
+        expect((await withToken(request(app).get('/api/projects'))).status).toBe(401);
+    });
+});
@@ -0,0 +1,61 @@
+jest.mock('@prisma/client', () => require('./helpers/prismaMock.js'));
+
+const { prisma, resetPrisma } = require('@prisma/client');
+const { recordActivity } = require('../utils/activity.js');
+
+beforeEach(resetPrisma);
+
+describe('recordActivity', () => {
+    it('keeps the category of both columns with a status change', async () => {
+        prisma.workflowStatus.findMany.mockResolvedValue([
+            { key: 'review', category: 'active' },
+            { key: 'shipped', category: 'done' }
+        ]);
+
+        await recordActivity({
+            actorId: 'user-1',
+            projectId: 'project-1',
+            issueId: 'issue-1',
+            action: 'issue.updated',
+            changes: { status: { from: 'review', to: 'shipped' } }
+        });
+
+        expect(prisma.workflowStatus.findMany).toHaveBeenCalledWith(expect.objectContaining({
+            where: { projectId: 'project-1', key: { in: ['review', 'shipped'] } }
+        }));
+        expect(prisma.activity.create).toHaveBeenCalledWith({
+            data: expect.objectContaining({
+                changes: {
+                    status: { from: 'review', to: 'shipped' },
+                    statusCategory: { from: 'active', to: 'done' }
+                }
+            })
+        });
+    });
+
+    it('uses categories the caller already recorded', async () => {
+        const changes = {
+            status: { from: 'todo', to: 'done' },
+            statusCategory: { from: 'todo', to: 'done' }
+        };
+
+        await recordActivity({ actorId: 'user-1', projectId: 'project-2', action: 'issue.project_changed', changes });
+
+        expect(prisma.workflowStatus.findMany).not.toHaveBeenCalled();
+        expect(prisma.activity.create).toHaveBeenCalledWith({ data: expect.objectContaining({ changes }) });
+    });
+
+    it('writes other changes as they are', async () => {
+        await recordActivity({
+            actorId: 'user-1',
+            projectId: 'project-1',
+            action: 'project.updated',
+            changes: { name: { from: 'Old', to: 'New' } }
+        });
+
+        expect(prisma.workflowStatus.findMany).not.toHaveBeenCalled();
+        expect(prisma.activity.create).toHaveBeenCalledWith({
+            data: expect.objectContaining({ changes: { name: { from: 'Old', to: 'New' } } })
+        });
+    });
+});
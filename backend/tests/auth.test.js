@@ -0,0 +1,42 @@
+jest.mock('@prisma/client', () => require('./helpers/prismaMock.js'));
+
+const request = require('supertest');
+const { prisma, resetPrisma } = require('@prisma/client');
+const { loginAs } = require('./helpers/auth.js');
+const { app } = require('../server.js');
+
+const user = { id: 'user-1', email: 'ada@example.com' };
+
+beforeEach(resetPrisma);
+
+describe('authMiddleware', () => {
+    it('rejects requests without a token', async () => {
+        const res = await request(app).get('/api/projects');
+
+        expect(res.status).toBe(401);
+    });
+
+    it('rejects a malformed token', async () => {
+        const res = await request(app).get('/api/projects').set('Authorization', 'Bearer not-a-jwt');
+
+        expect(res.status).toBe(401);
+        expect(res.body.message).toBe('Invalid token.');
+    });
+
+    it('accepts a JWT whose session is active', async () => {
+        const res = await request(app).get('/api/projects').set('Authorization', loginAs(user));
+
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual([]);
+    });
+
+    it('rejects a JWT whose session was logged out', async () => {
+        const authorization = loginAs(user);
+        prisma.session.findUnique.mockResolvedValue({ revokedAt: new Date(), expiresAt: new Date(Date.now() + 60000) });
+
+        const res = await request(app).get('/api/projects').set('Authorization', authorization);
+
+        expect(res.status).toBe(401);
+        expect(res.body.message).toBe('Session has been logged out.');
+    });
+});
@@ -0,0 +1,127 @@
+jest.mock('@prisma/client', () => require('./helpers/prismaMock.js'));
+
+const request = require('supertest');
+const { prisma, resetPrisma } = require('@prisma/client');
+const { loginAs } = require('./helpers/auth.js');
+const { app } = require('../server.js');
+
+const owner = { id: 'user-1', email: 'ada@example.com' };
+const member = { id: 'user-2', email: 'bob@example.com' };
+const viewer = { id: 'user-3', email: 'cy@example.com' };
+const outsider = { id: 'user-4', email: 'dee@example.com' };
+
+const project = {
+    id: 'project-1',
+    key: 'WEB',
+    name: 'Web Shop',
+    ownerId: owner.id,
+    collaborators: [{ userId: member.id, role: 'member' }, { userId: viewer.id, role: 'viewer' }],
+    archivedAt: null,
+    deletedAt: null
+};
+
+const makeIssue = (id, fields = {}) => ({
+    id,
+    projectId: project.id,
+    number: Number(id.replace(/\D/g, '')),
+    title: `Issue ${id}`,
+    status: 'open',
+    priority: 'medium',
+    version: 1,
+    deletedAt: null,
+    project,
+    assignees: [],
+    labels: [],
+    children: [],
+    ...fields
+});
+
+let issues;
+beforeEach(() => {
+    resetPrisma();
+    issues = [makeIssue('cl0issue1'), makeIssue('cl0issue2')];
+    prisma.issue.findMany.mockImplementation(async () => issues);
+    prisma.user.count.mockImplementation(async ({ where }) => where.id.in.length);
+    prisma.issue.update.mockImplementation(async ({ where, data }) => {
+        const issue = issues.find(i => i.id === where.id);
+        const created = data.assignees && data.assignees.create ? data.assignees.create : [];
+        return {
+            ...issue,
+            ...(data.priority && { priority: data.priority }),
+            assignees: [...issue.assignees, ...created],
+            version: issue.version + 1
+        };
+    });
+});
+
+const bulk = (user, body) => request(app).post('/api/issues/bulk').set('Authorization', loginAs(user)).send(body);
+
+describe('POST /api/issues/bulk', () => {
+    it('applies the operation to every issue', async () => {
+        const res = await bulk(owner, { issueIds: ['cl0issue1', 'cl0issue2'], operation: { type: 'set_priority', priority: 'high' } });
+
+        expect(res.status).toBe(200);
+        expect(res.body.changed).toBe(2);
+        expect(res.body.results.map(r => [r.id, r.result, r.issue.priority])).toEqual([
+            ['cl0issue1', 'updated', 'high'],
+            ['cl0issue2', 'updated', 'high']
+        ]);
+    });
+
+    it('changes nothing when one issue cannot be processed', async () => {
+        issues[1] = makeIssue('cl0issue2', { project: { ...project, archivedAt: new Date() } });
+
+        const res = await bulk(owner, { issueIds: ['cl0issue1', 'cl0issue2'], operation: { type: 'set_priority', priority: 'high' } });
+
+        expect(res.status).toBe(400);
+        expect(res.body.results).toEqual([expect.objectContaining({ id: 'cl0issue2', result: 'failed' })]);
+        expect(prisma.issue.update).not.toHaveBeenCalled();
+    });
+
+    it('needs permission in each issue\'s project', async () => {
+        const res = await bulk(viewer, { issueIds: ['cl0issue1'], operation: { type: 'set_priority', priority: 'high' } });
+
+        expect(res.status).toBe(400);
+        expect(prisma.issue.update).not.toHaveBeenCalled();
+    });
+
+    it('assigns project members', async () => {
+        const res = await bulk(owner, { issueIds: ['cl0issue1'], operation: { type: 'add_assignees', userIds: [member.id] } });
+
+        expect(res.status).toBe(200);
+        expect(prisma.issue.update).toHaveBeenCalledWith(expect.objectContaining({
+            data: expect.objectContaining({ assignees: { create: [{ userId: member.id }] } })
+        }));
+    });
+
+    it('refuses to assign people outside the project', async () => {
+        const res = await bulk(owner, {
+            issueIds: ['cl0issue1', 'cl0issue2'],
+            operation: { type: 'add_assignees', userIds: [member.id, outsider.id] }
+        });
+
+        expect(res.status).toBe(400);
+        expect(res.body.results).toHaveLength(2);
+        expect(res.body.results[0].error).toContain(outsider.id);
+        expect(prisma.issue.update).not.toHaveBeenCalled();
+    });
+
+    it('unassigns people who are not in the project the issues move to', async () => {
+        const target = { ...project, id: 'project-2', key: 'APP', collaborators: [] };
+        prisma.project.findUnique.mockResolvedValue(target);
+        prisma.workflowStatus.findMany.mockResolvedValue([{ key: 'open', name: 'Open', category: 'todo', position: 0 }]);
+        prisma.project.update.mockResolvedValue({ issueCounter: 10 });
+        prisma.issue.aggregate.mockResolvedValue({ _min: { rank: null } });
+        issues = [makeIssue('cl0issue1', { assignees: [{ userId: owner.id }, { userId: member.id }] })];
+
+        const res = await bulk(owner, { issueIds: ['cl0issue1'], operation: { type: 'move_project', projectId: 'project-2' } });
+
+        expect(res.status).toBe(200);
+        expect(prisma.issue.update).toHaveBeenCalledWith(expect.objectContaining({
+            data: expect.objectContaining({
+                projectId: 'project-2',
+                assignees: { deleteMany: { userId: { in: [member.id] } } }
+            })
+        }));
+    });
+});
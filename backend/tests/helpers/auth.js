@@ -0,0 +1,16 @@
+const jwt = require('jsonwebtoken');
+const { prisma } = require('@prisma/client');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Bearer header for a signed-in user, with its session primed as active
+const loginAs = (user, sessionId = `session-${user.id}`) => {
+    prisma.session.findUnique.mockImplementation(async ({ where }) => (where.id === sessionId
+        ? { revokedAt: null, expiresAt: new Date(Date.now() + 60 * 60 * 1000) }
+        : null));
+
+    const token = jwt.sign({ userId: user.id, email: user.email, sid: sessionId }, process.env.JWT_SECRET);
+    return `Bearer ${token}`;
+};
+
+module.exports = { loginAs };
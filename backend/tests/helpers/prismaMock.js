@@ -0,0 +1,58 @@
+// Stand-in for @prisma/client in tests (there is no database in CI). Every
+// `new PrismaClient()` returns the same object; each model method is a jest.fn
+// created on first use, which a test primes with mockResolvedValue & co.
+// Unprimed reads find nothing and unprimed writes change nothing.
+const DEFAULTS = {
+    findMany: () => [],
+    groupBy: () => [],
+    count: () => 0,
+    updateMany: () => ({ count: 0 }),
+    deleteMany: () => ({ count: 0 }),
+    createMany: () => ({ count: 0 })
+};
+
+let models = {};
+
+const createDelegate = () => new Proxy({}, {
+    get(methods, name) {
+        if (typeof name === 'symbol' || name === 'then') return undefined;
+        if (!methods[name]) {
+            methods[name] = jest.fn(async () => (DEFAULTS[name] ? DEFAULTS[name]() : null));
+        }
+        return methods[name];
+    }
+});
+
+const client = {
+    // Callback transactions run against the same mock; arrays are awaited in order
+    $transaction: jest.fn(async (arg) => (typeof arg === 'function' ? arg(prisma) : Promise.all(arg))),
+    $queryRaw: jest.fn(async () => []),
+    $executeRaw: jest.fn(async () => 0),
+    $disconnect: jest.fn(async () => {})
+};
+
+const prisma = new Proxy(client, {
+    get(target, name) {
+        if (name in target) return target[name];
+        if (typeof name === 'symbol' || name === 'then') return undefined;
+        if (!models[name]) models[name] = createDelegate();
+        return models[name];
+    }
+});
+
+// Forget primed results and recorded calls between tests
+const resetPrisma = () => {
+    models = {};
+    Object.values(client).forEach(fn => fn.mockClear());
+};
+
+// Errors as Prisma throws them, e.g. prismaError('P2025') for "record not found"
+const prismaError = (code) => Object.assign(new Error(`Prisma error ${code}`), { code });
+
+class PrismaClient {
+    constructor() {
+        return prisma;
+    }
+}
+
+module.exports = { PrismaClient, prisma, resetPrisma, prismaError };
@@ -0,0 +1,51 @@
+jest.mock('@prisma/client', () => require('./helpers/prismaMock.js'));
+
+const request = require('supertest');
+const { prisma, resetPrisma } = require('@prisma/client');
+const { loginAs } = require('./helpers/auth.js');
+const { setTransport } = require('../utils/mailer.js');
+const { app } = require('../server.js');
+
+const owner = { id: 'user-1', email: 'ada@example.com', name: 'Ada' };
+const project = { id: 'project-1', name: 'Web Shop', ownerId: owner.id, collaborators: [], archivedAt: null, deletedAt: null };
+
+const sendMail = jest.fn();
+
+beforeEach(() => {
+    resetPrisma();
+    sendMail.mockReset();
+    setTransport({ sendMail });
+    prisma.project.findUnique.mockResolvedValue(project);
+    prisma.user.findUnique.mockImplementation(async ({ where }) => (where.id === owner.id ? owner : null));
+    prisma.projectInvitation.create.mockImplementation(async ({ data }) => ({ id: 'invitation-1', ...data }));
+});
+
+const invite = () => request(app)
+    .post('/api/projects/project-1/invitations')
+    .set('Authorization', loginAs(owner))
+    .send({ email: 'new@example.com', role: 'member' });
+
+describe('POST /api/projects/:id/invitations', () => {
+    it('emails the invitation', async () => {
+        sendMail.mockResolvedValue({});
+
+        const res = await invite();
+
+        expect(res.status).toBe(201);
+        expect(res.body).toEqual(expect.objectContaining({ email: 'new@example.com', emailSent: true }));
+        expect(res.body.tokenId).toBeUndefined();
+        expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'new@example.com' }));
+    });
+
+    it('keeps the invitation and says so when the email fails', async () => {
+        sendMail.mockRejectedValue(new Error('SMTP down'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const res = await invite();
+
+        expect(res.status).toBe(201);
+        expect(res.body).toEqual(expect.objectContaining({ id: 'invitation-1', emailSent: false }));
+        expect(prisma.projectInvitation.create).toHaveBeenCalled();
+        console.error.mockRestore();
+    });
+});
@@ -0,0 +1,177 @@
+jest.mock('@prisma/client', () => require('./helpers/prismaMock.js'));
+
+const request = require('supertest');
+const { prisma, resetPrisma, prismaError } = require('@prisma/client');
+const { loginAs } = require('./helpers/auth.js');
+const { app } = require('../server.js');
+
+const member = { id: 'user-1', email: 'ada@example.com' };
+const outsider = { id: 'user-2', email: 'bob@example.com' };
+
+const project = { id: 'project-1', key: 'WEB', ownerId: member.id, collaborators: [], archivedAt: null, deletedAt: null };
+const issue = {
+    id: 'cl0issue0001',
+    projectId: project.id,
+    number: 7,
+    title: 'Checkout button',
+    status: 'open',
+    version: 3,
+    deletedAt: null,
+    project: { name: 'Web Shop', key: 'WEB', ownerId: member.id, collaborators: [], archivedAt: null, deletedAt: null },
+    assignees: [],
+    labels: [],
+    children: []
+};
+
+// In the same project, but in the trash
+const trashedBlocker = { id: 'cl0issue0002', projectId: project.id, number: 8, deletedAt: new Date('2026-03-01T00:00:00Z') };
+
+beforeEach(() => {
+    resetPrisma();
+    prisma.project.findUnique.mockImplementation(async ({ where }) => (
+        where.id === project.id || where.key === project.key ? project : null
+    ));
+    prisma.issue.findUnique.mockImplementation(async ({ where }) => {
+        if (where.id === trashedBlocker.id) return where.deletedAt === null ? null : trashedBlocker;
+        return where.id === issue.id || (where.projectId_number && where.projectId_number.number === issue.number) ? issue : null;
+    });
+    prisma.issue.update.mockImplementation(async () => ({ ...issue, version: issue.version + 1 }));
+});
+
+describe('GET /api/issues/:issueId', () => {
+    it('returns the issue with its version as ETag', async () => {
+        const res = await request(app).get('/api/issues/cl0issue0001').set('Authorization', loginAs(member));
+
+        expect(res.status).toBe(200);
+        expect(res.headers.etag).toBe('"3"');
+        expect(res.body).toEqual(expect.objectContaining({ id: 'cl0issue0001', key: 'WEB-7', version: 3 }));
+    });
+
+    it('finds the issue by its key', async () => {
+        const res = await request(app).get('/api/issues/web-7').set('Authorization', loginAs(member));
+
+        expect(res.status).toBe(200);
+        expect(res.body.id).toBe('cl0issue0001');
+    });
+
+    it('returns 404 for an unknown key', async () => {
+        const res = await request(app).get('/api/issues/WEB-99').set('Authorization', loginAs(member));
+
+        expect(res.status).toBe(404);
+    });
+
+    it('refuses users outside the project', async () => {
+        const res = await request(app).get('/api/issues/cl0issue0001').set('Authorization', loginAs(outsider));
+
+        expect(res.status).toBe(403);
+        expect(res.headers.etag).not.toBe('"3"');
+    });
+});
+
+describe('issue dependencies', () => {
+    const openBlocker = { id: 'cl0issue0003', projectId: project.id, number: 9, deletedAt: null };
+
+    it('removes a dependency on a blocker in the trash', async () => {
+        prisma.issueDependency.deleteMany.mockResolvedValue({ count: 1 });
+
+        const res = await request(app)
+            .delete(`/api/issues/${issue.id}/blockers/${trashedBlocker.id}`)
+            .set('Authorization', loginAs(member));
+
+        expect(res.status).toBe(200);
+        expect(res.headers.etag).toBe('"4"');
+        expect(prisma.issueDependency.deleteMany).toHaveBeenCalledWith({
+            where: { blockerId: trashedBlocker.id, blockedId: issue.id }
+        });
+    });
+
+    it('does not add a trashed issue as a blocker', async () => {
+        const res = await request(app)
+            .post(`/api/issues/${issue.id}/blockers`)
+            .set('Authorization', loginAs(member))
+            .send({ blockerId: trashedBlocker.id });
+
+        expect(res.status).toBe(404);
+        expect(prisma.issueDependency.create).not.toHaveBeenCalled();
+    });
+
+    it('checks for cycles under the project lock, in the transaction that adds the link', async () => {
+        prisma.issue.findUnique.mockImplementation(async ({ where }) => (where.id === openBlocker.id ? openBlocker : issue));
+        // The issue already blocks the would-be blocker
+        prisma.issueDependency.findMany.mockResolvedValue([{ blockerId: issue.id, blockedId: openBlocker.id }]);
+
+        const res = await request(app)
+            .post(`/api/issues/${issue.id}/blockers`)
+            .set('Authorization', loginAs(member))
+            .send({ blockerId: openBlocker.id });
+
+        expect(res.status).toBe(400);
+        expect(prisma.$transaction).toHaveBeenCalled();
+        expect(prisma.$executeRaw).toHaveBeenCalled();
+        expect(prisma.$executeRaw.mock.invocationCallOrder[0])
+            .toBeLessThan(prisma.issueDependency.findMany.mock.invocationCallOrder[0]);
+        expect(prisma.issueDependency.create).not.toHaveBeenCalled();
+    });
+
+    it('adds a blocker that closes no loop', async () => {
+        prisma.issue.findUnique.mockImplementation(async ({ where }) => (where.id === openBlocker.id ? openBlocker : issue));
+
+        const res = await request(app)
+            .post(`/api/issues/${issue.id}/blockers`)
+            .set('Authorization', loginAs(member))
+            .send({ blockerId: openBlocker.id });
+
+        expect(res.status).toBe(200);
+        expect(prisma.issueDependency.create).toHaveBeenCalledWith({
+            data: { blockerId: openBlocker.id, blockedId: issue.id }
+        });
+    });
+});
+
+describe('PATCH /api/issues/:issueId with If-Match', () => {
+    const patch = (ifMatch, body = { title: 'Checkout button v2' }) => request(app)
+        .patch(`/api/issues/${issue.id}`)
+        .set('Authorization', loginAs(member))
+        .set('If-Match', ifMatch)
+        .send(body);
+
+    it('writes only the version it was sent and returns the next one as ETag', async () => {
+        const res = await patch('"3"');
+
+        expect(res.status).toBe(200);
+        expect(res.headers.etag).toBe('"4"');
+        expect(prisma.issue.update).toHaveBeenCalledWith(expect.objectContaining({
+            where: { id: issue.id, version: 3 },
+            data: expect.objectContaining({ title: 'Checkout button v2', version: { increment: 1 } })
+        }));
+    });
+
+    it('returns 409 with the current issue for a stale version', async () => {
+        const res = await patch('"2"');
+
+        expect(res.status).toBe(409);
+        expect(res.headers.etag).toBe('"3"');
+        expect(res.body).toEqual(expect.objectContaining({
+            currentVersion: 3,
+            issue: expect.objectContaining({ id: issue.id, title: 'Checkout button' }),
+            diff: expect.objectContaining({ title: expect.anything() })
+        }));
+        expect(prisma.issue.update).not.toHaveBeenCalled();
+    });
+
+    it('returns 409 when someone else writes between the read and the update', async () => {
+        prisma.issue.update.mockRejectedValue(prismaError('P2025'));
+
+        const res = await patch('"3"');
+
+        expect(res.status).toBe(409);
+        expect(res.body.currentVersion).toBe(3);
+    });
+
+    it('rejects a malformed If-Match', async () => {
+        const res = await patch('"abc"');
+
+        expect(res.status).toBe(400);
+        expect(prisma.issue.update).not.toHaveBeenCalled();
+    });
+});
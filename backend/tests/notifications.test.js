@@ -0,0 +1,26 @@
+jest.mock('@prisma/client', () => require('./helpers/prismaMock.js'));
+
+const { prisma, resetPrisma } = require('@prisma/client');
+const { lastDigestSlot, startDigestScheduler } = require('../utils/notifications.js');
+
+beforeEach(resetPrisma);
+
+describe('digest scheduling', () => {
+    it('finds the latest digest slot at or before a time', () => {
+        // DIGEST_HOUR_UTC defaults to 8
+        expect(lastDigestSlot(new Date('2026-03-10T09:30:00Z'))).toEqual(new Date('2026-03-10T08:00:00Z'));
+        expect(lastDigestSlot(new Date('2026-03-10T08:00:00Z'))).toEqual(new Date('2026-03-10T08:00:00Z'));
+        expect(lastDigestSlot(new Date('2026-03-10T07:59:00Z'))).toEqual(new Date('2026-03-09T08:00:00Z'));
+        expect(lastDigestSlot(new Date('2026-03-01T03:00:00Z'))).toEqual(new Date('2026-02-28T08:00:00Z'));
+    });
+
+    it('sends items due before the last slot as soon as it starts', async () => {
+        const timer = startDigestScheduler();
+        clearInterval(timer);
+        await new Promise(setImmediate);
+
+        expect(prisma.notificationDigestItem.findMany).toHaveBeenCalledWith(expect.objectContaining({
+            where: { sentAt: null, createdAt: { lt: lastDigestSlot() } }
+        }));
+    });
+});
@@ -0,0 +1,86 @@
+jest.mock('@prisma/client', () => require('./helpers/prismaMock.js'));
+
+const request = require('supertest');
+const { prisma, resetPrisma } = require('@prisma/client');
+const { loginAs } = require('./helpers/auth.js');
+const { app } = require('../server.js');
+
+const owner = { id: 'user-1', email: 'ada@example.com' };
+const admin = { id: 'user-2', email: 'bob@example.com' };
+const viewer = { id: 'user-3', email: 'cy@example.com' };
+const newcomer = { id: 'user-4', email: 'dee@example.com' };
+
+const project = {
+    id: 'project-1',
+    name: 'Web Shop',
+    ownerId: owner.id,
+    collaborators: [
+        { id: 'collab-2', userId: admin.id, role: 'admin' },
+        { id: 'collab-3', userId: viewer.id, role: 'viewer' }
+    ],
+    archivedAt: null,
+    deletedAt: null
+};
+
+beforeEach(() => {
+    resetPrisma();
+    prisma.project.findUnique.mockResolvedValue(project);
+    prisma.projectCollaborator.findMany.mockImplementation(async ({ where }) =>
+        project.collaborators.filter(c => where.userId.in.includes(c.userId)));
+});
+
+const assign = (user, body) => request(app).post('/api/projects/project-1/assign').set('Authorization', loginAs(user)).send(body);
+
+describe('POST /api/projects/:id/assign', () => {
+    it('adds new collaborators with the given role', async () => {
+        const res = await assign(owner, { userIds: [newcomer.id], role: 'member' });
+
+        expect(res.status).toBe(200);
+        expect(prisma.projectCollaborator.createMany).toHaveBeenCalledWith({
+            data: [{ projectId: 'project-1', userId: newcomer.id, role: 'member' }],
+            skipDuplicates: true
+        });
+        expect(prisma.projectCollaborator.updateMany).not.toHaveBeenCalled();
+        expect(prisma.activity.create).toHaveBeenCalledWith({
+            data: expect.objectContaining({ action: 'project.collaborators_added' })
+        });
+    });
+
+    it('changes the role of someone who is already a collaborator', async () => {
+        const res = await assign(owner, { userIds: [viewer.id, newcomer.id], role: 'member' });
+
+        expect(res.status).toBe(200);
+        expect(prisma.projectCollaborator.updateMany).toHaveBeenCalledWith({
+            where: { id: { in: ['collab-3'] } },
+            data: { role: 'member' }
+        });
+        expect(prisma.activity.create).toHaveBeenCalledWith({
+            data: expect.objectContaining({
+                action: 'project.collaborators_added',
+                changes: { collaboratorIds: { from: null, to: [newcomer.id] } }
+            })
+        });
+        expect(prisma.activity.create).toHaveBeenCalledWith({
+            data: expect.objectContaining({
+                action: 'project.role_changed',
+                changes: { [`role:${viewer.id}`]: { from: 'viewer', to: 'member' } }
+            })
+        });
+    });
+
+    it('leaves collaborators who already have the role alone', async () => {
+        const res = await assign(owner, { userIds: [viewer.id], role: 'viewer' });
+
+        expect(res.status).toBe(200);
+        expect(prisma.projectCollaborator.updateMany).not.toHaveBeenCalled();
+        expect(prisma.activity.create).not.toHaveBeenCalled();
+    });
+
+    it('only lets the owner demote an admin', async () => {
+        const res = await assign(admin, { userIds: [admin.id], role: 'viewer' });
+
+        expect(res.status).toBe(403);
+        expect(prisma.projectCollaborator.createMany).not.toHaveBeenCalled();
+        expect(prisma.projectCollaborator.updateMany).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,51 @@
+jest.mock('@prisma/client', () => require('./helpers/prismaMock.js'));
+
+const { prisma, resetPrisma } = require('@prisma/client');
+const { buildBurndown } = require('../utils/sprints.js');
+
+beforeEach(resetPrisma);
+
+describe('buildBurndown', () => {
+    // Start and end given as dates only, i.e. midnight UTC
+    const sprint = {
+        id: 'sprint-1',
+        projectId: 'project-1',
+        startDate: new Date('2026-03-10T00:00:00Z'),
+        endDate: new Date('2026-03-12T00:00:00Z'),
+        closedAt: new Date('2026-03-13T09:00:00Z')
+    };
+
+    beforeEach(() => {
+        prisma.issue.findMany.mockImplementation(async ({ where }) => (where.sprintId
+            ? [{ id: 'issue-1' }]
+            : [{ id: 'issue-1', status: 'shipped', sprintId: sprint.id, createdAt: new Date('2026-03-09T12:00:00Z') }]));
+        // Finished on the last day, in a column since renamed from "verified" to "shipped"
+        prisma.activity.findMany.mockImplementation(async ({ where }) => (where.action
+            ? [{
+                issueId: 'issue-1',
+                createdAt: new Date('2026-03-12T15:00:00Z'),
+                changes: {
+                    status: { from: 'doing', to: 'verified' },
+                    statusCategory: { from: 'active', to: 'done' }
+                }
+            }]
+            : []));
+        prisma.workflowStatus.findMany.mockResolvedValue([
+            { key: 'todo', category: 'todo' },
+            { key: 'shipped', category: 'done' }
+        ]);
+    });
+
+    it('evaluates a midnight end date at the end of that day', async () => {
+        const { burnup } = await buildBurndown(sprint);
+
+        expect(burnup.map(day => day.date)).toEqual(['2026-03-10', '2026-03-11', '2026-03-12']);
+        expect(burnup[2]).toEqual({ date: '2026-03-12', completed: 1, scope: 1 });
+    });
+
+    it('uses the status category recorded with each change', async () => {
+        const { burndown } = await buildBurndown(sprint);
+
+        expect(burndown.map(day => day.remaining)).toEqual([1, 1, 0]);
+    });
+});
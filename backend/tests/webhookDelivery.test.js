@@ -0,0 +1,102 @@
+jest.mock('@prisma/client', () => require('./helpers/prismaMock.js'));
+
+// Read when utils/webhooks.js loads: let deliveries reach the receiver below
+process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true';
+
+const http = require('http');
+const { prisma, resetPrisma } = require('@prisma/client');
+const { createDelivery, signPayload } = require('../utils/webhooks.js');
+
+const webhook = {
+    id: 'webhook-1',
+    projectId: 'project-1',
+    secret: 'whsec_test-secret',
+    events: ['issue:*'],
+    active: true
+};
+
+// Local receiver that records each request and answers with `reply`
+let receiver;
+let received;
+let reply;
+beforeAll(async () => {
+    receiver = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ method: req.method, url: req.url, headers: req.headers, body });
+            res.statusCode = reply.status;
+            res.end(reply.body);
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    webhook.url = `http://127.0.0.1:${receiver.address().port}/hooks/syncflow`;
+});
+afterAll(() => new Promise(resolve => receiver.close(resolve)));
+
+beforeEach(() => {
+    resetPrisma();
+    received = [];
+    reply = { status: 200, body: 'thanks' };
+    prisma.webhookDelivery.create.mockImplementation(async ({ data }) => ({
+        id: 'delivery-1',
+        attempts: 0,
+        createdAt: new Date('2026-03-10T12:00:00Z'),
+        ...data,
+        webhook
+    }));
+});
+
+describe('webhook delivery', () => {
+    it('posts the signed event to the receiver and records the success', async () => {
+        await createDelivery(webhook, 'issue:created', { id: 'issue-1', title: 'Checkout button' });
+
+        expect(received).toHaveLength(1);
+        const [{ method, url, headers, body }] = received;
+        expect(method).toBe('POST');
+        expect(url).toBe('/hooks/syncflow');
+        expect(headers['x-syncflow-event']).toBe('issue:created');
+        expect(headers['x-syncflow-delivery']).toBe('delivery-1');
+        expect(headers['x-syncflow-signature'])
+            .toBe(`sha256=${signPayload(webhook.secret, headers['x-syncflow-timestamp'], body)}`);
+        expect(JSON.parse(body)).toEqual({
+            id: 'delivery-1',
+            event: 'issue:created',
+            projectId: 'project-1',
+            createdAt: '2026-03-10T12:00:00.000Z',
+            data: { id: 'issue-1', title: 'Checkout button' }
+        });
+
+        expect(prisma.webhookDelivery.update).toHaveBeenCalledWith({
+            where: { id: 'delivery-1' },
+            data: expect.objectContaining({
+                attempts: 1,
+                status: 'succeeded',
+                responseStatus: 200,
+                responseBody: 'thanks',
+                error: null,
+                nextAttemptAt: null,
+                deliveredAt: expect.any(Date)
+            })
+        });
+    });
+
+    it('schedules a retry when the receiver fails', async () => {
+        reply = { status: 503, body: 'busy' };
+
+        await createDelivery(webhook, 'issue:updated', { id: 'issue-1' });
+
+        expect(received).toHaveLength(1);
+        expect(prisma.webhookDelivery.update).toHaveBeenCalledWith({
+            where: { id: 'delivery-1' },
+            data: expect.objectContaining({
+                attempts: 1,
+                status: 'pending',
+                responseStatus: 503,
+                error: 'Receiver responded with 503',
+                nextAttemptAt: expect.any(Date)
+            })
+        });
+    });
+});
@@ -0,0 +1,87 @@
+jest.mock('@prisma/client', () => require('./helpers/prismaMock.js'));
+
+const http = require('http');
+const request = require('supertest');
+const { prisma, resetPrisma } = require('@prisma/client');
+const { loginAs } = require('./helpers/auth.js');
+const { checkWebhookHost, createDelivery } = require('../utils/webhooks.js');
+const { app } = require('../server.js');
+
+// WEBHOOK_ALLOW_PRIVATE_HOSTS is not set here, as in production
+const PRIVATE_HOST_MESSAGE = 'Webhook URL must not point to a local, private or link-local address';
+
+const owner = { id: 'user-1', email: 'ada@example.com' };
+const project = { id: 'project-1', ownerId: owner.id, collaborators: [], archivedAt: null, deletedAt: null };
+
+// A receiver on this machine - exactly what webhooks must not be able to reach
+let receiver;
+let received;
+beforeAll(async () => {
+    receiver = http.createServer((req, res) => {
+        received.push(req.url);
+        res.end('ok');
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+});
+afterAll(() => new Promise(resolve => receiver.close(resolve)));
+
+let currentWebhook;
+beforeEach(() => {
+    resetPrisma();
+    received = [];
+    prisma.webhookDelivery.create.mockImplementation(async ({ data, include }) => ({
+        id: 'delivery-1',
+        attempts: 0,
+        createdAt: new Date(),
+        ...data,
+        ...(include && { webhook: currentWebhook })
+    }));
+});
+
+const deliverTo = (url) => {
+    currentWebhook = { id: 'webhook-1', projectId: project.id, url, secret: 'whsec_test', events: ['*'], active: true };
+    return createDelivery(currentWebhook, 'issue:created', { id: 'issue-1' });
+};
+
+describe('webhook host check', () => {
+    it.each([
+        'http://127.0.0.1:8080/hook',
+        'http://localhost/hook',
+        'http://10.1.2.3/hook',
+        'http://169.254.169.254/latest/meta-data',
+        'http://[::1]/hook',
+        'http://[::ffff:192.168.0.1]/hook',
+        'http://[fd00::1]/hook'
+    ])('refuses %s', async (url) => {
+        await expect(checkWebhookHost(url)).resolves.toBe(PRIVATE_HOST_MESSAGE);
+    });
+
+    it('accepts a public address', async () => {
+        await expect(checkWebhookHost('https://93.184.216.34/hook')).resolves.toBeNull();
+    });
+
+    it('rejects registering a webhook that points to a private address', async () => {
+        prisma.project.findUnique.mockResolvedValue(project);
+
+        const res = await request(app)
+            .post('/api/projects/project-1/webhooks')
+            .set('Authorization', loginAs(owner))
+            .send({ url: 'http://169.254.169.254/latest/meta-data', events: ['*'] });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe(PRIVATE_HOST_MESSAGE);
+        expect(prisma.webhook.create).not.toHaveBeenCalled();
+    });
+});
+
+describe('webhook delivery to a private address', () => {
+    it.each(['127.0.0.1', 'localhost'])('does not connect to %s', async (host) => {
+        await deliverTo(`http://${host}:${receiver.address().port}/hook`);
+
+        expect(received).toEqual([]);
+        expect(prisma.webhookDelivery.update).toHaveBeenCalledWith({
+            where: { id: 'delivery-1' },
+            data: expect.objectContaining({ attempts: 1, status: 'pending', error: PRIVATE_HOST_MESSAGE })
+        });
+    });
+});
@@ -0,0 +1,68 @@
+jest.mock('@prisma/client', () => require('./helpers/prismaMock.js'));
+
+const request = require('supertest');
+const { prisma, resetPrisma } = require('@prisma/client');
+const { loginAs } = require('./helpers/auth.js');
+const { app } = require('../server.js');
+
+const owner = { id: 'user-1', email: 'ada@example.com' };
+const project = { id: 'project-1', ownerId: owner.id, collaborators: [], archivedAt: null, deletedAt: null };
+
+const statuses = [
+    { id: 'status-1', key: 'open', name: 'Open', category: 'todo', position: 0 },
+    { id: 'status-2', key: 'qa', name: 'QA', category: 'active', position: 1 },
+    { id: 'status-3', key: 'done', name: 'Done', category: 'done', position: 2 }
+];
+
+let auth;
+beforeEach(() => {
+    resetPrisma();
+    auth = loginAs(owner);
+    prisma.project.findUnique.mockResolvedValue(project);
+    prisma.workflowStatus.findMany.mockResolvedValue(statuses);
+});
+
+describe('PUT /api/projects/:id/workflow/transitions', () => {
+    it.each([
+        [[null]],
+        [['open']],
+        [[{ from: 'open' }]],
+        [[{ from: 'open', to: 7 }]]
+    ])('rejects %j with 400', async (transitions) => {
+        const res = await request(app)
+            .put('/api/projects/project-1/workflow/transitions')
+            .set('Authorization', auth)
+            .send({ transitions });
+
+        expect(res.status).toBe(400);
+        expect(prisma.workflowTransition.deleteMany).not.toHaveBeenCalled();
+    });
+});
+
+describe('DELETE /api/projects/:id/workflow/statuses/:statusId', () => {
+    it('logs a status change for every issue it moves', async () => {
+        prisma.issue.count.mockResolvedValue(2);
+        prisma.issue.findMany.mockResolvedValue([{ id: 'issue-1' }, { id: 'issue-2' }]);
+
+        const res = await request(app)
+            .delete('/api/projects/project-1/workflow/statuses/status-2?moveTo=done')
+            .set('Authorization', auth);
+
+        expect(res.status).toBe(200);
+        expect(prisma.issue.updateMany).toHaveBeenCalledWith({
+            where: { id: { in: ['issue-1', 'issue-2'] } },
+            data: { status: 'done', version: { increment: 1 } }
+        });
+
+        const moves = prisma.activity.create.mock.calls
+            .map(([{ data }]) => data)
+            .filter(data => data.action === 'issue.status_changed');
+        expect(moves).toEqual(['issue-1', 'issue-2'].map(issueId => expect.objectContaining({
+            issueId,
+            changes: {
+                status: { from: 'qa', to: 'done' },
+                statusCategory: { from: 'active', to: 'done' }
+            }
+        })));
+    });
+});
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { hashToken } = require('./sessions.js');
+
+const prisma = new PrismaClient();
+
+// Personal access tokens start with this, so middleware/auth.js can tell them from JWTs
+const TOKEN_PREFIX = 'sfp_';
+
+// From least to most powerful; each scope includes the ones before it:
+//   read           - every GET
+//   issues:write   - create, change and delete issues (and their comments, labels, ...)
+//   projects:admin - project settings, collaborators, workflow, sprints and webhooks
+const TOKEN_SCOPES = ['read', 'issues:write', 'projects:admin'];
+
+// lastUsedAt is only written when it is older than this, not on every request
+const LAST_USED_PRECISION_MS = 60 * 1000;
+
+const hasScope = (scopes, needed) => scopes.some(
+    scope => TOKEN_SCOPES.indexOf(scope) >= TOKEN_SCOPES.indexOf(needed)
+);
+
+const isAccessToken = (token) => token.startsWith(TOKEN_PREFIX);
+
+// Create a token and return its row with the raw token (shown to the user once)
+const createAccessToken = async (userId, { name, scopes, projectIds = [], expiresAt = null }) => {
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+    const record = await prisma.personalAccessToken.create({
+        data: {
+            userId,
+            name,
+            scopes,
+            projectIds,
+            expiresAt,
+            tokenHash: hashToken(token),
+            prefix: token.slice(0, TOKEN_PREFIX.length + 6)
+        }
+    });
+
+    return { record, token };
+};
+
+// Look up a raw token and return the user it acts for, like verifyToken does for JWTs.
+// `token` on the result carries what the token is limited to.
+const verifyAccessToken = async (token) => {
+    const record = await prisma.personalAccessToken.findUnique({
+        where: { tokenHash: hashToken(token) },
+        include: { user: { select: { id: true, email: true } } }
+    });
+
+    if (!record || record.revokedAt || (record.expiresAt && record.expiresAt < new Date())) {
+        const error = new Error('API token is invalid, expired or revoked');
+        error.name = 'AccessTokenError';
+        throw error;
+    }
+
+    const now = new Date();
+    if (!record.lastUsedAt || now - record.lastUsedAt > LAST_USED_PRECISION_MS) {
+        prisma.personalAccessToken.update({ where: { id: record.id }, data: { lastUsedAt: now } })
+            .catch(error => console.error('Access token lastUsedAt error:', error));
+    }
+
+    return {
+        id: record.user.id,
+        email: record.user.email,
+        sessionId: null,
+        token: { id: record.id, scopes: record.scopes, projectIds: record.projectIds }
+    };
+};
+
+// True when the caller may touch `projectId`: always for a login session,
+// and for a token unless it is limited to other projects
+const tokenAllowsProject = (user, projectId) => !user.token
+    || user.token.projectIds.length === 0
+    || user.token.projectIds.includes(projectId);
+
+// Issue/project filter for a project-limited token, or null when there is no limit
+const tokenProjectFilter = (user, field = 'projectId') => (user.token && user.token.projectIds.length > 0
+    ? { [field]: { in: user.token.projectIds } }
+    : null);
+
+module.exports = {
+    TOKEN_SCOPES,
+    hasScope,
+    isAccessToken,
+    createAccessToken,
+    verifyAccessToken,
+    tokenAllowsProject,
+    tokenProjectFilter
+};
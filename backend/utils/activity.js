@@ -0,0 +1,93 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Compare two snapshots and return { field: { from, to } } for every field that changed
+const diffFields = (before, after, fields) => {
+    const changes = {};
+
+    fields.forEach(field => {
+        if (after[field] === undefined) return;
+
+        const from = before ? before[field] ?? null : null;
+        const to = after[field] ?? null;
+
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[field] = { from, to };
+        }
+    });
+
+    return changes;
+};
+
+// Status keys can be renamed and statuses deleted, so a status change also keeps the
+// category of both columns at the time: { statusCategory: { from, to } }. Analytics and
+// the burndown read that instead of looking the keys up in today's workflow.
+const withStatusCategory = async (projectId, changes, db) => {
+    const { from, to } = changes.status;
+    const statuses = await db.workflowStatus.findMany({
+        where: { projectId, key: { in: [from, to].filter(Boolean) } },
+        select: { key: true, category: true }
+    });
+    const categoryOf = (key) => statuses.find(s => s.key === key)?.category ?? null;
+
+    return { ...changes, statusCategory: { from: categoryOf(from), to: categoryOf(to) } };
+};
+
+const createActivity = ({ actorId, projectId, issueId, action, changes }, db) => db.activity.create({
+    data: {
+        actorId,
+        projectId,
+        issueId,
+        action,
+        changes: changes && Object.keys(changes).length > 0 ? changes : undefined
+    }
+});
+
+// Append one record to the activity log. Pass a transaction client as `db`
+// to write it atomically with the change it describes. Status changes look up
+// their categories first, so log those with an interactive transaction (`tx`),
+// not inside an array passed to $transaction. Callers that know the categories
+// (e.g. moves between projects) can pass changes.statusCategory themselves.
+const recordActivity = ({ actorId, projectId, issueId = null, action, changes = null }, db = prisma) => {
+    const record = { actorId, projectId, issueId, action, changes };
+
+    if (!changes || !changes.status || changes.statusCategory) {
+        return createActivity(record, db);
+    }
+    return withStatusCategory(projectId, changes, db)
+        .then(withCategory => createActivity({ ...record, changes: withCategory }, db));
+};
+
+// Cursor-paginated read, newest first. `cursor` is the id of the last record of the previous page.
+const listActivity = async (where, { cursor, limit } = {}) => {
+    const take = Math.max(1, Math.min(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE));
+
+    const records = await prisma.activity.findMany({
+        where,
+        include: {
+            actor: { select: { id: true, name: true, email: true } },
+            issue: { select: { id: true, title: true } }
+        },
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        take: take + 1,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 })
+    });
+
+    const hasMore = records.length > take;
+    const items = hasMore ? records.slice(0, take) : records;
+
+    return {
+        items,
+        nextCursor: hasMore ? items[items.length - 1].id : null
+    };
+};
+
+module.exports = {
+    diffFields,
+    recordActivity,
+    listActivity
+};
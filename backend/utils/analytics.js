@@ -0,0 +1,181 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 90;
+const MAX_RANGE_DAYS = 730;
+
+// ?from=&to= (ISO dates). Defaults to the last 90 days. Returns { from, to } or { error }.
+const parseRange = (query) => {
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+        return { error: 'from and to must be valid dates' };
+    }
+    if (from > to) {
+        return { error: 'from must be before to' };
+    }
+    if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+        return { error: `The date range can be at most ${MAX_RANGE_DAYS} days` };
+    }
+
+    return { from, to };
+};
+
+// Current issue counts per workflow status (every column, including empty ones) and per priority
+const countsByStatusAndPriority = async (projectId) => {
+    const [statuses, byStatus, byPriority] = await Promise.all([
+        prisma.workflowStatus.findMany({ where: { projectId }, orderBy: { position: 'asc' } }),
+        prisma.issue.groupBy({ by: ['status'], where: { projectId, deletedAt: null }, _count: { _all: true } }),
+        prisma.issue.groupBy({ by: ['priority'], where: { projectId, deletedAt: null }, _count: { _all: true } })
+    ]);
+
+    const statusCounts = new Map(byStatus.map(row => [row.status, row._count._all]));
+    const priorityCounts = new Map(byPriority.map(row => [row.priority, row._count._all]));
+
+    return {
+        byStatus: statuses.map(s => ({ status: s.key, name: s.name, category: s.category, count: statusCounts.get(s.key) || 0 })),
+        byPriority: ['high', 'medium', 'low'].map(priority => ({ priority, count: priorityCounts.get(priority) || 0 }))
+    };
+};
+
+// Issues created vs. completed per ISO week (weeks start on Monday, UTC).
+// "Completed" means a status change from a non-done into a done column, taken
+// from the activity log, so an issue that is reopened and finished again counts twice.
+// Columns are judged by the category recorded with the change (see utils/activity.js),
+// so renaming, recategorizing or deleting a status later doesn't rewrite history.
+const weeklyThroughput = async (projectId, from, to) => {
+    const rows = await prisma.$queryRaw`
+        WITH weeks AS (
+            SELECT generate_series(date_trunc('week', ${from}::timestamp), ${to}::timestamp, interval '1 week') AS "weekStart"
+        ), created AS (
+            SELECT date_trunc('week', i."createdAt") AS "weekStart", COUNT(*) AS "count"
+            FROM "public"."Issue" i
+            WHERE i."projectId" = ${projectId} AND i."deletedAt" IS NULL AND i."createdAt" BETWEEN ${from} AND ${to}
+            GROUP BY 1
+        ), completed AS (
+            SELECT date_trunc('week', a."createdAt") AS "weekStart", COUNT(*) AS "count"
+            FROM "public"."Activity" a
+            JOIN "public"."Issue" i ON i."id" = a."issueId" AND i."deletedAt" IS NULL
+            WHERE a."projectId" = ${projectId}
+                AND a."action" IN ('issue.created', 'issue.updated', 'issue.status_changed')
+                AND a."createdAt" BETWEEN ${from} AND ${to}
+                AND a."changes" -> 'statusCategory' ->> 'to' = 'done'
+                AND a."changes" -> 'statusCategory' ->> 'from' IS DISTINCT FROM 'done'
+            GROUP BY 1
+        )
+        SELECT w."weekStart", COALESCE(c."count", 0) AS "created", COALESCE(d."count", 0) AS "completed"
+        FROM weeks w
+        LEFT JOIN created c ON c."weekStart" = w."weekStart"
+        LEFT JOIN completed d ON d."weekStart" = w."weekStart"
+        ORDER BY w."weekStart"
+    `;
+
+    return rows.map(row => ({
+        weekStart: row.weekStart.toISOString().slice(0, 10),
+        created: Number(row.created),
+        completed: Number(row.completed)
+    }));
+};
+
+// Median and 90th-percentile time from first entering an "active" (in progress) column
+// to the last move into a "done" column, for issues that are done now and were
+// completed within the range. Columns are matched by the category recorded with each
+// change, so custom workflows work too.
+const cycleTime = async (projectId, from, to) => {
+    const [row] = await prisma.$queryRaw`
+        WITH changes AS (
+            SELECT a."issueId", a."createdAt", a."changes" -> 'statusCategory' ->> 'to' AS "category"
+            FROM "public"."Activity" a
+            WHERE a."projectId" = ${projectId}
+                AND a."issueId" IS NOT NULL
+                AND a."action" IN ('issue.created', 'issue.updated', 'issue.status_changed')
+                AND a."changes" -> 'statusCategory' IS NOT NULL
+        ), cycles AS (
+            SELECT c."issueId",
+                MIN(c."createdAt") FILTER (WHERE c."category" = 'active') AS "startedAt",
+                MAX(c."createdAt") FILTER (WHERE c."category" = 'done') AS "completedAt"
+            FROM changes c
+            GROUP BY c."issueId"
+        )
+        SELECT
+            COUNT(*) AS "count",
+            percentile_cont(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM cy."completedAt" - cy."startedAt")) AS "median",
+            percentile_cont(0.9) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM cy."completedAt" - cy."startedAt")) AS "p90"
+        FROM cycles cy
+        JOIN "public"."Issue" i ON i."id" = cy."issueId"
+        JOIN "public"."WorkflowStatus" ws_now ON ws_now."projectId" = i."projectId" AND ws_now."key" = i."status"
+        WHERE ws_now."category" = 'done'
+            AND i."deletedAt" IS NULL
+            AND cy."startedAt" IS NOT NULL
+            AND cy."completedAt" > cy."startedAt"
+            AND cy."completedAt" BETWEEN ${from} AND ${to}
+    `;
+
+    const toHours = (seconds) => (seconds === null ? null : Math.round((Number(seconds) / 3600) * 10) / 10);
+
+    return {
+        issueCount: Number(row.count),
+        medianHours: toHours(row.median),
+        p90Hours: toHours(row.p90)
+    };
+};
+
+// Open (not done) issues per assignee, plus open issues nobody is assigned to
+const openWorkload = async (projectId) => {
+    const [perAssignee, [unassigned]] = await Promise.all([
+        prisma.$queryRaw`
+            SELECT u."id", u."name", u."email", COUNT(*) AS "openIssues"
+            FROM "public"."IssueAssignee" ia
+            JOIN "public"."Issue" i ON i."id" = ia."issueId"
+            JOIN "public"."WorkflowStatus" ws ON ws."projectId" = i."projectId" AND ws."key" = i."status"
+            JOIN "public"."User" u ON u."id" = ia."userId"
+            WHERE i."projectId" = ${projectId} AND i."deletedAt" IS NULL AND ws."category" <> 'done'
+            GROUP BY u."id", u."name", u."email"
+            ORDER BY "openIssues" DESC, u."name"
+        `,
+        prisma.$queryRaw`
+            SELECT COUNT(*) AS "count"
+            FROM "public"."Issue" i
+            JOIN "public"."WorkflowStatus" ws ON ws."projectId" = i."projectId" AND ws."key" = i."status"
+            WHERE i."projectId" = ${projectId}
+                AND i."deletedAt" IS NULL
+                AND ws."category" <> 'done'
+                AND NOT EXISTS (SELECT 1 FROM "public"."IssueAssignee" ia WHERE ia."issueId" = i."id")
+        `
+    ]);
+
+    return {
+        assignees: perAssignee.map(row => ({
+            user: { id: row.id, name: row.name, email: row.email },
+            openIssues: Number(row.openIssues)
+        })),
+        unassignedOpenIssues: Number(unassigned.count)
+    };
+};
+
+// Everything GET /api/projects/:id/analytics returns. Computed over the whole project,
+// independent of who asks, so every member sees the same numbers.
+const buildProjectAnalytics = async (projectId, from, to) => {
+    const [counts, throughput, cycle, workload] = await Promise.all([
+        countsByStatusAndPriority(projectId),
+        weeklyThroughput(projectId, from, to),
+        cycleTime(projectId, from, to),
+        openWorkload(projectId)
+    ]);
+
+    return {
+        range: { from, to },
+        ...counts,
+        throughput,
+        cycleTime: cycle,
+        workload
+    };
+};
+
+module.exports = {
+    parseRange,
+    buildProjectAnalytics
+};
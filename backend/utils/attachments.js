@@ -0,0 +1,41 @@
+const { PrismaClient } = require('@prisma/client');
+const { getStorage } = require('./storage.js');
+
+const prisma = new PrismaClient();
+
+const MAX_ATTACHMENT_BYTES = Number(process.env.ATTACHMENT_MAX_MB || 10) * 1024 * 1024;
+
+// Screenshots, documents, logs and archives. ATTACHMENT_ALLOWED_TYPES (comma-separated) overrides it.
+const ALLOWED_CONTENT_TYPES = process.env.ATTACHMENT_ALLOWED_TYPES
+    ? process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map(type => type.trim()).filter(Boolean)
+    : [
+        'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+        'application/pdf', 'text/plain', 'text/csv', 'application/json',
+        'application/zip', 'application/gzip', 'application/x-gzip'
+    ];
+
+// Storage keys of the attachments matching `where`, read before their rows are deleted
+const findAttachmentKeys = async (where) => {
+    const attachments = await prisma.attachment.findMany({
+        where,
+        select: { storageKey: true }
+    });
+    return attachments.map(a => a.storageKey);
+};
+
+// Remove stored files once their rows are gone. A file that cannot be removed is
+// only logged - the database delete already happened and must not be reported as failed.
+const removeStoredFiles = async (keys) => {
+    const storage = getStorage();
+
+    await Promise.all(keys.map(key => storage.remove(key).catch(error => {
+        console.error(`Failed to remove stored file ${key}:`, error);
+    })));
+};
+
+module.exports = {
+    MAX_ATTACHMENT_BYTES,
+    ALLOWED_CONTENT_TYPES,
+    findAttachmentKeys,
+    removeStoredFiles
+};
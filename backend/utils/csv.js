@@ -0,0 +1,75 @@
+// Minimal RFC 4180 CSV reading and writing for issue import/export.
+
+// Spreadsheets run cells starting with these as formulas; prefix them with a quote on export
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const toCsvCell = (value) => {
+    if (value === null || value === undefined) return '';
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => `${values.map(toCsvCell).join(',')}\r\n`;
+
+// Parse CSV text into an array of rows (arrays of strings). Handles quoted
+// fields with embedded commas, quotes and line breaks, CRLF and a leading BOM.
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i += 1) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i += 1;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i += 1;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Blank lines are not records
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+// Rows as objects keyed by the header row
+const parseCsvRecords = (text) => {
+    const [header = [], ...rows] = parseCsv(text);
+    const columns = header.map(name => name.trim());
+
+    return rows.map(values => Object.fromEntries(columns.map((name, index) => [name, values[index] ?? ''])));
+};
+
+module.exports = {
+    toCsvRow,
+    parseCsv,
+    parseCsvRecords
+};
@@ -0,0 +1,87 @@
+const { PrismaClient } = require('@prisma/client');
+const { notify } = require('./notifications.js');
+const { userRoom } = require('./realtime.js');
+
+const prisma = new PrismaClient();
+
+const DUE_SOON_HOURS = Number(process.env.DUE_SOON_HOURS || 24);
+const CHECK_INTERVAL_MS = Number(process.env.DUE_REMINDER_INTERVAL_MINUTES || 15) * 60 * 1000;
+
+// Which reminder an issue has reached right now, or null
+const thresholdFor = (dueDate, now) => {
+    if (dueDate <= now) return 'overdue';
+    if (dueDate - now <= DUE_SOON_HOURS * 60 * 60 * 1000) return 'due_soon';
+    return null;
+};
+
+const reminderMessage = (issue, threshold) => (threshold === 'overdue'
+    ? {
+        subject: `Overdue: "${issue.title}"`,
+        text: `"${issue.title}" in project ${issue.project.name} was due on ${issue.dueDate.toUTCString()} and is not done yet.`
+    }
+    : {
+        subject: `Due soon: "${issue.title}"`,
+        text: `"${issue.title}" in project ${issue.project.name} is due on ${issue.dueDate.toUTCString()}.`
+    });
+
+// Find open issues that are due soon or overdue and remind each assignee once per threshold.
+// The reminder row is written before anything is sent; its unique key makes a second
+// run (or a run after a restart) skip reminders that already went out.
+const sendDueDateReminders = async (io) => {
+    const now = new Date();
+
+    const issues = await prisma.issue.findMany({
+        where: {
+            dueDate: { not: null, lte: new Date(now.getTime() + DUE_SOON_HOURS * 60 * 60 * 1000) },
+            workflowStatus: { category: { not: 'done' } },
+            assignees: { some: {} },
+            deletedAt: null,
+            project: { deletedAt: null, archivedAt: null }
+        },
+        include: {
+            project: { select: { name: true } },
+            assignees: { select: { userId: true } }
+        }
+    });
+
+    for (const issue of issues) {
+        const threshold = thresholdFor(issue.dueDate, now);
+        if (!threshold) continue;
+
+        for (const { userId } of issue.assignees) {
+            try {
+                await prisma.dueDateReminder.create({
+                    data: { issueId: issue.id, userId, threshold, dueDate: issue.dueDate }
+                });
+            } catch (error) {
+                if (error.code === 'P2002') continue; // Already reminded
+                throw error;
+            }
+
+            io.to(userRoom(userId)).emit('issue:due_reminder', {
+                issueId: issue.id,
+                projectId: issue.projectId,
+                title: issue.title,
+                dueDate: issue.dueDate,
+                threshold
+            });
+
+            await notify('due_reminder', [userId], reminderMessage(issue, threshold));
+        }
+    }
+};
+
+const startDueDateScheduler = (io) => {
+    const run = () => sendDueDateReminders(io).catch(error => console.error('Due date reminder error:', error));
+
+    const timer = setInterval(run, CHECK_INTERVAL_MS);
+    timer.unref();
+    run();
+
+    return timer;
+};
+
+module.exports = {
+    sendDueDateReminders,
+    startDueDateScheduler
+};
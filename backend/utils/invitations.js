@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+const { sendMail, escapeHtml } = require('./mailer.js');
+const { recordActivity } = require('./activity.js');
+
+const prisma = new PrismaClient();
+
+const INVITATION_TTL_DAYS = 7;
+
+// Invitation tokens are JWTs carrying the invitation id and a per-send id (`jti`).
+// Resending rotates `tokenId`, so only the latest email's link keeps working.
+const signInvitationToken = (invitation) => jwt.sign(
+    { type: 'invitation', invitationId: invitation.id, email: invitation.email },
+    process.env.JWT_SECRET,
+    { expiresIn: `${INVITATION_TTL_DAYS}d`, jwtid: invitation.tokenId }
+);
+
+const newInvitationExpiry = () => new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+const newTokenId = () => crypto.randomBytes(16).toString('hex');
+
+// Resolve a token to its pending invitation. Returns { invitation } or { error }.
+const findInvitationByToken = async (token) => {
+    let payload;
+    try {
+        payload = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        return { error: error.name === 'TokenExpiredError' ? 'This invitation has expired.' : 'Invalid invitation.' };
+    }
+
+    if (payload.type !== 'invitation') return { error: 'Invalid invitation.' };
+
+    const invitation = await prisma.projectInvitation.findUnique({
+        where: { id: payload.invitationId },
+        include: {
+            project: { select: { id: true, name: true } },
+            invitedBy: { select: { name: true, email: true } }
+        }
+    });
+
+    if (!invitation || invitation.tokenId !== payload.jti) return { error: 'Invalid invitation.' };
+    if (invitation.revokedAt) return { error: 'This invitation has been revoked.' };
+    if (invitation.acceptedAt) return { error: 'This invitation has already been accepted.' };
+    if (invitation.expiresAt < new Date()) return { error: 'This invitation has expired.' };
+
+    return { invitation };
+};
+
+// Add the user as a collaborator with the invited role and close the invitation.
+// Pass a transaction client as `db` to do it atomically with e.g. user signup.
+const acceptInvitation = async (invitation, userId, db = prisma) => {
+    await db.projectCollaborator.upsert({
+        where: { projectId_userId: { projectId: invitation.projectId, userId } },
+        create: { projectId: invitation.projectId, userId, role: invitation.role },
+        update: {}
+    });
+
+    await db.projectInvitation.update({
+        where: { id: invitation.id },
+        data: { acceptedAt: new Date(), acceptedById: userId }
+    });
+
+    await recordActivity({
+        actorId: userId,
+        projectId: invitation.projectId,
+        action: 'project.invitation_accepted',
+        changes: { collaboratorIds: { from: null, to: [userId] } }
+    }, db);
+};
+
+const sendInvitationEmail = (invitation, projectName, inviterName) => {
+    const token = signInvitationToken(invitation);
+    const link = `${process.env.FRONTEND_URL || ''}/accept-invite?token=${token}`;
+
+    return sendMail({
+        to: invitation.email,
+        subject: `${inviterName} invited you to "${projectName}" on SyncFlow`,
+        text: `${inviterName} invited you to join the project "${projectName}" as ${invitation.role}.\n\n`
+            + `Accept the invitation: ${link}\n\nThe link expires in ${INVITATION_TTL_DAYS} days.`,
+        html: `<p>${escapeHtml(inviterName)} invited you to join the project <strong>${escapeHtml(projectName)}</strong> as ${invitation.role}.</p>`
+            + `<p><a href="${link}">Accept the invitation</a></p><p>The link expires in ${INVITATION_TTL_DAYS} days.</p>`,
+    });
+};
+
+module.exports = {
+    newInvitationExpiry,
+    newTokenId,
+    findInvitationByToken,
+    acceptInvitation,
+    sendInvitationEmail
+};
@@ -0,0 +1,202 @@
+// Query-string parsing for issue lists. Kept separate from the route so every
+// endpoint that lists issues accepts exactly the same filters and sort options.
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// `rank` is the manual board order within a status column (utils/ranking.js)
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'priority', 'title', 'dueDate', 'rank'];
+const PRIORITIES = ['low', 'medium', 'high'];
+
+// Parameters that choose which issues are listed (what a saved view stores besides sort/order)
+const FILTER_PARAMS = [
+    'projectId', 'status', 'priority', 'assignee', 'createdFrom', 'createdTo', 'updatedFrom', 'updatedTo',
+    'overdue', 'dueWithinDays', 'label', 'labelMatch', 'search', 'sprint', 'trashed', 'includeArchived'
+];
+
+// Accept both ?status=a&status=b and ?status=a,b
+const toList = (value) => {
+    if (value === undefined || value === null || value === '') return [];
+    return (Array.isArray(value) ? value : [value])
+        .flatMap(v => String(v).split(','))
+        .map(v => v.trim())
+        .filter(Boolean);
+};
+
+const parseDate = (value, name) => {
+    if (!value) return { date: undefined };
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        return { error: `${name} must be a valid date.` };
+    }
+    return { date };
+};
+
+// Issues the user may see: projects they own or collaborate on, plus issues assigned to them
+const visibleTo = (userId) => ({
+    OR: [
+        { project: { ownerId: userId } },
+        { project: { collaborators: { some: { userId } } } },
+        { assignees: { some: { userId } } }
+    ]
+});
+
+// Build the Prisma `where` for an issue list. Returns { where } or { error }.
+const buildIssueWhere = (query, userId) => {
+    const { projectId, search } = query;
+    const conditions = [visibleTo(userId)];
+
+    // Repeated parameters (?search=a&search=b) arrive as arrays
+    if (projectId !== undefined && typeof projectId !== 'string') {
+        return { error: 'projectId must be a single value.' };
+    }
+    if (search !== undefined && typeof search !== 'string') {
+        return { error: 'search must be a single value.' };
+    }
+
+    if (projectId) conditions.push({ projectId });
+
+    // Trashed issues only with trashed=true (the trash view); issues of trashed projects never.
+    // Archived projects are left out unless includeArchived=true or the project is asked for by id.
+    conditions.push({ deletedAt: query.trashed === 'true' ? { not: null } : null });
+    conditions.push({
+        project: {
+            deletedAt: null,
+            ...(query.includeArchived !== 'true' && !projectId && { archivedAt: null })
+        }
+    });
+
+    // sprint: sprint ids and/or "none" for the backlog
+    const sprints = toList(query.sprint);
+    if (sprints.length > 0) {
+        const either = [];
+        const sprintIds = sprints.filter(s => s !== 'none');
+
+        if (sprintIds.length > 0) either.push({ sprintId: { in: sprintIds } });
+        if (sprints.includes('none')) either.push({ sprintId: null });
+
+        conditions.push({ OR: either });
+    }
+
+    const statuses = toList(query.status);
+    if (statuses.length > 0) conditions.push({ status: { in: statuses } });
+
+    const priorities = toList(query.priority);
+    const badPriority = priorities.find(p => !PRIORITIES.includes(p));
+    if (badPriority) return { error: `Unknown priority "${badPriority}".` };
+    if (priorities.length > 0) conditions.push({ priority: { in: priorities } });
+
+    // assignee: user ids, "me" and/or "unassigned"
+    const assignees = toList(query.assignee);
+    if (assignees.length > 0) {
+        const userIds = assignees
+            .filter(a => a !== 'unassigned')
+            .map(a => (a === 'me' ? userId : a));
+        const either = [];
+
+        if (userIds.length > 0) either.push({ assignees: { some: { userId: { in: userIds } } } });
+        if (assignees.includes('unassigned')) either.push({ assignees: { none: {} } });
+
+        conditions.push({ OR: either });
+    }
+
+    // Date ranges (inclusive)
+    for (const field of ['created', 'updated']) {
+        const from = parseDate(query[`${field}From`], `${field}From`);
+        const to = parseDate(query[`${field}To`], `${field}To`);
+
+        if (from.error || to.error) return { error: from.error || to.error };
+
+        if (from.date || to.date) {
+            conditions.push({
+                [`${field}At`]: {
+                    ...(from.date && { gte: from.date }),
+                    ...(to.date && { lte: to.date })
+                }
+            });
+        }
+    }
+
+    // overdue=true: past due and not in a "done" column; dueWithinDays=N: due between now and N days out
+    const notDone = { workflowStatus: { category: { not: 'done' } } };
+    const now = new Date();
+
+    if (query.overdue === 'true') {
+        conditions.push({ dueDate: { lt: now } }, notDone);
+    }
+
+    if (query.dueWithinDays !== undefined) {
+        const days = Number(query.dueWithinDays);
+        if (!Number.isFinite(days) || days < 0) {
+            return { error: 'dueWithinDays must be a non-negative number.' };
+        }
+        conditions.push({ dueDate: { gte: now, lte: new Date(now.getTime() + days * 24 * 60 * 60 * 1000) } }, notDone);
+    }
+
+    // label: label ids or names; labelMatch=all requires every one, default is any
+    const labels = toList(query.label);
+    if (labels.length > 0) {
+        const matchLabel = (values) => ({
+            labels: {
+                some: {
+                    label: {
+                        OR: [
+                            { id: { in: values } },
+                            { name: { in: values, mode: 'insensitive' } }
+                        ]
+                    }
+                }
+            }
+        });
+
+        if (query.labelMatch === 'all') {
+            labels.forEach(label => conditions.push(matchLabel([label])));
+        } else {
+            conditions.push(matchLabel(labels));
+        }
+    }
+
+    if (search) {
+        conditions.push({
+            OR: [
+                { title: { contains: search, mode: 'insensitive' } },
+                { description: { contains: search, mode: 'insensitive' } }
+            ]
+        });
+    }
+
+    return { where: { AND: conditions } };
+};
+
+// Sorting and cursor pagination. The id tie-breaker keeps the order stable between pages.
+const buildIssuePaging = (query) => {
+    const sort = query.sort || 'createdAt';
+    if (!SORT_FIELDS.includes(sort)) {
+        return { error: `sort must be one of: ${SORT_FIELDS.join(', ')}.` };
+    }
+
+    const order = query.order || (['title', 'rank'].includes(sort) ? 'asc' : 'desc');
+    if (!['asc', 'desc'].includes(order)) {
+        return { error: 'order must be asc or desc.' };
+    }
+
+    const limit = Math.max(1, Math.min(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE));
+
+    // Issues without a due date go last either way
+    const primary = sort === 'dueDate' ? { dueDate: { sort: order, nulls: 'last' } } : { [sort]: order };
+
+    return {
+        limit,
+        orderBy: [primary, { id: order }],
+        cursor: query.cursor || null
+    };
+};
+
+module.exports = {
+    PRIORITIES,
+    FILTER_PARAMS,
+    toList,
+    visibleTo,
+    buildIssueWhere,
+    buildIssuePaging
+};
@@ -0,0 +1,97 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Project keys: 2-10 uppercase letters/digits starting with a letter, e.g. "WEB"
+const PROJECT_KEY_PATTERN = /^[A-Z][A-Z0-9]{1,9}$/;
+// Issue keys: "<project key>-<number>", matched case-insensitively, e.g. "web-142"
+const ISSUE_KEY_PATTERN = /^([A-Za-z][A-Za-z0-9]{1,9})-(\d+)$/;
+
+const formatIssueKey = (projectKey, number) => `${projectKey}-${number}`;
+
+// Is `key` used by another project, either as its key or as one of its old keys?
+const isProjectKeyTaken = async (key, exceptProjectId = null) => {
+    const [project, alias] = await Promise.all([
+        prisma.project.findUnique({ where: { key }, select: { id: true } }),
+        prisma.projectKeyAlias.findUnique({ where: { key }, select: { projectId: true } })
+    ]);
+
+    return Boolean((project && project.id !== exceptProjectId) || (alias && alias.projectId !== exceptProjectId));
+};
+
+// Derive a free key from a project name: "Web Shop" -> "WS", "Website" -> "WEBS", then WEBS2, WEBS3...
+const suggestProjectKey = async (name) => {
+    const words = name.toUpperCase().replace(/^[^A-Z]+/, '').split(/[^A-Z0-9]+/).filter(Boolean);
+    let base = words.length > 1
+        ? words.map(word => word[0]).join('').slice(0, 4)
+        : (words[0] || '').slice(0, 4);
+    if (!PROJECT_KEY_PATTERN.test(base)) base = 'PRJ';
+
+    for (let suffix = 1; ; suffix += 1) {
+        const candidate = suffix === 1 ? base : `${base}${suffix}`;
+        if (!(await isProjectKeyTaken(candidate))) return candidate;
+    }
+};
+
+// Reserve `count` consecutive issue numbers in a project and return the first one.
+// The increment locks the project row, so concurrent creates never get the same number;
+// pass the transaction client that also creates the issues.
+const reserveIssueNumbers = async (db, projectId, count = 1) => {
+    const { issueCounter } = await db.project.update({
+        where: { id: projectId },
+        data: { issueCounter: { increment: count } },
+        select: { issueCounter: true }
+    });
+
+    return issueCounter - count + 1;
+};
+
+// Issue id for "WEB-142" (current or old project key), or null
+const findIssueIdByKey = async (issueKey) => {
+    const match = ISSUE_KEY_PATTERN.exec(issueKey);
+    if (!match) return null;
+
+    const projectKey = match[1].toUpperCase();
+    const number = Number(match[2]);
+    if (number > 2147483647) return null; // Beyond the Int column
+
+    const project = await prisma.project.findUnique({ where: { key: projectKey }, select: { id: true } });
+    const alias = project ? null : await prisma.projectKeyAlias.findUnique({ where: { key: projectKey } });
+    const projectId = project ? project.id : alias && alias.projectId;
+    if (!projectId) return null;
+
+    const issue = await prisma.issue.findUnique({
+        where: { projectId_number: { projectId, number } },
+        select: { id: true }
+    });
+
+    return issue ? issue.id : null;
+};
+
+// router.param / app.param handler: lets every `:issueId` route take an issue key too.
+// cuids never contain "-", so anything shaped like a key is looked up as one.
+const resolveIssueParam = async (req, res, next, value) => {
+    if (!ISSUE_KEY_PATTERN.test(value)) return next();
+
+    try {
+        const issueId = await findIssueIdByKey(value);
+        if (!issueId) {
+            return res.status(404).json({ message: 'Issue not found.' });
+        }
+
+        req.params.issueId = issueId;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    PROJECT_KEY_PATTERN,
+    formatIssueKey,
+    isProjectKeyTaken,
+    suggestProjectKey,
+    reserveIssueNumbers,
+    findIssueIdByKey,
+    resolveIssueParam
+};
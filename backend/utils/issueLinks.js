@@ -0,0 +1,125 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Relations to include with an issue so clients can show its hierarchy and blockers
+const linkInclude = {
+    parent: { select: { id: true, title: true } },
+    children: {
+        where: { deletedAt: null },
+        select: {
+            id: true,
+            title: true,
+            status: true,
+            workflowStatus: { select: { category: true } }
+        }
+    },
+    blockedBy: {
+        where: { blocker: { deletedAt: null } },
+        select: {
+            blocker: { select: { id: true, title: true, status: true } }
+        }
+    },
+    blocking: {
+        where: { blocked: { deletedAt: null } },
+        select: {
+            blocked: { select: { id: true, title: true, status: true } }
+        }
+    }
+};
+
+// Add `childProgress` ({ done, total, label: "3/5 done" }) to an issue loaded with linkInclude
+const withProgress = (issue) => {
+    if (!issue || !issue.children) return issue;
+
+    const total = issue.children.length;
+    const done = issue.children.filter(c => c.workflowStatus.category === 'done').length;
+
+    return {
+        ...issue,
+        childProgress: { done, total, label: `${done}/${total} done` }
+    };
+};
+
+// True if `target` can be reached from `start` by following `edges` (Map of id -> [ids])
+const isReachable = (edges, start, target) => {
+    const seen = new Set();
+    const stack = [start];
+
+    while (stack.length > 0) {
+        const current = stack.pop();
+        if (current === target) return true;
+        if (seen.has(current)) continue;
+        seen.add(current);
+        (edges.get(current) || []).forEach(next => stack.push(next));
+    }
+
+    return false;
+};
+
+// Serialize dependency changes in a project for the rest of the transaction, like
+// lockColumn in utils/ranking.js: two requests can't each pass the cycle check
+// against the same graph and then close a loop together.
+const lockDependencies = (tx, projectId) => tx.$executeRaw`
+    SELECT pg_advisory_xact_lock(hashtext('issue-dependencies'), hashtext(${projectId}))
+`;
+
+// Would "blockerId blocks blockedId" close a loop? Only same-project links exist,
+// so the project's dependency graph is loaded once and walked in memory. Pass the
+// transaction that holds lockDependencies and adds the link as `db`.
+const wouldCreateDependencyCycle = async (projectId, blockerId, blockedId, db = prisma) => {
+    if (blockerId === blockedId) return true;
+
+    const dependencies = await db.issueDependency.findMany({
+        where: { blocker: { projectId } },
+        select: { blockerId: true, blockedId: true }
+    });
+
+    const edges = new Map();
+    dependencies.forEach(({ blockerId: from, blockedId: to }) => {
+        if (!edges.has(from)) edges.set(from, []);
+        edges.get(from).push(to);
+    });
+
+    // A cycle appears if the blocked issue already (indirectly) blocks the blocker
+    return isReachable(edges, blockedId, blockerId);
+};
+
+// Would making `parentId` the parent of `issueId` put the issue under itself?
+const wouldCreateParentCycle = async (issueId, parentId) => {
+    let current = parentId;
+    const seen = new Set();
+
+    while (current) {
+        if (current === issueId) return true;
+        if (seen.has(current)) return true; // Existing corrupt loop - refuse rather than spin
+        seen.add(current);
+
+        const node = await prisma.issue.findUnique({
+            where: { id: current },
+            select: { parentId: true }
+        });
+        current = node ? node.parentId : null;
+    }
+
+    return false;
+};
+
+// Blocking issues that are not in a "done" column yet
+const findOpenBlockers = (issueId) => prisma.issue.findMany({
+    where: {
+        blocking: { some: { blockedId: issueId } },
+        workflowStatus: { category: { not: 'done' } },
+        deletedAt: null
+    },
+    select: { id: true, title: true, status: true }
+});
+
+module.exports = {
+    linkInclude,
+    withProgress,
+    lockDependencies,
+    wouldCreateDependencyCycle,
+    wouldCreateParentCycle,
+    findOpenBlockers
+};
@@ -0,0 +1,54 @@
+const { PrismaClient } = require('@prisma/client');
+const { linkInclude, withProgress } = require('./issueLinks.js');
+const { formatIssueKey } = require('./issueKeys.js');
+
+const prisma = new PrismaClient();
+
+// Relations returned with every issue
+const issueInclude = {
+    project: { select: { name: true, key: true } },
+    sprint: { select: { id: true, name: true, state: true } },
+    assignees: {
+        include: {
+            user: { select: { id: true, name: true, email: true } }
+        }
+    },
+    labels: {
+        include: {
+            label: { select: { id: true, name: true, color: true } }
+        }
+    },
+    ...linkInclude
+};
+
+// Shape an issue for responses and events: its key plus sub-task progress
+const formatIssue = (issue) => withProgress({ ...issue, key: formatIssueKey(issue.project.key, issue.number) });
+
+// One page of issues for the output of buildIssueWhere / buildIssuePaging
+const findIssuePage = async ({ where, orderBy, limit, cursor }) => {
+    const [issues, totalCount] = await Promise.all([
+        prisma.issue.findMany({
+            where,
+            include: issueInclude,
+            orderBy,
+            take: limit + 1,
+            ...(cursor && { cursor: { id: cursor }, skip: 1 })
+        }),
+        prisma.issue.count({ where })
+    ]);
+
+    const hasMore = issues.length > limit;
+    const items = hasMore ? issues.slice(0, limit) : issues;
+
+    return {
+        items: items.map(formatIssue),
+        totalCount,
+        nextCursor: hasMore ? items[items.length - 1].id : null
+    };
+};
+
+module.exports = {
+    issueInclude,
+    formatIssue,
+    findIssuePage
+};
@@ -0,0 +1,85 @@
+const { PrismaClient } = require('@prisma/client');
+const { issueInclude, formatIssue } = require('./issueQueries.js');
+
+const prisma = new PrismaClient();
+
+// Optimistic concurrency for issues: every write bumps Issue.version, responses carry it
+// in the body and as the ETag, and writes sent with If-Match fail with 409 when stale.
+
+const setIssueETag = (res, issue) => res.set('ETag', `"${issue.version}"`);
+
+// If-Match: "3", W/"3" or a bare 3. Returns { version } - null when the header is
+// absent or "*", meaning "whatever the current version is" - or { error }.
+const parseIfMatch = (req) => {
+    const header = req.get('If-Match');
+    if (!header || header.trim() === '*') return { version: null };
+
+    const match = /^\s*(?:W\/)?"?(\d+)"?\s*$/.exec(header);
+    if (!match) {
+        return { error: 'If-Match must be an issue version, e.g. "3".' };
+    }
+
+    return { version: Number(match[1]) };
+};
+
+// Take the next version inside a write. With `expectedVersion` the update only matches
+// that version, so a concurrent writer makes it throw P2025 and the transaction rolls back.
+const bumpVersion = (db, issueId, expectedVersion = null) => db.issue.update({
+    where: { id: issueId, ...(expectedVersion !== null && { version: expectedVersion }) },
+    data: { version: { increment: 1 } },
+    select: { version: true }
+});
+
+// Comparable form of a field, so dates and id lists diff by value
+const comparable = (field, issue) => {
+    if (field === 'assigneeIds') return issue.assignees.map(a => a.userId).sort();
+    const value = issue[field];
+    return value instanceof Date ? value.toISOString() : value ?? null;
+};
+
+// { field: { yours, current } } for every field the client tried to write that
+// now holds something else, so it can merge its edit into the current issue
+const conflictDiff = (current, attempted) => {
+    const diff = {};
+
+    for (const [field, value] of Object.entries(attempted)) {
+        if (value === undefined) continue;
+
+        const yours = field === 'assigneeIds' && Array.isArray(value) ? [...value].sort() : value;
+        const now = comparable(field, current);
+        const normalized = yours instanceof Date ? yours.toISOString() : yours ?? null;
+
+        if (JSON.stringify(normalized) !== JSON.stringify(now)) {
+            diff[field] = { yours: normalized, current: now };
+        }
+    }
+
+    return diff;
+};
+
+// 409 for a stale If-Match: the current issue (also as the ETag) plus the field-level diff.
+// Answers 404 instead if the issue is gone by now.
+const sendVersionConflict = async (res, issueId, attempted = {}) => {
+    const current = await prisma.issue.findUnique({ where: { id: issueId }, include: issueInclude });
+
+    if (!current) {
+        return res.status(404).json({ message: 'Issue not found.' });
+    }
+
+    const issue = formatIssue(current);
+    setIssueETag(res, issue);
+
+    return res.status(409).json({
+        message: 'This issue was changed by someone else since you loaded it.',
+        currentVersion: issue.version,
+        issue,
+        diff: conflictDiff(issue, attempted)
+    });
+};
+
+module.exports = {
+    setIssueETag,
+    parseIfMatch,
+    bumpVersion,
+    sendVersionConflict
+};
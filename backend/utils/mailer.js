@@ -0,0 +1,52 @@
+const nodemailer = require('nodemailer');
+
+// Gmail by default. Setting SMTP_HOST switches to a plain SMTP server instead,
+// e.g. a local SMTP stand-in during tests (SMTP_HOST=127.0.0.1 SMTP_PORT=1025).
+const createTransport = () => {
+    if (process.env.SMTP_HOST) {
+        return nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            ...(process.env.SMTP_USER && {
+                auth: {
+                    user: process.env.SMTP_USER,
+                    pass: process.env.SMTP_PASS,
+                }
+            }),
+        });
+    }
+
+    return nodemailer.createTransport({
+        service: 'gmail',
+        auth: {
+            user: process.env.GMAIL_USER,
+            pass: process.env.GMAIL_APP_PASSWORD,
+        },
+    });
+};
+
+let transporter = createTransport();
+
+// For user-supplied text (names, titles) placed in HTML bodies
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Let tests replace the transport (e.g. nodemailer's jsonTransport) without touching env vars
+const setTransport = (transport) => {
+    transporter = transport;
+};
+
+const sendMail = (options) => transporter.sendMail({
+    from: process.env.MAIL_FROM || process.env.GMAIL_USER,
+    ...options,
+});
+
+module.exports = {
+    escapeHtml,
+    sendMail,
+    setTransport
+};
@@ -0,0 +1,146 @@
+const { PrismaClient } = require('@prisma/client');
+const { sendMail, escapeHtml } = require('./mailer.js');
+
+const prisma = new PrismaClient();
+
+// Notification type -> column on NotificationPreference
+const NOTIFICATION_TYPES = {
+    issue_assigned: 'issueAssigned',
+    project_added: 'projectAdded',
+    issue_changed: 'issueChanged',
+    due_reminder: 'dueReminder'
+};
+
+const NOTIFICATION_MODES = ['immediate', 'digest', 'off'];
+
+const DIGEST_HOUR_UTC = Number(process.env.DIGEST_HOUR_UTC ?? 8);
+const DIGEST_CHECK_INTERVAL_MS = 10 * 60 * 1000;
+
+// Send or queue one notification per recipient according to their preferences.
+// `message` is { subject, text }. The acting user never gets notified about their own change.
+const notify = async (type, userIds, message, { actorId } = {}) => {
+    const column = NOTIFICATION_TYPES[type];
+    const recipients = [...new Set(userIds)].filter(id => id && id !== actorId);
+
+    if (!column || recipients.length === 0) return;
+
+    const users = await prisma.user.findMany({
+        where: { id: { in: recipients } },
+        select: { id: true, email: true, notificationPreference: true }
+    });
+
+    for (const user of users) {
+        // No preference row yet means the defaults, i.e. immediate for everything
+        const mode = user.notificationPreference ? user.notificationPreference[column] : 'immediate';
+
+        try {
+            if (mode === 'immediate') {
+                await sendMail({
+                    to: user.email,
+                    subject: message.subject,
+                    text: message.text,
+                    html: `<p>${escapeHtml(message.text).replace(/\n/g, '<br>')}</p>`,
+                });
+            } else if (mode === 'digest') {
+                await prisma.notificationDigestItem.create({
+                    data: { userId: user.id, type, subject: message.subject, text: message.text }
+                });
+            }
+        } catch (error) {
+            // One bad address shouldn't stop the others
+            console.error(`Notification to user ${user.id} failed:`, error);
+        }
+    }
+};
+
+// Fire-and-forget wrapper for routes: the HTTP response never waits on SMTP
+const notifyInBackground = (type, userIds, message, options) => {
+    setImmediate(() => {
+        notify(type, userIds, message, options).catch(error => {
+            console.error(`Notification error (${type}):`, error);
+        });
+    });
+};
+
+// The most recent DIGEST_HOUR_UTC:00 at or before `now`
+const lastDigestSlot = (now = new Date()) => {
+    const slot = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), DIGEST_HOUR_UTC));
+    if (slot > now) slot.setUTCDate(slot.getUTCDate() - 1);
+    return slot;
+};
+
+// Send every user their pending digest items as one email (only items created before
+// `before`, when given). Items are claimed before sending so a restart or a second
+// instance can't send them twice.
+const sendDigests = async ({ before } = {}) => {
+    const pending = await prisma.notificationDigestItem.findMany({
+        where: { sentAt: null, ...(before && { createdAt: { lt: before } }) },
+        select: { id: true, userId: true }
+    });
+
+    const byUser = new Map();
+    pending.forEach(item => {
+        if (!byUser.has(item.userId)) byUser.set(item.userId, []);
+        byUser.get(item.userId).push(item);
+    });
+
+    for (const [userId, pendingItems] of byUser) {
+        const claimedAt = new Date();
+        await prisma.notificationDigestItem.updateMany({
+            where: { id: { in: pendingItems.map(i => i.id) }, sentAt: null },
+            data: { sentAt: claimedAt }
+        });
+
+        // Only send what this run claimed - another run may have taken some first
+        const items = await prisma.notificationDigestItem.findMany({
+            where: { userId, sentAt: claimedAt },
+            include: { user: { select: { email: true } } },
+            orderBy: { createdAt: 'asc' }
+        });
+        const ids = items.map(i => i.id);
+
+        if (items.length === 0) continue;
+
+        const text = items.map(i => `• ${i.subject}\n${i.text}`).join('\n\n');
+
+        try {
+            await sendMail({
+                to: items[0].user.email,
+                subject: `Your daily SyncFlow digest (${items.length} update${items.length === 1 ? '' : 's'})`,
+                text,
+                html: `<p>${escapeHtml(text).replace(/\n/g, '<br>')}</p>`,
+            });
+        } catch (error) {
+            // Release the items so the next run retries them
+            await prisma.notificationDigestItem.updateMany({
+                where: { id: { in: ids } },
+                data: { sentAt: null }
+            });
+            console.error(`Digest email failed for user ${userId}:`, error);
+        }
+    }
+};
+
+// Send whatever was collected before the last digest slot. Nothing depends on the check
+// landing inside DIGEST_HOUR_UTC: items left over from a slot missed during a restart
+// go out on the first run after it, which is also done right at startup.
+const sendDueDigests = () => sendDigests({ before: lastDigestSlot() })
+    .catch(error => console.error('Digest run error:', error));
+
+const startDigestScheduler = () => {
+    sendDueDigests();
+    const timer = setInterval(sendDueDigests, DIGEST_CHECK_INTERVAL_MS);
+
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    NOTIFICATION_MODES,
+    notify,
+    notifyInBackground,
+    lastDigestSlot,
+    sendDigests,
+    startDigestScheduler
+};
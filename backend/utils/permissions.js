@@ -0,0 +1,63 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// The owner is implicit (project.ownerId); everyone else gets a role on ProjectCollaborator.
+const ROLES = ['owner', 'admin', 'member', 'viewer'];
+
+// Which roles may perform each action. Every route in issues.js and projects.js checks one of these.
+const PERMISSIONS = {
+    'project:view': ['owner', 'admin', 'member', 'viewer'],
+    'project:update': ['owner', 'admin'],
+    'project:archive': ['owner', 'admin'],
+    'project:manage_collaborators': ['owner', 'admin'],
+    'project:manage_workflow': ['owner', 'admin'],
+    'project:delete': ['owner'],
+    'issue:create': ['owner', 'admin', 'member'],
+    'issue:update': ['owner', 'admin', 'member'],
+    'issue:assign': ['owner', 'admin', 'member'],
+    'issue:delete': ['owner', 'admin'],
+    'label:manage': ['owner', 'admin', 'member'],
+    'sprint:manage': ['owner', 'admin'],
+    'webhook:manage': ['owner'],
+    'comment:create': ['owner', 'admin', 'member', 'viewer'],
+    'comment:moderate': ['owner', 'admin'],
+    'attachment:moderate': ['owner', 'admin'],
+    'view:share': ['owner', 'admin', 'member'],
+    'view:moderate': ['owner', 'admin']
+};
+
+const can = (role, action) => Boolean(role) && (PERMISSIONS[action] || []).includes(role);
+
+// Resolve the caller's role from an already-loaded project (with `collaborators`)
+const roleFromProject = (project, userId) => {
+    if (project.ownerId === userId) return 'owner';
+    const collaborator = (project.collaborators || []).find(c => c.userId === userId);
+    return collaborator ? collaborator.role : null;
+};
+
+// Load a project and work out whether the user may perform `action` on it.
+// `project` is null when it does not exist, is in the trash (unless `includeTrashed`)
+// or the user has no role in it.
+const authorizeProject = async (projectId, userId, action, { includeTrashed = false } = {}) => {
+    const project = await prisma.project.findUnique({
+        where: { id: projectId, ...(!includeTrashed && { deletedAt: null }) },
+        include: { collaborators: true }
+    });
+
+    const role = project ? roleFromProject(project, userId) : null;
+
+    return {
+        project: role ? project : null,
+        role,
+        allowed: can(role, action)
+    };
+};
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    can,
+    roleFromProject,
+    authorizeProject
+};
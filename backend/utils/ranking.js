@@ -0,0 +1,164 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Issues are ordered within a status column by `rank` (ascending, id as tie-breaker).
+// A move takes the midpoint between its new neighbours, so ranks start RANK_STEP apart
+// and get closer with every move into the same gap.
+const RANK_STEP = 1024;
+// Below this gap the column is renumbered in the background after the move
+const REBALANCE_GAP = 1e-3;
+// Below this gap there is no usable midpoint left; renumber before placing the issue
+const MIN_RANK_GAP = 1e-9;
+
+// Serialize every reorder of one status column for the rest of the transaction.
+// Two people dropping cards into the same column wait for each other instead of
+// computing ranks from the same stale neighbours.
+const lockColumn = (tx, projectId, status) => tx.$executeRaw`
+    SELECT pg_advisory_xact_lock(hashtext(${projectId}), hashtext(${status}))
+`;
+
+// Renumber a column to RANK_STEP, 2 * RANK_STEP, ... keeping its current order.
+// Raw SQL so updatedAt is left alone; the order as users see it does not change.
+const renumberColumn = (tx, projectId, status) => tx.$executeRaw`
+    WITH ordered AS (
+        SELECT "id", row_number() OVER (ORDER BY "rank", "id") AS "n"
+        FROM "public"."Issue"
+        WHERE "projectId" = ${projectId} AND "status" = ${status}
+    )
+    UPDATE "public"."Issue" i
+    SET "rank" = o."n" * ${RANK_STEP}
+    FROM ordered o
+    WHERE o."id" = i."id"
+`;
+
+// Rank that puts an issue above every other card in a column (new and moved-in issues
+// land at the top, like the newest-first order the board used before)
+const topRank = async (db, projectId, status, exceptIssueId = null) => {
+    const { _min: { rank } } = await db.issue.aggregate({
+        where: { projectId, status, ...(exceptIssueId && { id: { not: exceptIssueId } }) },
+        _min: { rank: true }
+    });
+
+    return rank === null ? 0 : rank - RANK_STEP;
+};
+
+// Ranks of the cards directly above and below a position, excluding the issue being moved
+const neighbourAbove = (tx, issueId, projectId, status, below) => tx.issue.findFirst({
+    where: {
+        projectId,
+        status,
+        id: { not: issueId },
+        deletedAt: null,
+        OR: [{ rank: { lt: below.rank } }, { rank: below.rank, id: { lt: below.id } }]
+    },
+    orderBy: [{ rank: 'desc' }, { id: 'desc' }],
+    select: { id: true, rank: true }
+});
+
+const neighbourBelow = (tx, issueId, projectId, status, above) => tx.issue.findFirst({
+    where: {
+        projectId,
+        status,
+        id: { not: issueId },
+        deletedAt: null,
+        OR: [{ rank: { gt: above.rank } }, { rank: above.rank, id: { gt: above.id } }]
+    },
+    orderBy: [{ rank: 'asc' }, { id: 'asc' }],
+    select: { id: true, rank: true }
+});
+
+const rankBetween = (above, below) => {
+    if (!above && !below) return 0;
+    if (!above) return below.rank - RANK_STEP;
+    if (!below) return above.rank + RANK_STEP;
+    return (above.rank + below.rank) / 2;
+};
+
+// Work out the rank for `issueId` dropped into `status` between `previousId` (card above)
+// and `nextId` (card below); either may be omitted. Must run inside a transaction that
+// holds lockColumn for the target column. Returns { rank, dense } or { status, error }.
+const placeIssue = async (tx, { issueId, projectId, status, previousId, nextId }) => {
+    const loadNeighbour = async (neighbourId) => {
+        if (!neighbourId) return { neighbour: null };
+        if (neighbourId === issueId) return { error: 'An issue cannot be placed next to itself.' };
+
+        const neighbour = await tx.issue.findUnique({
+            where: { id: neighbourId },
+            select: { id: true, rank: true, projectId: true, status: true, deletedAt: true }
+        });
+        if (!neighbour || neighbour.deletedAt || neighbour.projectId !== projectId || neighbour.status !== status) {
+            return { error: 'Neighbouring issues must be in the target status column of the same project.' };
+        }
+        return { neighbour };
+    };
+
+    const resolve = async () => {
+        const { neighbour: previous, error: previousError } = await loadNeighbour(previousId);
+        const { neighbour: next, error: nextError } = await loadNeighbour(nextId);
+        if (previousError || nextError) return { status: 400, error: previousError || nextError };
+
+        // Both given: the client's view of the column must still match the database
+        if (previous && next && (previous.rank > next.rank || (previous.rank === next.rank && previous.id > next.id))) {
+            return { status: 409, error: 'The board has changed since it was loaded. Reload it and try again.' };
+        }
+
+        // One given: fill in the other side from the column as it is now
+        const above = previous || (next
+            ? await neighbourAbove(tx, issueId, projectId, status, next)
+            : null);
+        const below = next || (previous
+            ? await neighbourBelow(tx, issueId, projectId, status, previous)
+            : await tx.issue.findFirst({
+                where: { projectId, status, id: { not: issueId }, deletedAt: null },
+                orderBy: [{ rank: 'asc' }, { id: 'asc' }],
+                select: { id: true, rank: true }
+            }));
+
+        return { above, below };
+    };
+
+    let { above, below, status: errorStatus, error } = await resolve();
+    if (error) return { status: errorStatus, error };
+
+    if (above && below && below.rank - above.rank < MIN_RANK_GAP) {
+        await renumberColumn(tx, projectId, status);
+        ({ above, below } = await resolve());
+    }
+
+    const rank = rankBetween(above, below);
+    const dense = Boolean(above && below && (below.rank - above.rank) / 2 < REBALANCE_GAP);
+
+    return { rank, dense };
+};
+
+// Columns waiting for a background renumber, so bursts of moves queue it only once
+const pendingRebalances = new Set();
+
+const scheduleRebalance = (projectId, status) => {
+    const column = `${projectId}:${status}`;
+    if (pendingRebalances.has(column)) return;
+    pendingRebalances.add(column);
+
+    setImmediate(async () => {
+        try {
+            await prisma.$transaction(async (tx) => {
+                await lockColumn(tx, projectId, status);
+                await renumberColumn(tx, projectId, status);
+            });
+            console.log(`Rebalanced issue ranks for project ${projectId}, status ${status}`);
+        } catch (error) {
+            console.error('Rebalance ranks error:', error);
+        } finally {
+            pendingRebalances.delete(column);
+        }
+    });
+};
+
+module.exports = {
+    RANK_STEP,
+    lockColumn,
+    topRank,
+    placeIssue,
+    scheduleRebalance
+};
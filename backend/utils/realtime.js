@@ -0,0 +1,115 @@
+const { PrismaClient } = require('@prisma/client');
+const { verifyToken } = require('../middleware/auth.js');
+const { dispatchWebhooks } = require('./webhooks.js');
+
+const prisma = new PrismaClient();
+
+// Room names - every socket joins its own user room plus one room per project it can see
+const userRoom = (userId) => `user:${userId}`;
+const projectRoom = (projectId) => `project:${projectId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+// Emit an event to everyone in a project, plus any extra users (e.g. issue assignees
+// who are not collaborators). Socket.IO de-duplicates sockets that sit in several rooms.
+// The same event also goes to the project's webhooks, in the background.
+const emitToProject = (io, projectId, event, payload, extraUserIds = []) => {
+    const rooms = [projectRoom(projectId), ...extraUserIds.map(userRoom)];
+    io.to(rooms).emit(event, payload);
+    dispatchWebhooks(projectId, event, payload);
+};
+
+// Collect the user ids that should receive events about an issue besides the project room
+const issueAudience = (issue) => (issue.assignees || []).map(a => a.userId || (a.user && a.user.id)).filter(Boolean);
+
+// Make every connected socket of the given users join / leave a project room
+const joinProject = (io, projectId, userIds) => {
+    io.in(userIds.map(userRoom)).socketsJoin(projectRoom(projectId));
+};
+
+const leaveProject = (io, projectId, userIds) => {
+    io.in(userIds.map(userRoom)).socketsLeave(projectRoom(projectId));
+};
+
+// Close a project room entirely (used when a project is deleted)
+const closeProject = (io, projectId) => {
+    io.in(projectRoom(projectId)).socketsLeave(projectRoom(projectId));
+};
+
+// Drop the live sockets of logged-out sessions
+const disconnectSessions = (io, sessionIds) => {
+    if (sessionIds.length === 0) return;
+    io.in(sessionIds.map(sessionRoom)).disconnectSockets(true);
+};
+
+// Projects a user may receive events for: owned or collaborating
+const getAccessibleProjectIds = async (userId) => {
+    const projects = await prisma.project.findMany({
+        where: {
+            deletedAt: null,
+            OR: [
+                { ownerId: userId },
+                { collaborators: { some: { userId } } }
+            ]
+        },
+        select: { id: true }
+    });
+
+    return projects.map(p => p.id);
+};
+
+// Handshake authentication - same JWT as the REST API.
+// Clients pass it as `auth: { token }` or as a Bearer Authorization header.
+const authenticateSocket = async (socket, next) => {
+    const authHeader = socket.handshake.headers.authorization;
+    const token = socket.handshake.auth?.token
+        || (authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null);
+
+    if (!token) {
+        return next(new Error('Authentication required'));
+    }
+
+    try {
+        socket.user = await verifyToken(token);
+        next();
+    } catch (error) {
+        const messages = {
+            TokenExpiredError: 'Token has expired',
+            TokenRevokedError: 'Session has been logged out'
+        };
+        next(new Error(messages[error.name] || 'Invalid token'));
+    }
+};
+
+const setupSocket = (io) => {
+    io.use(authenticateSocket);
+
+    io.on('connection', async (socket) => {
+        const userId = socket.user.id;
+        console.log('✅ A user connected:', socket.id, 'user:', userId);
+
+        socket.join([userRoom(userId), sessionRoom(socket.user.sessionId)]);
+
+        try {
+            const projectIds = await getAccessibleProjectIds(userId);
+            socket.join(projectIds.map(projectRoom));
+        } catch (error) {
+            console.error('Socket room join error:', error);
+        }
+
+        socket.on('disconnect', () => {
+            console.log('❌ A user disconnected:', socket.id);
+        });
+    });
+};
+
+module.exports = {
+    userRoom,
+    projectRoom,
+    emitToProject,
+    issueAudience,
+    joinProject,
+    leaveProject,
+    closeProject,
+    disconnectSessions,
+    setupSocket
+};
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Short-lived access JWT; the refresh token keeps the user signed in
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Only hashes of refresh tokens are stored, so a database leak doesn't leak sessions
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+    { userId: user.id, email: user.email, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Create a refresh token row for a session and return the raw token (shown to the client once)
+const issueRefreshToken = async (sessionId, db = prisma) => {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+
+    await db.refreshToken.create({
+        data: {
+            sessionId,
+            tokenHash: hashToken(refreshToken),
+            expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+        }
+    });
+
+    return refreshToken;
+};
+
+// Start a new session (one per login / device)
+const createSession = async (user, userAgent) => {
+    const session = await prisma.session.create({
+        data: {
+            userId: user.id,
+            userAgent: userAgent || null,
+            expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+        }
+    });
+
+    return {
+        sessionId: session.id,
+        token: signAccessToken(user, session.id),
+        refreshToken: await issueRefreshToken(session.id)
+    };
+};
+
+// Exchange a refresh token for a new access + refresh token pair.
+// Each refresh token works once; presenting a used one again means it leaked,
+// so the whole session is revoked. Returns null when the token is not usable.
+const rotateRefreshToken = async (refreshToken) => {
+    const record = await prisma.refreshToken.findUnique({
+        where: { tokenHash: hashToken(refreshToken) },
+        include: { session: { include: { user: true } } }
+    });
+
+    if (!record) return null;
+
+    const { session } = record;
+
+    if (record.usedAt) {
+        console.warn(`Refresh token reuse detected, revoking session ${session.id}`);
+        await revokeSession(session.id);
+        return null;
+    }
+
+    if (session.revokedAt || record.expiresAt < new Date() || session.expiresAt < new Date()) {
+        return null;
+    }
+
+    return prisma.$transaction(async (tx) => {
+        // Guard against two concurrent refreshes with the same token
+        const { count } = await tx.refreshToken.updateMany({
+            where: { id: record.id, usedAt: null },
+            data: { usedAt: new Date() }
+        });
+
+        if (count === 0) return null;
+
+        await tx.session.update({
+            where: { id: session.id },
+            data: {
+                lastUsedAt: new Date(),
+                expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+            }
+        });
+
+        return {
+            sessionId: session.id,
+            user: session.user,
+            token: signAccessToken(session.user, session.id),
+            refreshToken: await issueRefreshToken(session.id, tx)
+        };
+    });
+};
+
+const revokeSession = (sessionId) => prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date() }
+});
+
+// Revoke every active session and API token of a user and return the session ids.
+// Used for "log out everywhere" and password resets, so a token created with a
+// stolen password stops working as well.
+const revokeAllSessions = async (userId) => {
+    const sessions = await prisma.session.findMany({
+        where: { userId, revokedAt: null },
+        select: { id: true }
+    });
+
+    const revokedAt = new Date();
+    await prisma.$transaction([
+        prisma.session.updateMany({
+            where: { userId, revokedAt: null },
+            data: { revokedAt }
+        }),
+        prisma.personalAccessToken.updateMany({
+            where: { userId, revokedAt: null },
+            data: { revokedAt }
+        })
+    ]);
+
+    return sessions.map(s => s.id);
+};
+
+// True when the session behind an access token is still active
+const isSessionActive = async (sessionId) => {
+    const session = await prisma.session.findUnique({
+        where: { id: sessionId },
+        select: { revokedAt: true, expiresAt: true }
+    });
+
+    return Boolean(session) && !session.revokedAt && session.expiresAt > new Date();
+};
+
+module.exports = {
+    ACCESS_TOKEN_TTL,
+    hashToken,
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    isSessionActive
+};
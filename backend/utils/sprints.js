@@ -0,0 +1,142 @@
+const { PrismaClient } = require('@prisma/client');
+const { recordActivity } = require('./activity.js');
+const { getWorkflow } = require('./workflow.js');
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Activity records that carry issue field changes (see TRACKED_FIELDS in routes/issues.js),
+// plus the moves out of a deleted workflow status (routes/workflow.js)
+const HISTORY_ACTIONS = ['issue.created', 'issue.updated', 'issue.status_changed'];
+
+const startOfUtcDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+// Value of `field` at time `at`, replayed from an issue's activity records (oldest first).
+// Before the first recorded change the field held that change's `from` value.
+const valueAt = (events, field, at, current) => {
+    const changes = events.filter(e => e.changes && e.changes[field]);
+    if (changes.length === 0) return current;
+
+    let value = changes[0].changes[field].from;
+    for (const event of changes) {
+        if (event.createdAt > at) break;
+        value = event.changes[field].to;
+    }
+    return value;
+};
+
+// A date-only endDate ("2026-03-14") is stored as midnight UTC, but the sprint runs
+// through that whole day
+const sprintEnd = (endDate) => (endDate.getTime() === startOfUtcDay(endDate).getTime()
+    ? new Date(endDate.getTime() + DAY_MS - 1)
+    : endDate);
+
+// Move issues in or out of a sprint and log each move as a sprintId change,
+// which is what the burndown replays. `sprintId` null sends them to the backlog.
+// Pass a transaction client as `db` to make the move part of a larger write.
+const moveIssuesToSprint = async (issues, sprintId, actorId, db) => {
+    if (!db) {
+        return prisma.$transaction(tx => moveIssuesToSprint(issues, sprintId, actorId, tx));
+    }
+
+    const moving = issues.filter(issue => issue.sprintId !== sprintId);
+
+    await db.issue.updateMany({
+        where: { id: { in: moving.map(issue => issue.id) } },
+        data: { sprintId, version: { increment: 1 } }
+    });
+    for (const issue of moving) {
+        await recordActivity({
+            actorId,
+            projectId: issue.projectId,
+            issueId: issue.id,
+            action: 'issue.updated',
+            changes: { sprintId: { from: issue.sprintId, to: sprintId } }
+        }, db);
+    }
+
+    return moving;
+};
+
+// Daily burndown (remaining) and burnup (completed vs. scope) for a sprint.
+// Each day is evaluated at its end (or now / the close time for the last day):
+// an issue counts if it was in the sprint then, and is completed if its status
+// then was in a "done" column, going by the category recorded with each status
+// change (see utils/activity.js), so later workflow edits don't rewrite the chart.
+// Issues that were deleted drop out of the history.
+const buildBurndown = async (sprint) => {
+    const now = new Date();
+    const cutoff = new Date(Math.min(sprintEnd(sprint.endDate), sprint.closedAt || now, now));
+
+    // Everything that is or ever was in the sprint
+    const [current, movedIn, movedOut] = await Promise.all([
+        prisma.issue.findMany({ where: { sprintId: sprint.id }, select: { id: true } }),
+        prisma.activity.findMany({
+            where: { projectId: sprint.projectId, changes: { path: ['sprintId', 'to'], equals: sprint.id } },
+            select: { issueId: true }
+        }),
+        prisma.activity.findMany({
+            where: { projectId: sprint.projectId, changes: { path: ['sprintId', 'from'], equals: sprint.id } },
+            select: { issueId: true }
+        })
+    ]);
+
+    const issueIds = [...new Set([...current, ...movedIn, ...movedOut].map(r => r.id || r.issueId).filter(Boolean))];
+
+    const [issues, activities, workflow] = await Promise.all([
+        prisma.issue.findMany({
+            where: { id: { in: issueIds }, deletedAt: null },
+            select: { id: true, status: true, sprintId: true, createdAt: true }
+        }),
+        prisma.activity.findMany({
+            where: { issueId: { in: issueIds }, action: { in: HISTORY_ACTIONS } },
+            select: { issueId: true, changes: true, createdAt: true },
+            orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
+        }),
+        getWorkflow(sprint.projectId)
+    ]);
+
+    const categories = new Map(workflow.statuses.map(s => [s.key, s.category]));
+    const eventsByIssue = new Map(issues.map(issue => [issue.id, []]));
+    activities.forEach(activity => eventsByIssue.get(activity.issueId).push(activity));
+
+    const burndown = [];
+    const burnup = [];
+    const firstDay = startOfUtcDay(sprint.startDate);
+    const totalDays = Math.max(1, Math.round((startOfUtcDay(sprint.endDate) - firstDay) / DAY_MS));
+    let initialScope = null;
+
+    for (let day = firstDay, index = 0; day <= cutoff; day = new Date(day.getTime() + DAY_MS), index += 1) {
+        const at = new Date(Math.min(day.getTime() + DAY_MS - 1, cutoff));
+        let scope = 0;
+        let completed = 0;
+
+        issues.forEach(issue => {
+            if (issue.createdAt > at) return;
+
+            const events = eventsByIssue.get(issue.id);
+            if (valueAt(events, 'sprintId', at, issue.sprintId) !== sprint.id) return;
+
+            scope += 1;
+            if (valueAt(events, 'statusCategory', at, categories.get(issue.status)) === 'done') completed += 1;
+        });
+
+        if (initialScope === null) initialScope = scope;
+        const date = day.toISOString().slice(0, 10);
+
+        burndown.push({
+            date,
+            remaining: scope - completed,
+            ideal: Math.max(0, Math.round((initialScope * (1 - index / totalDays)) * 100) / 100)
+        });
+        burnup.push({ date, completed, scope });
+    }
+
+    return { burndown, burnup };
+};
+
+module.exports = {
+    moveIssuesToSprint,
+    buildBurndown
+};
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+
+// File storage behind a small driver interface, so attachments can move to
+// S3-compatible storage later without touching the routes. A driver stores
+// opaque keys (generated by us, never user input):
+//   put(key, buffer, { contentType }) -> Promise
+//   createReadStream(key)             -> Promise<Readable>
+//   remove(key)                       -> Promise, resolves if the key is already gone
+
+const createLocalStorage = (rootDir) => {
+    const root = path.resolve(rootDir);
+
+    const pathFor = (key) => {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    return {
+        put: async (key, buffer) => {
+            const filePath = pathFor(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, buffer);
+        },
+
+        createReadStream: async (key) => {
+            const filePath = pathFor(key);
+            await fs.promises.access(filePath);
+            return fs.createReadStream(filePath);
+        },
+
+        remove: (key) => fs.promises.rm(pathFor(key), { force: true })
+    };
+};
+
+const createStorage = () => {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+
+    if (driver === 'local') {
+        return createLocalStorage(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+    }
+
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+};
+
+let storage = null;
+
+const getStorage = () => {
+    if (!storage) storage = createStorage();
+    return storage;
+};
+
+// Let tests (or a future S3 driver) swap the storage without touching env vars
+const setStorage = (driver) => {
+    storage = driver;
+};
+
+module.exports = {
+    createLocalStorage,
+    getStorage,
+    setStorage
+};
@@ -0,0 +1,62 @@
+const { PrismaClient } = require('@prisma/client');
+const { findAttachmentKeys, removeStoredFiles } = require('./attachments.js');
+
+const prisma = new PrismaClient();
+
+// Deleted issues and projects stay in the trash this long before they are purged for good
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS || 30);
+const PURGE_INTERVAL_MS = Number(process.env.TRASH_PURGE_INTERVAL_MINUTES || 60) * 60 * 1000;
+
+// Issue filter for everything that is not in the trash, by itself or with its project
+const notTrashed = { deletedAt: null, project: { deletedAt: null } };
+
+// When an item trashed at `deletedAt` will be purged
+const purgeDate = (deletedAt) => new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+// Permanently delete issues and projects whose retention period is over. Files of
+// their attachments are removed only after the rows are gone.
+const purgeTrash = async () => {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+    const issueWhere = { deletedAt: { not: null, lt: cutoff } };
+    const issueKeys = await findAttachmentKeys({ issue: issueWhere });
+    const { count: issueCount } = await prisma.issue.deleteMany({ where: issueWhere });
+    await removeStoredFiles(issueKeys);
+
+    const projects = await prisma.project.findMany({
+        where: { deletedAt: { not: null, lt: cutoff } },
+        select: { id: true }
+    });
+
+    for (const { id } of projects) {
+        const projectKeys = await findAttachmentKeys({ issue: { projectId: id } });
+
+        // Issues first: they reference the project's workflow statuses, which go with the project
+        await prisma.$transaction([
+            prisma.issue.deleteMany({ where: { projectId: id } }),
+            prisma.project.delete({ where: { id } })
+        ]);
+        await removeStoredFiles(projectKeys);
+    }
+
+    if (issueCount > 0 || projects.length > 0) {
+        console.log(`Purged ${issueCount} issue(s) and ${projects.length} project(s) from the trash`);
+    }
+};
+
+const startTrashPurgeScheduler = () => {
+    const timer = setInterval(() => {
+        purgeTrash().catch(error => console.error('Trash purge error:', error));
+    }, PURGE_INTERVAL_MS);
+    timer.unref();
+
+    return timer;
+};
+
+module.exports = {
+    TRASH_RETENTION_DAYS,
+    notTrashed,
+    purgeDate,
+    purgeTrash,
+    startTrashPurgeScheduler
+};
@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Events a webhook can subscribe to - everything sent through emitToProject
+const WEBHOOK_EVENTS = [
+    'issue:created', 'issue:updated', 'issue:deleted', 'issue:restored', 'issue:assigned', 'issue:unassigned',
+    'issue:moved', 'issues:bulk_updated',
+    'comment:created', 'comment:updated', 'comment:deleted',
+    'attachment:created', 'attachment:deleted',
+    'label:created', 'label:updated', 'label:deleted',
+    'sprint:created', 'sprint:updated', 'sprint:deleted', 'sprint:closed', 'sprint:issues_changed',
+    'project:updated', 'project:archived', 'project:unarchived', 'project:restored',
+    'project:workflow_updated', 'project:role_changed', 'project:invitation_accepted',
+    'project:issues_imported', 'project:assigned', 'project:unassigned'
+];
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6);
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS || 30) * 1000;
+const RETRY_INTERVAL_MS = Number(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS || 30) * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const CLAIM_LEASE_MS = 5 * 60 * 1000;
+const MAX_STORED_BODY = 2000;
+
+// Webhooks may only reach public addresses; otherwise any project owner could make the
+// server call internal services. Set this to run tests against a local receiver.
+const ALLOW_PRIVATE_HOSTS = process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+const PRIVATE_HOST_MESSAGE = 'Webhook URL must not point to a local, private or link-local address';
+
+// Loopback, private, link-local (incl. cloud metadata), shared, reserved and multicast ranges.
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are matched by the IPv4 ranges; NAT64 is refused whole.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => BLOCKED_ADDRESSES.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+
+// "[::1]" -> "::1"
+const bareHostname = (url) => new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+// Where a webhook URL points right now, for a quick answer when it is saved.
+// Returns an error message or null. Deliveries check the address again when they connect.
+const checkWebhookHost = async (url) => {
+    if (ALLOW_PRIVATE_HOSTS) return null;
+
+    const hostname = bareHostname(url);
+    let addresses = [hostname];
+
+    if (!net.isIP(hostname)) {
+        try {
+            addresses = (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+        } catch (error) {
+            return `Webhook host "${hostname}" could not be resolved`;
+        }
+    }
+
+    return addresses.some(isPrivateAddress) ? PRIVATE_HOST_MESSAGE : null;
+};
+
+// dns.lookup for delivery requests that refuses private addresses. The check is on the
+// address the socket connects to, so a host that resolves differently after it was
+// saved (DNS rebinding) still can't reach the internal network.
+const lookupPublicAddress = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+
+        const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+        if (!ALLOW_PRIVATE_HOSTS && addresses.some(isPrivateAddress)) {
+            return callback(new Error(PRIVATE_HOST_MESSAGE));
+        }
+
+        callback(null, address, family);
+    });
+};
+
+// POST a delivery and resolve to { status, body } (body cut to MAX_STORED_BODY).
+// http/https rather than fetch so the connection goes through lookupPublicAddress;
+// redirects are not followed.
+const postDelivery = (url, headers, body) => new Promise((resolve, reject) => {
+    const hostname = bareHostname(url);
+
+    // IP literals skip the lookup, so they are checked here
+    if (!ALLOW_PRIVATE_HOSTS && net.isIP(hostname) && isPrivateAddress(hostname)) {
+        return reject(new Error(PRIVATE_HOST_MESSAGE));
+    }
+
+    const request = (new URL(url).protocol === 'https:' ? https : http).request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: lookupPublicAddress,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    }, (response) => {
+        let text = '';
+        const done = () => resolve({ status: response.statusCode, body: text.slice(0, MAX_STORED_BODY) });
+
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => {
+            text += chunk;
+            if (text.length >= MAX_STORED_BODY) {
+                done();
+                response.destroy();
+            }
+        });
+        response.on('end', done);
+        response.on('error', reject);
+    });
+
+    request.on('error', reject);
+    request.end(body);
+});
+
+// "*", an exact event name, or a prefix like "issue:*"
+const isValidSubscription = (value) => value === '*'
+    || WEBHOOK_EVENTS.includes(value)
+    || (value.endsWith(':*') && WEBHOOK_EVENTS.some(event => event.startsWith(value.slice(0, -1))));
+
+const subscribesTo = (webhook, event) => webhook.events.some(value => value === '*'
+    || value === event
+    || (value.endsWith(':*') && event.startsWith(value.slice(0, -1))));
+
+const newWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Receivers recompute HMAC-SHA256(secret, "<timestamp>.<raw body>") and compare it
+// with the X-SyncFlow-Signature header; the timestamp lets them reject old replays.
+const signPayload = (secret, timestamp, body) => crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+// Wait before attempt n+1: base, 2x base, 4x base, ...
+const retryDelay = (attempts) => RETRY_BASE_MS * 2 ** (attempts - 1);
+
+// Send one attempt and record the outcome. The delivery must have its webhook loaded.
+const attemptDelivery = async (delivery) => {
+    const { webhook } = delivery;
+    const timestamp = Math.floor(Date.now() / 1000);
+    const body = JSON.stringify({
+        id: delivery.id,
+        event: delivery.event,
+        projectId: webhook.projectId,
+        createdAt: delivery.createdAt,
+        data: delivery.payload
+    });
+
+    let responseStatus = null;
+    let responseBody = null;
+    let error = null;
+
+    try {
+        const response = await postDelivery(webhook.url, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'SyncFlow-Webhooks/1.0',
+            'X-SyncFlow-Event': delivery.event,
+            'X-SyncFlow-Delivery': delivery.id,
+            'X-SyncFlow-Timestamp': String(timestamp),
+            'X-SyncFlow-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+        }, body);
+
+        responseStatus = response.status;
+        responseBody = response.body;
+    } catch (requestError) {
+        error = requestError.name === 'AbortError' ? 'Request timed out' : requestError.message;
+    }
+
+    const attempts = delivery.attempts + 1;
+    const succeeded = responseStatus !== null && responseStatus >= 200 && responseStatus < 300;
+    const retry = !succeeded && attempts < MAX_ATTEMPTS;
+
+    return prisma.webhookDelivery.update({
+        where: { id: delivery.id },
+        data: {
+            attempts,
+            responseStatus,
+            responseBody,
+            error: error || (succeeded ? null : `Receiver responded with ${responseStatus}`),
+            status: succeeded ? 'succeeded' : (retry ? 'pending' : 'failed'),
+            nextAttemptAt: retry ? new Date(Date.now() + retryDelay(attempts)) : null,
+            ...(succeeded && { deliveredAt: new Date() })
+        }
+    });
+};
+
+// Create a delivery and make the first attempt right away
+const createDelivery = async (webhook, event, payload) => {
+    const delivery = await prisma.webhookDelivery.create({
+        data: {
+            webhookId: webhook.id,
+            event,
+            // Round-trip through JSON so Dates etc. are stored exactly as they are sent
+            payload: JSON.parse(JSON.stringify(payload ?? null)),
+            nextAttemptAt: new Date(Date.now() + CLAIM_LEASE_MS)
+        },
+        include: { webhook: true }
+    });
+
+    return attemptDelivery(delivery);
+};
+
+// Fan an event out to the project's active webhooks that subscribe to it.
+// Never throws - delivery problems are recorded on the delivery, not the request.
+const dispatchWebhooks = async (projectId, event, payload) => {
+    try {
+        const webhooks = await prisma.webhook.findMany({ where: { projectId, active: true } });
+
+        await Promise.all(webhooks
+            .filter(webhook => subscribesTo(webhook, event))
+            .map(webhook => createDelivery(webhook, event, payload)));
+    } catch (error) {
+        console.error('Webhook dispatch error:', error);
+    }
+};
+
+// Retry due deliveries. Each one is claimed first by pushing its nextAttemptAt out
+// by a lease, so an overlapping run (or another instance) does not send it twice.
+const retryPendingDeliveries = async () => {
+    const now = new Date();
+    const due = await prisma.webhookDelivery.findMany({
+        where: { status: 'pending', nextAttemptAt: { lte: now } },
+        include: { webhook: true },
+        orderBy: { nextAttemptAt: 'asc' },
+        take: 100
+    });
+
+    for (const delivery of due) {
+        const { count } = await prisma.webhookDelivery.updateMany({
+            where: { id: delivery.id, status: 'pending', nextAttemptAt: delivery.nextAttemptAt },
+            data: { nextAttemptAt: new Date(Date.now() + CLAIM_LEASE_MS) }
+        });
+        if (count === 0) continue;
+
+        if (!delivery.webhook.active) {
+            await prisma.webhookDelivery.update({
+                where: { id: delivery.id },
+                data: { status: 'failed', nextAttemptAt: null, error: 'Webhook was disabled' }
+            });
+            continue;
+        }
+
+        await attemptDelivery(delivery);
+    }
+};
+
+const startWebhookRetryScheduler = () => {
+    const timer = setInterval(() => {
+        retryPendingDeliveries().catch(error => console.error('Webhook retry error:', error));
+    }, RETRY_INTERVAL_MS);
+    timer.unref();
+
+    return timer;
+};
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    isValidSubscription,
+    checkWebhookHost,
+    newWebhookSecret,
+    signPayload,
+    createDelivery,
+    dispatchWebhooks,
+    retryPendingDeliveries,
+    startWebhookRetryScheduler
+};
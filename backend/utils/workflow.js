@@ -0,0 +1,72 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const STATUS_CATEGORIES = ['todo', 'active', 'done'];
+
+// Every new project starts with the original fixed workflow
+const DEFAULT_STATUSES = [
+    { key: 'open', name: 'Open', category: 'todo', position: 0 },
+    { key: 'in_progress', name: 'In Progress', category: 'active', position: 1 },
+    { key: 'done', name: 'Done', category: 'done', position: 2 }
+];
+
+// Turn a display name into a status key, e.g. "Waiting on customer" -> "waiting_on_customer"
+const toStatusKey = (name) => name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+// Load a project's ordered statuses and its transition rules
+const getWorkflow = async (projectId, db = prisma) => {
+    const [statuses, transitions] = await Promise.all([
+        db.workflowStatus.findMany({
+            where: { projectId },
+            orderBy: { position: 'asc' }
+        }),
+        db.workflowTransition.findMany({
+            where: { projectId },
+            include: {
+                fromStatus: { select: { key: true } },
+                toStatus: { select: { key: true } }
+            }
+        })
+    ]);
+
+    return {
+        statuses,
+        transitions: transitions.map(t => ({ from: t.fromStatus.key, to: t.toStatus.key }))
+    };
+};
+
+// Status new issues get when the client does not pick one: the first "todo" column
+const defaultStatusKey = (workflow) => {
+    const status = workflow.statuses.find(s => s.category === 'todo') || workflow.statuses[0];
+    return status ? status.key : null;
+};
+
+// Return an error message if `to` is not a valid status or not reachable from `from`, else null.
+// `from` is null for new issues, which may start in any status.
+const validateTransition = (workflow, from, to) => {
+    const target = workflow.statuses.find(s => s.key === to);
+
+    if (!target) {
+        const valid = workflow.statuses.map(s => s.key).join(', ');
+        return `Unknown status "${to}". Valid statuses for this project: ${valid}.`;
+    }
+
+    if (!from || from === to || workflow.transitions.length === 0) return null;
+
+    const allowed = workflow.transitions.filter(t => t.from === from).map(t => t.to);
+    if (!allowed.includes(to)) {
+        return `Cannot move issue from "${from}" to "${to}". Allowed next statuses: ${allowed.join(', ') || 'none'}.`;
+    }
+
+    return null;
+};
+
+module.exports = {
+    STATUS_CATEGORIES,
+    DEFAULT_STATUSES,
+    toStatusKey,
+    getWorkflow,
+    defaultStatusKey,
+    validateTransition
+};